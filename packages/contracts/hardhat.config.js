@@ -34,6 +34,12 @@ module.exports = {
                  enabled: true,
                  runs: 200,
               },
+              // For the VaulterCore upgrade checks of scripts/storageLayout.js
+              outputSelection: {
+                 "*": {
+                    "*": ["storageLayout"],
+                 },
+              },
            },
         },
       ],
@@ -4,6 +4,7 @@ import * as bitcoin from "bitcoinjs-lib";
 import 'dotenv/config';
 
 import VaulterCore from "../artifacts/src/VaulterCore.sol/VaulterCore.json" assert { type: "json" };
+import VaulterCoreExtension from "../artifacts/src/VaulterCoreExtension.sol/VaulterCoreExtension.json" assert { type: "json" };
 
 const RPC_URL = "https://rpc.coredao.org";
 const MEMPOOL_API = "https://mempool.space/api";
@@ -18,19 +19,19 @@ const VALIDATORS_API = 'https://staking-api.coredao.org/staking/status/validator
 const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
 const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
 
-const vaulterCore = new ethers.Contract(VAULTER_CORE_CONTRACT_ADDRESS, VaulterCore.abi, wallet);
-
+// VaulterCore answers the VaulterCoreExtension functions through its fallback, the shared ones are listed once
+const vaulterCoreAbi = Object.values(Object.fromEntries([...VaulterCore.abi, ...VaulterCoreExtension.abi]
+    .filter((fragment) => ["function", "event", "error"].includes(fragment.type))
+    .map((fragment) => [ethers.utils.Fragment.from(fragment).format(), fragment])));
+const vaulterCore = new ethers.Contract(VAULTER_CORE_CONTRACT_ADDRESS, vaulterCoreAbi, wallet);
+const CORE_AGENT_ABI = [
+    "function getDelegator(address candidate, address delegator) view returns (tuple(uint256 stakedAmount, uint256 realtimeAmount, uint256 transferredAmount, uint256 changeRound))",
+    "function requiredCoinDeposit() view returns (uint256)",
+];
+
+// Double SHA-256 of the serialization without witness data, as computed by BtcStaking.verify
 export function calculateTxId(tx) {
-    // Perform the first SHA-256 hash
-    const inputHash1 = ethers.utils.sha256('0x' + tx);
-
-    // Perform abi.encodePacked
-    const packed = ethers.utils.concat([inputHash1]); // Concatenates input bytes
-
-    // Compute SHA-256 hash
-    const inputHash2 = ethers.utils.sha256(packed);
-    // Return the final hash
-    return inputHash2;
+    return `0x${bitcoin.Transaction.fromHex(tx).getHash().toString('hex')}`;
 }
 
 async function getGasFees() {
@@ -264,22 +265,8 @@ async function processBTCDelegations() {
                 // Fetch raw tx details from mempool
                 const txResponse = await fetch(`${MEMPOOL_API}/tx/${position.btcTxId}/hex`);
                 const rawTx = await txResponse.text();
-                //console.log("Decoding Bitcoin transaction...", rawTx);
-                const tx = bitcoin.Transaction.fromHex(rawTx);
-                const txClone = new bitcoin.Transaction();
-                txClone.version = tx.version;
-
-                tx.ins.forEach(input => {
-                    txClone.addInput(input.hash, input.index, input.sequence, Buffer.alloc(0));
-                });
-
-                tx.outs.forEach(output => {
-                    txClone.addOutput(output.script, output.value);
-                });
-
-                const btcTx = txClone.toHex();
-                //console.log("Formatted BTC transaction for contract:", btcTx);
-
+                // The vault parses the raw tx and strips the witness data itself
+                const btcTx = rawTx.trim();
                 const calculatedTxId = calculateTxId(btcTx);
                 console.log("Calculated TxId:", calculatedTxId);
 
@@ -387,6 +374,13 @@ async function adjustCOREStaking() {
         .div(ethers.BigNumber.from("100000000"));         // 1e8
         console.log("AdjustCOREStaking: requiredCoreForYield:", ethers.utils.formatUnits(requiredCoreForYield, 18));
         
+        // rebalanceStake and stakeCORE revert until governance registers validators
+        const totalValidatorWeight = await vaulterCore.totalValidatorWeight();
+        if (totalValidatorWeight.isZero() && totalCoreStaked.lte(requiredCoreForYield)) {
+            console.log("No validator weights registered yet, skipping CORE staking");
+            return;
+        }
+
         const { maxFeePerGas, maxPriorityFeePerGas } = await getGasFees();
 
         if (totalCoreStaked.lt(requiredCoreForYield)) {
@@ -398,29 +392,58 @@ async function adjustCOREStaking() {
             }
             console.log(`Staking additional CORE: ${ethers.utils.formatUnits(amountToStake)}`);
             //TODO Check balance before staking
-            const bestValidator = await getBestValidator();
-            // Estimate gas limit
-            /*const gasEstimate = await vaulterCore.estimateGas.stakeCORE(bestValidator.operatorAddress, amountToStake, {
-                maxFeePerGas,
-                maxPriorityFeePerGas,
-            });*/
-            const response = await vaulterCore.stakeCORE(bestValidator.operatorAddress, amountToStake, {
-                //gasLimit: gasEstimate.mul(120).div(100), // Add 20% buffer
-                gasLimit: 1000000, // Set manually
+            // The vault spreads the new CORE over its validator registry and moves the existing stake
+            // toward the target weights
+            const response = await vaulterCore.rebalanceStake(amountToStake, {
+                gasLimit: 3000000, // Set manually, transfers scale with the registered validators
                 maxFeePerGas,
                 maxPriorityFeePerGas,
                 type: 2, // EIP-1559 Transaction
             });
-            console.log(`✅ Staked additional CORE to validator: ${bestValidator.name} with core TX: ${response.hash}`);
+            console.log(`✅ Staked additional CORE across the validator registry with core TX: ${response.hash}`);
         } else if (totalCoreStaked.gt(requiredCoreForYield)) {
             let amountToUnstake = totalCoreStaked.sub(requiredCoreForYield);
             console.log(`Un-Staking CORE: ${ethers.utils.formatUnits(amountToUnstake)}`);
 
             await vaulterCore.unstakeCORE(amountToUnstake);
+        } else if (await stakeNeedsRebalance(totalValidatorWeight)) {
+            // Only move the existing stake toward the target weights
+            const response = await vaulterCore.rebalanceStake(0, {
+                gasLimit: 3000000,
+                maxFeePerGas,
+                maxPriorityFeePerGas,
+                type: 2,
+            });
+            console.log(`✅ Rebalanced CORE stake with core TX: ${response.hash}`);
+        } else {
+            console.log("✅ CORE stake already at its target weights");
         }
     } catch (error) {
         console.error('❌ Error adjusting CORE staking:', error);
     }
 }
 
+// Whether rebalanceStake(0) has CORE to move: a validator is below its capped target weight and another one
+// above it, both by at least the CoreAgent minimum. Targets are computed like ValidatorRegistry.rebalance.
+async function stakeNeedsRebalance(totalValidatorWeight) {
+    const coreAgent = new ethers.Contract(await vaulterCore.coreAgent(), CORE_AGENT_ABI, provider);
+    const minimum = await coreAgent.requiredCoinDeposit();
+    const validators = await vaulterCore.getValidators();
+    const current = await Promise.all(validators.map(async (validator) =>
+        (await coreAgent.getDelegator(validator, vaulterCore.address)).realtimeAmount));
+    const total = current.reduce((sum, amount) => sum.add(amount), ethers.constants.Zero);
+
+    let deficit = ethers.constants.Zero;
+    let surplus = ethers.constants.Zero;
+    for (let i = 0; i < validators.length; i++) {
+        const { weight, cap } = await vaulterCore.getValidator(validators[i]);
+        let target = total.mul(weight).div(totalValidatorWeight);
+        if (!cap.isZero() && target.gt(cap)) target = cap;
+        if (target.gt(current[i]) && target.sub(current[i]).gt(deficit)) deficit = target.sub(current[i]);
+        if (current[i].gt(target) && current[i].sub(target).gt(surplus)) surplus = current[i].sub(target);
+    }
+    const threshold = minimum.isZero() ? ethers.constants.One : minimum;
+    return deficit.gte(threshold) && surplus.gte(threshold);
+}
+
 performDailyTasks();
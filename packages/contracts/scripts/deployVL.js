@@ -1,21 +1,9 @@
 const { ethers } = require("hardhat");
+const { deployLibraries, getLinkedFactory, vaulterCoreAt } = require("./vaulterCore");
 
 async function main() {
-    // Get contract factories
-    const BitcoinHelper = await ethers.getContractFactory("BitcoinHelper");
     const [deployer] = await ethers.getSigners();
-
-    console.log("Deploying BitcoinHelper...");
-    const bitcoinHelper = await BitcoinHelper.deploy();
-    await bitcoinHelper.deployed();
-    console.log("BitcoinHelper deployed at:", bitcoinHelper.address);
-
-    // Get VaultLayer contract factory after BitcoinHelper is deployed
-    const VaulterCore = await ethers.getContractFactory("VaulterCore", {
-        libraries: {
-            BitcoinHelper: bitcoinHelper.address,
-        },
-    });
+    const libraries = await deployLibraries();
 
     console.log("Deploying VaulterCore with deployer:", deployer.address);
 
@@ -23,21 +11,95 @@ async function main() {
     const stakeHubAddress = "0x0000000000000000000000000000000000001010";
     const bitcoinStakeAddress = "0x0000000000000000000000000000000000001014";
     const coreAgentAddress = "0x0000000000000000000000000000000000001011";
+    const wcoreAddress = "0x40375C92d9FAf44d2f9db9Bd9ba41a3317a2404f"; // Wrapped CORE (ERC-4626 asset)
+    const extensionArgs = [stakeHubAddress, bitcoinStakeAddress, coreAgentAddress, wcoreAddress];
+
+    // The implementation delegates the extension functions, the proxy holds the state and funds
+    const VaulterCoreExtension = await getLinkedFactory("VaulterCoreExtension", libraries);
+    const extension = await VaulterCoreExtension.deploy(...extensionArgs);
+    await extension.deployed();
+    console.log("VaulterCoreExtension deployed at:", extension.address);
+
+    const VaulterCore = await getLinkedFactory("VaulterCore", libraries);
+    const implementation = await VaulterCore.deploy(extension.address);
+    await implementation.deployed();
+    console.log("VaulterCore implementation deployed at:", implementation.address);
 
-    // Deploy VaulterCore contract
-    const vaulterCore = await VaulterCore.deploy(stakeHubAddress, bitcoinStakeAddress, coreAgentAddress);
-    await vaulterCore.deployed();
+    const VaulterCoreProxy = await ethers.getContractFactory("VaulterCoreProxy");
+    const initializeData = VaulterCore.interface.encodeFunctionData("initialize", [deployer.address]);
+    const proxy = await VaulterCoreProxy.deploy(implementation.address, initializeData);
+    await proxy.deployed();
+    const vaulterCore = await vaulterCoreAt(proxy.address);
 
     console.log("VaulterCore deployed at:", vaulterCore.address);
 
+    // Parameter changes go through the timelock: the deployer queues and executes them, the guardian can cancel
+    const timelockDelay = process.env.TIMELOCK_DELAY || 2 * 86400;
+    const guardianAddress = process.env.GUARDIAN_ADDRESS || deployer.address;
+    console.log("Deploying VaulterTimelock...");
+    const VaulterTimelock = await ethers.getContractFactory("VaulterTimelock");
+    const vaulterTimelock = await VaulterTimelock.deploy(timelockDelay, [deployer.address], [deployer.address], guardianAddress);
+    await vaulterTimelock.deployed();
+    console.log("VaulterTimelock deployed at:", vaulterTimelock.address);
+
+    // Protocol fees are split between weighted recipients, the treasury only to start with. They are
+    // withdrawn to the splitter as CORE, or minted to it as vltCORE with MINT_FEE_SHARES=true.
+    console.log("Deploying FeeSplitter...");
+    const FeeSplitter = await ethers.getContractFactory("FeeSplitter");
+    const feeSplitter = await FeeSplitter.deploy(deployer.address);
+    await feeSplitter.deployed();
+    await (await feeSplitter.setRecipient(process.env.TREASURY_ADDRESS || deployer.address, 1)).wait();
+    await (await vaulterCore.setFeeMode(feeSplitter.address, process.env.MINT_FEE_SHARES === "true")).wait();
+    console.log("FeeSplitter deployed at:", feeSplitter.address);
+    for (const name of ["GOVERNANCE_ROLE", "DEFAULT_ADMIN_ROLE"]) {
+        const role = await feeSplitter[name]();
+        await (await feeSplitter.grantRole(role, vaulterTimelock.address)).wait();
+        await (await feeSplitter.renounceRole(role, deployer.address)).wait();
+    }
+
+    // The agent hot key operates, the guardian pauses, the treasury withdraws fees; governance and role
+    // management go to the timelock. The deployer keeps none of the roles it hands over.
+    const roleHolders = {
+        OPERATOR_ROLE: process.env.OPERATOR_ADDRESS || deployer.address,
+        GUARDIAN_ROLE: guardianAddress,
+        TREASURY_ROLE: process.env.TREASURY_ADDRESS || deployer.address,
+        GOVERNANCE_ROLE: vaulterTimelock.address,
+        DEFAULT_ADMIN_ROLE: vaulterTimelock.address,
+    };
+    for (const [name, holder] of Object.entries(roleHolders)) {
+        if (holder === deployer.address) continue;
+        const role = await vaulterCore[name]();
+        await (await vaulterCore.grantRole(role, holder)).wait();
+        await (await vaulterCore.renounceRole(role, deployer.address)).wait();
+        console.log(`${name} granted to:`, holder);
+    }
+
     // Verify contract deployment
-    console.log("Verifying contract...");
+    console.log("Verifying contracts...");
+    await hre.run("verify:verify", {
+        address: extension.address,
+        constructorArguments: extensionArgs,
+    });
+    await hre.run("verify:verify", {
+        address: implementation.address,
+        constructorArguments: [extension.address],
+    });
     await hre.run("verify:verify", {
-        address: vaulterCore.address,
-        constructorArguments: [stakeHubAddress, bitcoinStakeAddress, coreAgentAddress],
+        address: proxy.address,
+        constructorArguments: [implementation.address, initializeData],
     });
 
     console.log("VaulterCore verified successfully.");
+
+    await hre.run("verify:verify", {
+        address: feeSplitter.address,
+        constructorArguments: [deployer.address],
+    });
+
+    await hre.run("verify:verify", {
+        address: vaulterTimelock.address,
+        constructorArguments: [timelockDelay, [deployer.address], [deployer.address], guardianAddress],
+    });
 }
 
 main()
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+
+// Storage layout of the VaulterCore implementation currently behind the proxy
+const REFERENCE_PATH = path.join(__dirname, "..", "storage", "VaulterCore.json");
+const GAP = "__gap";
+
+// Resolves a solc type id into a nested description, the ids change between builds but the labels do not
+function describeType(types, id) {
+    const { encoding, label, numberOfBytes, key, value, base, members } = types[id];
+    const type = { encoding, label, numberOfBytes: Number(numberOfBytes) };
+    if (key) type.key = describeType(types, key);
+    if (value) type.value = describeType(types, value);
+    if (base) type.base = describeType(types, base);
+    if (members) type.members = members.map(member => describeVariable(types, member));
+    return type;
+}
+
+function describeVariable(types, { label, slot, offset, type }) {
+    return { label, slot: Number(slot), offset, type: describeType(types, type) };
+}
+
+// Storage layout of a compiled contract, e.g. "src/VaulterCore.sol:VaulterCore"
+async function getStorageLayout(hre, fullyQualifiedName) {
+    const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+    const [sourceName, contractName] = fullyQualifiedName.split(":");
+    const { storageLayout } = buildInfo.output.contracts[sourceName][contractName];
+    if (!storageLayout) throw new Error(`No storage layout for ${fullyQualifiedName}, check the outputSelection`);
+    return storageLayout.storage.map(variable => describeVariable(storageLayout.types, variable));
+}
+
+function readReferenceLayout() {
+    return JSON.parse(fs.readFileSync(REFERENCE_PATH, "utf8"));
+}
+
+function writeReferenceLayout(layout) {
+    fs.mkdirSync(path.dirname(REFERENCE_PATH), { recursive: true });
+    fs.writeFileSync(REFERENCE_PATH, JSON.stringify(layout, null, 2) + "\n");
+}
+
+// Whether a value of type `current` reads the data written as `previous`. Structs may only grow
+// by appending members, and only where they are not laid out inline next to other variables.
+function isCompatibleType(previous, current, inline = true) {
+    if (previous.encoding !== current.encoding) return false;
+    if (inline && previous.numberOfBytes !== current.numberOfBytes) return false;
+    if (previous.members) {
+        return current.members !== undefined &&
+            previous.members.length <= current.members.length &&
+            previous.members.every((member, i) => isCompatibleVariable(member, current.members[i]));
+    }
+    if (previous.key && !isCompatibleType(previous.key, current.key)) return false;
+    if (previous.value) return current.value !== undefined && isCompatibleType(previous.value, current.value, false);
+    if (previous.base) {
+        const dynamic = previous.encoding === "dynamic_array";
+        return current.base !== undefined && isCompatibleType(previous.base, current.base, !dynamic);
+    }
+    return previous.label === current.label;
+}
+
+function isCompatibleVariable(previous, current) {
+    return current !== undefined &&
+        previous.label === current.label &&
+        previous.slot === current.slot &&
+        previous.offset === current.offset &&
+        isCompatibleType(previous.type, current.type);
+}
+
+const slotsOf = variable => Math.ceil(variable.type.numberOfBytes / 32);
+const describe = variable => `${variable.label} (${variable.type.label}) at slot ${variable.slot}`;
+
+// Byte position of a variable in storage, packed variables share a slot
+const startOf = variable => variable.slot * 32 + variable.offset;
+
+// Errors making `current` unsafe to upgrade to from `previous`: every variable keeps its slot, offset, name
+// and type, new variables are appended (packed in the last slot or in the slots of __gap) and __gap keeps its
+// last slot.
+function compareStorageLayouts(previous, current) {
+    const errors = [];
+    let previousGap;
+    let previousDataEnd = 0;
+    for (const variable of previous) {
+        if (variable.label === GAP) {
+            previousGap = variable;
+            continue;
+        }
+        previousDataEnd = Math.max(previousDataEnd, startOf(variable) + variable.type.numberOfBytes);
+        const match = current.find(c => c.slot === variable.slot && c.offset === variable.offset && c.label !== GAP);
+        if (!match) {
+            errors.push(`${describe(variable)} was removed`);
+        } else if (!isCompatibleVariable(variable, match)) {
+            errors.push(`${describe(variable)} became ${describe(match)}`);
+        }
+    }
+
+    const previousSlots = new Set(previous.filter(v => v.label !== GAP).map(v => `${v.slot}:${v.offset}`));
+    const gap = current.find(c => c.label === GAP);
+    if (previousGap) {
+        const previousGapEnd = previousGap.slot + slotsOf(previousGap);
+        if (!gap || gap.slot + slotsOf(gap) !== previousGapEnd) {
+            errors.push(`${GAP} must keep ending at slot ${previousGapEnd}, shrink it by the slots appended before it`);
+        }
+    }
+    for (const variable of current) {
+        if (variable.label === GAP || previousSlots.has(`${variable.slot}:${variable.offset}`)) continue;
+        if (gap && variable.slot + slotsOf(variable) > gap.slot && variable.slot < gap.slot + slotsOf(gap)) {
+            errors.push(`${describe(variable)} overlaps ${GAP}`);
+        }
+        if (startOf(variable) < previousDataEnd) {
+            errors.push(`${describe(variable)} is not appended`);
+        }
+    }
+    return errors;
+}
+
+// The extension runs on the proxy storage, so its layout must be the start of the implementation's
+function compareSharedLayouts(implementation, extension) {
+    return extension
+        .filter((variable, i) => JSON.stringify(variable) !== JSON.stringify(implementation[i]))
+        .map(variable => `VaulterCoreExtension ${describe(variable)} does not match VaulterCore`);
+}
+
+// npx hardhat run scripts/storageLayout.js
+// Checks VaulterCore, or the STORAGE_LAYOUT_CONTRACT next version, against the reference layout.
+// Once that version is live behind the proxy, run with UPDATE_STORAGE_LAYOUT=1 to make it the reference.
+async function main() {
+    const hre = require("hardhat");
+    await hre.run("compile");
+    const name = process.env.STORAGE_LAYOUT_CONTRACT || "VaulterCore";
+    const { sourceName } = await hre.artifacts.readArtifact(name);
+    const layout = await getStorageLayout(hre, `${sourceName}:${name}`);
+    const extension = await getStorageLayout(hre, "src/VaulterCoreExtension.sol:VaulterCoreExtension");
+
+    const errors = compareSharedLayouts(layout, extension);
+    if (fs.existsSync(REFERENCE_PATH)) {
+        errors.push(...compareStorageLayouts(readReferenceLayout(), layout));
+    }
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(error));
+        throw new Error(`${name} storage layout is not upgrade safe`);
+    }
+    console.log(`${name} storage layout is upgrade safe`);
+
+    if (process.env.UPDATE_STORAGE_LAYOUT) {
+        writeReferenceLayout(layout);
+        console.log("Reference layout updated:", REFERENCE_PATH);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    getStorageLayout,
+    readReferenceLayout,
+    writeReferenceLayout,
+    compareStorageLayouts,
+    compareSharedLayouts,
+};
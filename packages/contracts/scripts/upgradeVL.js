@@ -0,0 +1,84 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployLibraries, getLinkedFactory, vaulterCoreAt } = require("./vaulterCore");
+const {
+    getStorageLayout,
+    readReferenceLayout,
+    compareStorageLayouts,
+    compareSharedLayouts,
+} = require("./storageLayout");
+
+// Deploys the next VaulterCore implementation and upgrades the proxy to it.
+//   VAULTER_CORE_ADDRESS  proxy address
+//   UPGRADE_CONTRACT      implementation contract, VaulterCore by default
+//   UPGRADE_CALLDATA      call made by upgradeToAndCall on the new implementation, e.g. a reinitializer
+//   TIMELOCK_ADDRESS      VaulterTimelock holding GOVERNANCE_ROLE: the upgrade is scheduled, not executed
+// Once the upgrade is executed, record the new reference layout (see scripts/storageLayout.js).
+async function main() {
+    const proxyAddress = process.env.VAULTER_CORE_ADDRESS;
+    if (!proxyAddress) throw new Error("VAULTER_CORE_ADDRESS is not set");
+    const name = process.env.UPGRADE_CONTRACT || "VaulterCore";
+    const upgradeCalldata = process.env.UPGRADE_CALLDATA || "0x";
+
+    // Refuse a version that would read the proxy storage at the wrong slots
+    await hre.run("compile");
+    const { sourceName } = await hre.artifacts.readArtifact(name);
+    const layout = await getStorageLayout(hre, `${sourceName}:${name}`);
+    const errors = [
+        ...compareSharedLayouts(layout, await getStorageLayout(hre, "src/VaulterCoreExtension.sol:VaulterCoreExtension")),
+        ...compareStorageLayouts(readReferenceLayout(), layout),
+    ];
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(error));
+        throw new Error(`${name} storage layout is not upgrade safe`);
+    }
+
+    // The new extension keeps the immutables of the live vault
+    const vaulterCore = await vaulterCoreAt(proxyAddress);
+    const extensionArgs = [
+        await vaulterCore.stakeHub(),
+        await vaulterCore.bitcoinStake(),
+        await vaulterCore.coreAgent(),
+        await vaulterCore.wcore(),
+    ];
+
+    const libraries = await deployLibraries();
+    const VaulterCoreExtension = await getLinkedFactory("VaulterCoreExtension", libraries);
+    const extension = await VaulterCoreExtension.deploy(...extensionArgs);
+    await extension.deployed();
+    console.log("VaulterCoreExtension deployed at:", extension.address);
+
+    const Implementation = await getLinkedFactory(name, libraries);
+    const implementation = await Implementation.deploy(extension.address);
+    await implementation.deployed();
+    console.log(`${name} implementation deployed at:`, implementation.address);
+
+    const upgradeData = vaulterCore.interface.encodeFunctionData("upgradeToAndCall", [implementation.address, upgradeCalldata]);
+    if (process.env.TIMELOCK_ADDRESS) {
+        const timelock = await ethers.getContractAt("VaulterTimelock", process.env.TIMELOCK_ADDRESS);
+        const delay = await timelock.getMinDelay();
+        const salt = ethers.utils.id(`VaulterCore upgrade ${implementation.address}`);
+        const operation = [proxyAddress, 0, upgradeData, ethers.constants.HashZero, salt];
+        await (await timelock.schedule(...operation, delay)).wait();
+        console.log(`Upgrade scheduled, execute after ${delay} seconds with:`, JSON.stringify(operation));
+    } else {
+        await (await vaulterCore.upgradeToAndCall(implementation.address, upgradeCalldata)).wait();
+        console.log("VaulterCore upgraded to:", implementation.address);
+    }
+
+    await hre.run("verify:verify", {
+        address: extension.address,
+        constructorArguments: extensionArgs,
+    });
+    await hre.run("verify:verify", {
+        address: implementation.address,
+        constructorArguments: [extension.address],
+    });
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,56 @@
+const { ethers, artifacts } = require("hardhat");
+
+// Libraries of VaulterCore and VaulterCoreExtension, in deployment order with the libraries they link
+const LIBRARIES = [
+    ["BitcoinHelper", []],
+    ["WithdrawalQueue", []],
+    ["BtcRewardIndex", []],
+    ["BtcClaims", ["BitcoinHelper"]],
+    ["ShareVotes", []],
+    ["BtcStaking", ["BitcoinHelper", "BtcRewardIndex"]],
+    ["ValidatorRegistry", []],
+    ["RewardGrades", []],
+    ["RoundReports", []],
+    ["HashPowerRewards", []],
+];
+
+// Deploys the libraries, returns their addresses by name
+async function deployLibraries() {
+    const libraries = {};
+    for (const [name, links] of LIBRARIES) {
+        console.log(`Deploying ${name}...`);
+        const factory = await ethers.getContractFactory(name, {
+            libraries: Object.fromEntries(links.map(link => [link, libraries[link]])),
+        });
+        const library = await factory.deploy();
+        await library.deployed();
+        libraries[name] = library.address;
+        console.log(`${name} deployed at:`, library.address);
+    }
+    return libraries;
+}
+
+// Contract factory linked to the libraries the contract uses, ethers rejects the others
+async function getLinkedFactory(name, libraries) {
+    const { linkReferences } = await artifacts.readArtifact(name);
+    const used = Object.values(linkReferences).flatMap(Object.keys);
+    return ethers.getContractFactory(name, {
+        libraries: Object.fromEntries(used.map(library => [library, libraries[library]])),
+    });
+}
+
+// The vault behind its proxy, with the VaulterCoreExtension functions answered through its fallback
+async function vaulterCoreAt(address, implementation = "VaulterCore") {
+    const fragments = {};
+    for (const name of [implementation, "VaulterCoreExtension"]) {
+        for (const fragment of (await artifacts.readArtifact(name)).abi) {
+            if (["function", "event", "error"].includes(fragment.type)) {
+                fragments[ethers.utils.Fragment.from(fragment).format()] = fragment;
+            }
+        }
+    }
+    const [signer] = await ethers.getSigners();
+    return new ethers.Contract(address, Object.values(fragments), signer);
+}
+
+module.exports = { deployLibraries, getLinkedFactory, vaulterCoreAt };
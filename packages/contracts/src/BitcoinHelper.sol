@@ -1,8 +1,58 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.23;
 
+import "@openzeppelin/contracts/utils/Strings.sol";
+
 library BitcoinHelper {
 
+    struct TxInput {
+        bytes32 prevTxId;
+        uint32 prevIndex;
+        bytes scriptSig;
+        uint32 sequence;
+    }
+
+    struct TxOutput {
+        uint64 value;
+        bytes scriptPubKey;
+    }
+
+    struct Transaction {
+        uint32 version;
+        TxInput[] inputs;
+        TxOutput[] outputs;
+        uint32 lockTime;
+        bool hasWitness;
+    }
+
+    // CoreDAO staking payload carried in an OP_RETURN output:
+    // "SAT+" | version (1) | chainId (2, BE) | delegator (20) | validator (20) | fee (1) | redeem script or lock time (4, LE)
+    struct StakePayload {
+        uint8 version;
+        uint16 chainId;
+        address delegator;
+        address validator;
+        uint8 fee;
+        bytes redeemScript; // empty when the payload only carries the lock time
+        uint32 lockTime;
+    }
+
+    // Locks accepted after the <lockTime> OP_CHECKLOCKTIMEVERIFY OP_DROP prefix of a staking redeem script
+    enum ScriptType {
+        P2PKH,    // OP_DUP OP_HASH160 <pubkey hash> OP_EQUALVERIFY OP_CHECKSIG
+        P2PK,     // <pubkey> OP_CHECKSIG
+        MULTISIG, // OP_m <pubkeys> OP_n OP_CHECKMULTISIG
+        P2TR      // <x-only key> OP_CHECKSIG, spent through a taproot script path
+    }
+
+    // BIP341 NUMS point, the internal key of P2TR stakes so that only the timelocked script path can spend them
+    bytes32 internal constant TAPROOT_INTERNAL_KEY = 0x50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0;
+
+    bytes4 internal constant STAKE_PAYLOAD_MAGIC = "SAT+";
+    uint256 internal constant STAKE_PAYLOAD_HEADER = 48;
+    uint256 internal constant SECP256K1_P = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F;
+    uint256 internal constant SECP256K1_N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141;
+
     /// @notice                      Calculates the required transaction Id from the transaction details
     /// @dev                         Calculates the hash of transaction details two consecutive times
     /// @param _tx                   The Bitcoin transaction
@@ -110,31 +160,218 @@ library BitcoinHelper {
         return recoveredAddress == derivedAddress;
     }
 
-    function extractBitcoinAddress(bytes memory script) internal pure returns (uint32, bytes20) {
-        require(script.length >= 25, "Invalid script length"); // Ensure minimum length
+    /// @notice                      Verifies a Bitcoin signed message over the 0x-prefixed lowercase hex of `_digest`
+    /// @dev                         A 65 byte signature is a BIP-137 compact signature, anything else is the
+    ///                              witness stack of a BIP-322 simple signature made by a P2WPKH key
+    /// @param _btcPubKey            Compressed or uncompressed signing key, also the second witness item for BIP-322
+    /// @return                      hash160 of the signing key, see signerPubKeyHash
+    function verifyBitcoinMessage(
+        bytes32 _digest,
+        bytes memory _signature,
+        bytes memory _btcPubKey
+    ) public view returns (bytes20) {
+        bytes memory message = bytes(Strings.toHexString(uint256(_digest), 32));
+        bytes memory pubKey = decompressPubKey(_btcPubKey);
+        address signer = deriveAddress(pubKey);
+
+        bytes32 digest;
+        bytes32 r;
+        bytes32 s;
+        if (_signature.length == 65) {
+            // header (27 + recovery id, + 4 per address type) | r | s
+            uint8 header = uint8(_signature[0]);
+            require(header >= 27 && header <= 42, "Invalid recovery byte");
+            (r, s) = (bytes32(slice(_signature, 1, 32)), bytes32(slice(_signature, 33, 32)));
+            digest = sha256(abi.encodePacked(sha256(abi.encodePacked(
+                "\x18Bitcoin Signed Message:\n", writeVarInt(message.length), message
+            ))));
+            require(ecrecover(digest, 27 + ((header - 27) % 4), r, s) == signer, "Invalid signature");
+        } else {
+            (r, s) = readBip322Witness(_signature, _btcPubKey);
+            digest = bip322Digest(message, compressBtcPubKey(_btcPubKey));
+            require(ecrecover(digest, 27, r, s) == signer || ecrecover(digest, 28, r, s) == signer, "Invalid signature");
+        }
+        return isUncompressedSignature(_signature) ? compressBtcPubKey(pubKey) : convertEthToBtcPubKeyHash(pubKey);
+    }
 
-        uint32 timelock;
-        bytes20 pubKeyHash;
+    /// @notice                      hash160 of the compressed form of a compressed or uncompressed public key
+    function btcPubKeyHashOf(bytes memory _pubKey) public view returns (bytes20) {
+        return convertEthToBtcPubKeyHash(decompressPubKey(_pubKey));
+    }
 
-        // --- STEP 1: Extract Timelock ---
-        uint256 t;
-        assembly {
-            let loc := add(script, 0x21) // Timelock at offset 0x21
-            t := mload(loc)             // Read 32 bytes
+    /// @notice                      Pubkey hash a Bitcoin signed message is made for: hash160 of the uncompressed key
+    ///                              for BIP-137 headers 27 to 30 (uncompressed P2PKH), of the compressed key otherwise
+    function signerPubKeyHash(bytes memory _signature, bytes memory _pubKey) public view returns (bytes20) {
+        bytes memory pubKey = decompressPubKey(_pubKey);
+        return isUncompressedSignature(_signature) ? compressBtcPubKey(pubKey) : convertEthToBtcPubKeyHash(pubKey);
+    }
+
+    function isUncompressedSignature(bytes memory _signature) internal pure returns (bool) {
+        return _signature.length == 65 && uint8(_signature[0]) <= 30;
+    }
+
+    /// @notice                      Reads r and s from a BIP-322 simple signature: <DER signature | SIGHASH_ALL> <pubkey>
+    function readBip322Witness(bytes memory _witness, bytes memory _btcPubKey) internal pure returns (bytes32 r, bytes32 s) {
+        (uint256 items, uint256 offset) = readVarInt(_witness, 0);
+        bytes memory sig;
+        bytes memory pubKey;
+        (sig, offset) = readVarBytes(_witness, offset);
+        (pubKey, offset) = readVarBytes(_witness, offset);
+        require(items == 2 && offset == _witness.length, "Invalid BIP-322 signature");
+        require(keccak256(pubKey) == keccak256(_btcPubKey), "Invalid signature");
+
+        // 0x30 <length> 0x02 <r length> <r> 0x02 <s length> <s> SIGHASH_ALL
+        require(sig.length > 8 && sig[0] == 0x30 && uint8(sig[1]) == sig.length - 3, "Invalid BIP-322 signature");
+        require(sig[sig.length - 1] == 0x01, "Invalid BIP-322 signature");
+        (r, offset) = readDerInteger(sig, 2);
+        (s, offset) = readDerInteger(sig, offset);
+        require(offset == sig.length - 1, "Invalid BIP-322 signature");
+    }
+
+    function readDerInteger(bytes memory _sig, uint256 _offset) internal pure returns (bytes32 value, uint256 next) {
+        require(_sig[_offset] == 0x02, "Invalid BIP-322 signature");
+        uint256 length = uint8(_sig[_offset + 1]);
+        require(length > 0 && length <= 33, "Invalid BIP-322 signature");
+        next = _offset + 2 + length;
+        require(next <= _sig.length && (length < 33 || _sig[_offset + 2] == 0x00), "Invalid BIP-322 signature");
+        uint256 result;
+        for (uint256 i = _offset + 2; i < next; i++) {
+            result = (result << 8) | uint8(_sig[i]);
         }
-        timelock = uint32(reverseUint256(t) & 0xFFFFFFFF); // Reverse bytes and mask
+        value = bytes32(result);
+    }
 
-        // --- STEP 2: Extract Public Key Hash ---
-        assembly {
-            let loc := add(script, 0x2A) // Correct offset (directly at hash start)
-            let temp := mload(loc)       // Load 32 bytes
+    /// @notice                      BIP-143 sighash of the BIP-322 "to_sign" tx spending the "to_spend" tx of a message
+    /// @param _pubKeyHash           hash160 of the P2WPKH key that signed the message
+    function bip322Digest(bytes memory _message, bytes20 _pubKeyHash) internal pure returns (bytes32) {
+        bytes32 tag = sha256("BIP0322-signed-message");
+        bytes32 messageHash = sha256(abi.encodePacked(tag, tag, _message));
+
+        // to_spend: version 0, one input spending 000..000:0xFFFFFFFF with scriptSig OP_0 <messageHash>,
+        // one 0 sat output paying to the P2WPKH of the key, lock time 0
+        bytes32 toSpend = calculateTxId(abi.encodePacked(
+            hex"0000000001", bytes32(0), hex"ffffffff220020", messageHash,
+            hex"00000000010000000000000000160014", _pubKeyHash, hex"00000000"
+        ));
+
+        // to_sign: version 0, spends to_spend:0 with sequence 0, one 0 sat OP_RETURN output, lock time 0
+        bytes memory outpoint = abi.encodePacked(toSpend, hex"00000000");
+        return calculateTxId(abi.encodePacked(
+            hex"00000000",
+            calculateTxId(outpoint),
+            calculateTxId(hex"00000000"),
+            outpoint,
+            hex"1976a914", _pubKeyHash, hex"88ac",
+            hex"000000000000000000000000",
+            calculateTxId(hex"0000000000000000016a"),
+            hex"0000000001000000"
+        ));
+    }
 
-            // Manually mask and truncate to 20 bytes
-            pubKeyHash := and(temp, 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF000000000000000000000000)
+    /// @notice                      Returns the uncompressed 0x04 | x | y form of a secp256k1 public key
+    function decompressPubKey(bytes memory _pubKey) internal view returns (bytes memory) {
+        if (_pubKey.length == 65 && _pubKey[0] == 0x04) {
+            return _pubKey;
         }
-        
-        // Return extracted values
-        return (timelock, pubKeyHash);
+        require(_pubKey.length == 33 && (_pubKey[0] == 0x02 || _pubKey[0] == 0x03), "Invalid public key length");
+        uint256 p = SECP256K1_P;
+        uint256 x = uint256(bytes32(slice(_pubKey, 1, 32)));
+        uint256 y2 = addmod(mulmod(mulmod(x, x, p), x, p), 7, p);
+
+        // p = 3 mod 4, so y = y2 ^ ((p + 1) / 4) through the modexp precompile
+        (bool success, bytes memory result) = address(0x05).staticcall(
+            abi.encodePacked(uint256(32), uint256(32), uint256(32), y2, (p + 1) / 4, p)
+        );
+        require(success, "Invalid public key");
+        uint256 y = abi.decode(result, (uint256));
+        require(mulmod(y, y, p) == y2, "Invalid public key");
+        if (y % 2 != uint8(_pubKey[0]) % 2) {
+            y = p - y;
+        }
+        return abi.encodePacked(bytes1(0x04), x, y);
+    }
+
+    /// @notice                      Encodes a Bitcoin CompactSize unsigned integer, up to 0xffff
+    function writeVarInt(uint256 _value) internal pure returns (bytes memory) {
+        if (_value < 0xfd) {
+            return abi.encodePacked(uint8(_value));
+        }
+        require(_value <= 0xffff, "Message too long");
+        return abi.encodePacked(hex"fd", uint8(_value), uint8(_value >> 8));
+    }
+
+    /// @notice                      Extracts the lock time and the owner of a timelocked redeem script
+    /// @dev                         See parseRedeemScript for the accepted scripts and scriptOwner for the owner
+    /// @param script                The redeem script of the stake
+    /// @return                      Lock time and owner pubkey hash of the stake
+    function extractBitcoinAddress(bytes memory script) internal pure returns (uint32, bytes20) {
+        (ScriptType scriptType, uint32 lockTime, bytes memory keyMaterial) = parseRedeemScript(script);
+        return (lockTime, scriptOwner(scriptType, keyMaterial));
+    }
+
+    /// @notice                      Detects the type of a timelocked redeem script: <lockTime> OP_CLTV OP_DROP <lock>
+    /// @param _script               The redeem script of the stake
+    /// @return scriptType           Kind of lock following the timelock
+    /// @return lockTime             Lock time pushed by the script
+    /// @return keyMaterial          Pubkey hash (P2PKH), pubkey (P2PK), x-only key (P2TR), or
+    ///                              the whole OP_m <pubkeys> OP_n OP_CHECKMULTISIG lock (MULTISIG)
+    function parseRedeemScript(bytes memory _script)
+        public
+        pure
+        returns (ScriptType scriptType, uint32 lockTime, bytes memory keyMaterial)
+    {
+        // The lock time is a minimally encoded, positive script number of up to 5 bytes
+        uint256 size = _script.length > 0 ? uint8(_script[0]) : 0;
+        require(size >= 1 && size <= 5 && _script.length > size + 3, "Unsupported redeem script");
+        uint256 value = readUintLE(_script, 1, size);
+        require(value >> (8 * size - 1) == 0 && value <= type(uint32).max, "Unsupported redeem script");
+        require(_script[size + 1] == 0xb1 && _script[size + 2] == 0x75, "Unsupported redeem script");
+
+        (scriptType, keyMaterial) = parseLock(slice(_script, size + 3, _script.length - size - 3));
+        lockTime = uint32(value);
+    }
+
+    /// @notice                      Detects the lock spending a stake once its timelock has passed
+    function parseLock(bytes memory _lock) internal pure returns (ScriptType, bytes memory) {
+        uint256 length = _lock.length;
+        uint8 op = uint8(_lock[0]);
+
+        // OP_DUP OP_HASH160 <20 bytes> OP_EQUALVERIFY OP_CHECKSIG
+        if (length == 25 && op == 0x76 && _lock[1] == 0xa9 && _lock[2] == 0x14 && _lock[23] == 0x88 && _lock[24] == 0xac) {
+            return (ScriptType.P2PKH, slice(_lock, 3, 20));
+        }
+        // <32 byte x-only key | 33 or 65 byte pubkey> OP_CHECKSIG
+        if ((op == 0x20 || op == 0x21 || op == 0x41) && length == op + 2 && _lock[length - 1] == 0xac) {
+            return (op == 0x20 ? ScriptType.P2TR : ScriptType.P2PK, slice(_lock, 1, op));
+        }
+        // OP_m <33 byte pubkeys> OP_n OP_CHECKMULTISIG
+        if (op > 0x50 && op <= 0x60 && length >= 37 && (length - 3) % 34 == 0 && _lock[length - 1] == 0xae) {
+            uint256 keys = (length - 3) / 34;
+            require(uint8(_lock[length - 2]) == 0x50 + keys && op - 0x50 <= keys, "Unsupported redeem script");
+            for (uint256 i = 0; i < keys; i++) {
+                require(_lock[1 + 34 * i] == 0x21, "Unsupported redeem script");
+            }
+            return (ScriptType.MULTISIG, _lock);
+        }
+        revert("Unsupported redeem script");
+    }
+
+    /// @notice                      Pubkey hash a stake is credited to
+    /// @dev                         Single-key stakes use the hash160 of the compressed key, which is what
+    ///                              convertEthToBtcPubKeyHash derives for claims. An x-only key is taken with an
+    ///                              even Y. Multisig stakes use the hash160 of their OP_m ... OP_CHECKMULTISIG lock,
+    ///                              claimed with m signatures through BtcClaims.verifyMultisigClaim.
+    function scriptOwner(ScriptType _scriptType, bytes memory _keyMaterial) internal pure returns (bytes20) {
+        if (_scriptType == ScriptType.P2PKH) {
+            return bytes20(_keyMaterial);
+        }
+        if (_scriptType == ScriptType.P2TR) {
+            return compressBtcPubKey(abi.encodePacked(bytes1(0x02), _keyMaterial));
+        }
+        if (_keyMaterial.length == 65) {
+            return convertEthToBtcPubKeyHash(_keyMaterial);
+        }
+        return compressBtcPubKey(_keyMaterial);
     }
 
     // Reverse uint256 for endianness conversion
@@ -209,24 +446,288 @@ library BitcoinHelper {
         return string(buffer);
     }
 
-    function bytesContains(bytes memory haystack, bytes memory needle) internal pure returns (bool) {
-        if (needle.length > haystack.length) {
+    /// @notice                      Checks the staking output pays to a staking redeem script and checks the SAT+ payload
+    /// @dev                         Accepts P2WSH (OP_0 <sha256(script)>) and P2SH (OP_HASH160 <hash160(script)> OP_EQUAL)
+    ///                              outputs, and for P2TR stakes the taproot output of the script, see isTaprootOutput
+    /// @param _tx                   The Bitcoin transaction, with or without witness data
+    /// @param _redeemScript         The redeem script of the stake
+    /// @param _delegator            The delegator the payload must name, on the current chain
+    /// @param _outputIndex          Index of the staking output, as known to BitcoinStake
+    /// @return value                Value of the staking output in sats
+    /// @return validator            Validator named by the payload
+    /// @return lockTime             Lock time of the redeem script, equal to the one named by the payload
+    /// @return owner                Pubkey hash the stake is credited to, see scriptOwner
+    function parseStakeTx(
+        bytes memory _tx,
+        bytes memory _redeemScript,
+        address _delegator,
+        uint256 _outputIndex
+    ) public view returns (uint64 value, address validator, uint32 lockTime, bytes20 owner) {
+        Transaction memory parsed = parseTransaction(_tx);
+
+        StakePayload memory payload = findStakePayload(parsed.outputs);
+        require(payload.chainId == block.chainid, "BTC tx targets another chain");
+        require(payload.delegator == _delegator, "BTC tx does not delegate to us");
+        require(
+            payload.redeemScript.length == 0 || keccak256(payload.redeemScript) == keccak256(_redeemScript),
+            "SAT+ redeem script mismatch"
+        );
+        validator = payload.validator;
+
+        ScriptType scriptType;
+        bytes memory keyMaterial;
+        (scriptType, lockTime, keyMaterial) = parseRedeemScript(_redeemScript);
+        require(payload.lockTime == lockTime, "BTC tx lockTime != scriptLockTime");
+        owner = scriptOwner(scriptType, keyMaterial);
+        value = stakeOutputValue(parsed.outputs, _outputIndex, _redeemScript, scriptType == ScriptType.P2TR);
+    }
+
+    /// @notice                      Returns the value of the staking output once it is checked to pay to the redeem script
+    function stakeOutputValue(
+        TxOutput[] memory _outputs,
+        uint256 _outputIndex,
+        bytes memory _redeemScript,
+        bool _taproot
+    ) internal view returns (uint64) {
+        require(_outputIndex < _outputs.length, "Invalid BTC output index");
+        bytes memory scriptPubKey = _outputs[_outputIndex].scriptPubKey;
+        bool paid;
+        if (_taproot) {
+            paid = isTaprootOutput(scriptPubKey, _redeemScript);
+        } else {
+            bytes32 scriptHash = keccak256(scriptPubKey);
+            paid = scriptHash == keccak256(abi.encodePacked(hex"0020", sha256(_redeemScript)))
+                || scriptHash == keccak256(abi.encodePacked(hex"a914", ripemd160(abi.encodePacked(sha256(_redeemScript))), hex"87"));
+        }
+        require(paid, "No BTC output pays to the redeem script");
+        return _outputs[_outputIndex].value;
+    }
+
+    /// @notice                      Whether a script is the P2TR output (OP_1 <32 byte key>) of a taproot tree made of the
+    ///                              redeem script alone, under the TAPROOT_INTERNAL_KEY internal key
+    /// @dev                         The output key is Q = P + tG with t = TapTweak(P | TapLeaf(script)). ecrecover(e, v, r, s)
+    ///                              returns the address of r^-1 (sR - eG): with R = P, s = r and e = -tr it is the address
+    ///                              of P + tG, compared with both points of x-coordinate Q.
+    function isTaprootOutput(bytes memory _scriptPubKey, bytes memory _redeemScript) internal view returns (bool) {
+        if (_scriptPubKey.length != 34 || _scriptPubKey[0] != 0x51 || _scriptPubKey[1] != 0x20) {
             return false;
         }
-        // loop through haystack and check if needle is found
-        for (uint256 i = 0; i <= haystack.length - needle.length; i++) {
-            bool found = true;
-            for (uint256 j = 0; j < needle.length; j++) {
-                if (haystack[i + j] != needle[j]) {
-                    found = false;
-                    break;
-                }
+        bytes32 leaf = taggedHash("TapLeaf", abi.encodePacked(hex"c0", writeVarInt(_redeemScript.length), _redeemScript));
+        uint256 tweak = uint256(taggedHash("TapTweak", abi.encodePacked(TAPROOT_INTERNAL_KEY, leaf)));
+        require(tweak < SECP256K1_N, "Invalid taproot tweak");
+        uint256 r = uint256(TAPROOT_INTERNAL_KEY);
+        address tweaked = ecrecover(bytes32(SECP256K1_N - mulmod(tweak, r, SECP256K1_N)), 27, bytes32(r), bytes32(r));
+
+        (uint256 x, uint256 y) = abi.decode(
+            slice(decompressPubKey(abi.encodePacked(hex"02", slice(_scriptPubKey, 2, 32))), 1, 64),
+            (uint256, uint256)
+        );
+        return tweaked == address(uint160(uint256(keccak256(abi.encodePacked(x, y)))))
+            || tweaked == address(uint160(uint256(keccak256(abi.encodePacked(x, SECP256K1_P - y)))));
+    }
+
+    /// @notice                      BIP340 tagged hash: sha256(sha256(tag) | sha256(tag) | data)
+    function taggedHash(string memory _tag, bytes memory _data) internal pure returns (bytes32) {
+        bytes32 tagHash = sha256(bytes(_tag));
+        return sha256(abi.encodePacked(tagHash, tagHash, _data));
+    }
+
+    /// @notice                      Decodes the SAT+ staking payload of a Bitcoin transaction
+    /// @param _tx                   The Bitcoin transaction, with or without witness data
+    function decodeStakePayload(bytes memory _tx) public pure returns (StakePayload memory) {
+        return findStakePayload(parseTransaction(_tx).outputs);
+    }
+
+    /// @notice                      Returns the payload of the first OP_RETURN output starting with "SAT+"
+    function findStakePayload(TxOutput[] memory _outputs) internal pure returns (StakePayload memory) {
+        for (uint256 i = 0; i < _outputs.length; i++) {
+            bytes memory data = readOpReturnData(_outputs[i].scriptPubKey);
+            if (data.length >= 4 && bytes4(data) == STAKE_PAYLOAD_MAGIC) {
+                return parseStakePayload(data);
+            }
+        }
+        revert("No SAT+ payload in BTC tx");
+    }
+
+    /// @notice                      Decodes a SAT+ payload (magic included)
+    /// @dev                         The lock time is read from the redeem script when the payload carries one
+    function parseStakePayload(bytes memory _data) internal pure returns (StakePayload memory payload) {
+        require(_data.length > STAKE_PAYLOAD_HEADER, "Invalid SAT+ payload length");
+        payload.version = uint8(_data[4]);
+        payload.chainId = uint16(bytes2(slice(_data, 5, 2)));
+        payload.delegator = address(bytes20(slice(_data, 7, 20)));
+        payload.validator = address(bytes20(slice(_data, 27, 20)));
+        payload.fee = uint8(_data[47]);
+
+        uint256 rest = _data.length - STAKE_PAYLOAD_HEADER;
+        if (rest == 4) {
+            payload.lockTime = uint32(readUintLE(_data, STAKE_PAYLOAD_HEADER, 4));
+        } else {
+            payload.redeemScript = slice(_data, STAKE_PAYLOAD_HEADER, rest);
+            (payload.lockTime, ) = extractBitcoinAddress(payload.redeemScript);
+        }
+    }
+
+    /// @notice                      Returns the data pushed by an OP_RETURN script, or nothing for other scripts
+    function readOpReturnData(bytes memory _script) internal pure returns (bytes memory) {
+        if (_script.length < 2 || _script[0] != 0x6a) {
+            return "";
+        }
+        uint8 opcode = uint8(_script[1]);
+        uint256 start;
+        uint256 length;
+        if (opcode < 0x4c) {
+            (start, length) = (2, opcode);
+        } else if (opcode == 0x4c) {
+            (start, length) = (3, readUintLE(_script, 2, 1));
+        } else if (opcode == 0x4d) {
+            (start, length) = (4, readUintLE(_script, 2, 2));
+        } else {
+            return "";
+        }
+        require(start + length == _script.length, "Invalid OP_RETURN push");
+        return slice(_script, start, length);
+    }
+
+    /// @notice                      Parses a serialized Bitcoin transaction
+    /// @dev                         Witness data is validated and skipped, the whole input must be consumed
+    /// @param _tx                   The Bitcoin transaction, with or without segwit marker and witness data
+    /// @return parsed               Version, inputs, outputs and lock time of the transaction
+    function parseTransaction(bytes memory _tx) internal pure returns (Transaction memory parsed) {
+        uint256 offset;
+        (parsed.version, offset) = readUint32LE(_tx, 0);
+        (parsed.hasWitness, offset) = readSegwitMarker(_tx, offset);
+
+        uint256 count;
+        (count, offset) = readVarInt(_tx, offset);
+        require(count > 0, "BTC tx has no inputs");
+        parsed.inputs = new TxInput[](count);
+        for (uint256 i = 0; i < count; i++) {
+            TxInput memory input = parsed.inputs[i];
+            input.prevTxId = bytes32(slice(_tx, offset, 32));
+            (input.prevIndex, offset) = readUint32LE(_tx, offset + 32);
+            (input.scriptSig, offset) = readVarBytes(_tx, offset);
+            (input.sequence, offset) = readUint32LE(_tx, offset);
+        }
+
+        (count, offset) = readVarInt(_tx, offset);
+        require(count > 0, "BTC tx has no outputs");
+        parsed.outputs = new TxOutput[](count);
+        for (uint256 i = 0; i < count; i++) {
+            TxOutput memory output = parsed.outputs[i];
+            (output.value, offset) = readUint64LE(_tx, offset);
+            (output.scriptPubKey, offset) = readVarBytes(_tx, offset);
+        }
+
+        if (parsed.hasWitness) {
+            offset = skipWitnesses(_tx, offset, parsed.inputs.length);
+        }
+        (parsed.lockTime, offset) = readUint32LE(_tx, offset);
+        require(offset == _tx.length, "Invalid BTC tx length");
+    }
+
+    /// @notice                      Serializes a transaction without segwit marker, flag and witness data
+    /// @dev                         This is the serialization the txId commits to; legacy transactions are returned as is
+    /// @param _tx                   The Bitcoin transaction
+    /// @return                      The witness-less serialization
+    function stripWitness(bytes memory _tx) internal pure returns (bytes memory) {
+        (bool hasWitness, uint256 bodyStart) = readSegwitMarker(_tx, 4);
+        if (!hasWitness) {
+            return _tx;
+        }
+
+        // Walk inputs and outputs to find where the witness data starts
+        uint256 offset = bodyStart;
+        uint256 inputCount;
+        (inputCount, offset) = readVarInt(_tx, offset);
+        for (uint256 i = 0; i < inputCount; i++) {
+            uint256 scriptLength;
+            (scriptLength, offset) = readVarInt(_tx, offset + 36);
+            offset += scriptLength + 4;
+        }
+        uint256 outputCount;
+        (outputCount, offset) = readVarInt(_tx, offset);
+        for (uint256 i = 0; i < outputCount; i++) {
+            uint256 scriptLength;
+            (scriptLength, offset) = readVarInt(_tx, offset + 8);
+            offset += scriptLength;
+        }
+        uint256 bodyEnd = offset;
+        offset = skipWitnesses(_tx, offset, inputCount);
+        require(offset + 4 == _tx.length, "Invalid BTC tx length");
+
+        return abi.encodePacked(slice(_tx, 0, 4), slice(_tx, bodyStart, bodyEnd - bodyStart), slice(_tx, offset, 4));
+    }
+
+    /// @notice                      Reads a Bitcoin CompactSize unsigned integer
+    /// @return value                The decoded integer
+    /// @return next                 Offset right after the integer
+    function readVarInt(bytes memory _data, uint256 _offset) internal pure returns (uint256 value, uint256 next) {
+        require(_offset < _data.length, "BTC tx out of bounds");
+        uint8 prefix = uint8(_data[_offset]);
+        if (prefix < 0xfd) {
+            return (prefix, _offset + 1);
+        }
+        uint256 size = prefix == 0xfd ? 2 : (prefix == 0xfe ? 4 : 8);
+        return (readUintLE(_data, _offset + 1, size), _offset + 1 + size);
+    }
+
+    function readVarBytes(bytes memory _data, uint256 _offset) internal pure returns (bytes memory value, uint256 next) {
+        uint256 length;
+        (length, _offset) = readVarInt(_data, _offset);
+        return (slice(_data, _offset, length), _offset + length);
+    }
+
+    function readUint32LE(bytes memory _data, uint256 _offset) internal pure returns (uint32, uint256) {
+        return (uint32(readUintLE(_data, _offset, 4)), _offset + 4);
+    }
+
+    function readUint64LE(bytes memory _data, uint256 _offset) internal pure returns (uint64, uint256) {
+        return (uint64(readUintLE(_data, _offset, 8)), _offset + 8);
+    }
+
+    function readUintLE(bytes memory _data, uint256 _offset, uint256 _size) internal pure returns (uint256 value) {
+        require(_offset + _size <= _data.length, "BTC tx out of bounds");
+        for (uint256 i = 0; i < _size; i++) {
+            value |= uint256(uint8(_data[_offset + i])) << (8 * i);
+        }
+    }
+
+    /// @dev                         A segwit transaction has a 0x00 marker and a 0x01 flag right after the version
+    function readSegwitMarker(bytes memory _data, uint256 _offset) internal pure returns (bool, uint256) {
+        if (_data.length > _offset + 1 && _data[_offset] == 0x00 && _data[_offset + 1] == 0x01) {
+            return (true, _offset + 2);
+        }
+        return (false, _offset);
+    }
+
+    /// @dev                         Every input has a witness stack: an item count followed by length-prefixed items
+    function skipWitnesses(bytes memory _data, uint256 _offset, uint256 _inputCount) internal pure returns (uint256) {
+        for (uint256 i = 0; i < _inputCount; i++) {
+            uint256 items;
+            (items, _offset) = readVarInt(_data, _offset);
+            for (uint256 j = 0; j < items; j++) {
+                uint256 length;
+                (length, _offset) = readVarInt(_data, _offset);
+                _offset += length;
             }
-            if (found) {
-                return true;
+        }
+        return _offset;
+    }
+
+    /// @notice                      Copies `_length` bytes of `_data` starting at `_start`
+    function slice(bytes memory _data, uint256 _start, uint256 _length) internal pure returns (bytes memory result) {
+        require(_start + _length <= _data.length, "BTC tx out of bounds");
+        result = new bytes(_length);
+        assembly {
+            let src := add(add(_data, 0x20), _start)
+            let dst := add(result, 0x20)
+            for { let i := 0 } lt(i, _length) { i := add(i, 0x20) } {
+                mstore(add(dst, i), mload(add(src, i)))
             }
+            // Clear the bytes copied past the end into the padding of the last word
+            mstore(add(dst, _length), 0)
         }
-        return false;
     }
 
 }
@@ -13,4 +13,28 @@ contract BitcoinTest {
     {
         return BitcoinHelper.extractBitcoinAddress(script);
     }
+
+    function testParseRedeemScript(bytes memory script)
+        public
+        pure
+        returns (BitcoinHelper.ScriptType, uint32, bytes memory)
+    {
+        return BitcoinHelper.parseRedeemScript(script);
+    }
+
+    function testParseTransaction(bytes memory btcTx)
+        public
+        pure
+        returns (BitcoinHelper.Transaction memory)
+    {
+        return BitcoinHelper.parseTransaction(btcTx);
+    }
+
+    function testStripWitness(bytes memory btcTx)
+        public
+        pure
+        returns (bytes memory)
+    {
+        return BitcoinHelper.stripWitness(btcTx);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "./BitcoinHelper.sol";
+
+/// @title  BtcClaims
+/// @notice EIP-712 signatures proving ownership of a BTC pubkey hash: BTCClaim for reward claims and BTCPayout
+///         for payout address registrations. Both are bound to the vault, the chain, an address, a per-pubKey
+///         nonce and a deadline.
+/// @dev    Called through delegatecall, so address(this) is the vault in the EIP-712 domain.
+library BtcClaims {
+    bytes32 internal constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 internal constant BTC_CLAIM_TYPEHASH =
+        keccak256("BTCClaim(bytes20 btcPubKeyHash,address recipient,uint256 nonce,uint256 deadline)");
+    bytes32 internal constant BTC_PAYOUT_TYPEHASH =
+        keccak256("BTCPayout(bytes20 btcPubKeyHash,address payout,uint256 nonce,uint256 deadline)");
+    bytes32 internal constant NAME_HASH = keccak256("Vaulter CORE");
+    bytes32 internal constant VERSION_HASH = keccak256("1");
+
+    /// @notice                      Verifies a BTCClaim or BTCPayout signed by an Ethereum key derived from the BTC private key
+    /// @param _nonces               Next nonce of every pubKey, consumed by this signature
+    /// @param _typeHash             BTC_CLAIM_TYPEHASH or BTC_PAYOUT_TYPEHASH
+    /// @param _ethPubKey            Uncompressed public key of the signer
+    /// @param _account              Recipient of a BTCClaim, payout address of a BTCPayout
+    /// @return btcPubKeyHash        hash160 of the compressed signing key
+    function verifyEthClaim(
+        mapping(bytes20 => uint256) storage _nonces,
+        bytes32 _typeHash,
+        bytes memory _ethPubKey,
+        bytes memory _signature,
+        address _account,
+        uint256 _deadline
+    ) public returns (bytes20 btcPubKeyHash) {
+        btcPubKeyHash = BitcoinHelper.convertEthToBtcPubKeyHash(_ethPubKey);
+        bytes32 digest = useClaimDigest(_nonces, _typeHash, btcPubKeyHash, _account, _deadline);
+        require(
+            BitcoinHelper.recoverEthereumSigner(digest, _signature) == BitcoinHelper.deriveAddress(_ethPubKey),
+            "Invalid signature"
+        );
+    }
+
+    /// @notice                      Verifies a BTCClaim or BTCPayout signed as a Bitcoin message by the BTC key
+    /// @dev                         The signed message is the 0x-prefixed lowercase hex of the EIP-712 digest,
+    ///                              see BitcoinHelper.verifyBitcoinMessage for the accepted signatures
+    /// @param _nonces               Next nonce of every pubKey, consumed by this signature
+    /// @param _typeHash             BTC_CLAIM_TYPEHASH or BTC_PAYOUT_TYPEHASH
+    /// @param _btcPubKey            Compressed or uncompressed public key of the signer
+    /// @param _account              Recipient of a BTCClaim, payout address of a BTCPayout
+    /// @return btcPubKeyHash        hash160 of the signing key, uncompressed for BIP-137 headers 27 to 30
+    function verifyBitcoinClaim(
+        mapping(bytes20 => uint256) storage _nonces,
+        bytes32 _typeHash,
+        bytes memory _btcPubKey,
+        bytes memory _signature,
+        address _account,
+        uint256 _deadline
+    ) public returns (bytes20 btcPubKeyHash) {
+        btcPubKeyHash = BitcoinHelper.signerPubKeyHash(_signature, _btcPubKey);
+        bytes32 digest = useClaimDigest(_nonces, _typeHash, btcPubKeyHash, _account, _deadline);
+        BitcoinHelper.verifyBitcoinMessage(digest, _signature, _btcPubKey);
+    }
+
+    /// @notice                      Verifies a BTCClaim or BTCPayout of a multisig stake, signed as Bitcoin messages by m of
+    ///                              the n keys of its OP_m <pubkeys> OP_n OP_CHECKMULTISIG lock
+    /// @dev                         See verifyBitcoinClaim for the signed message and the accepted signatures
+    /// @param _nonces               Next nonce of every pubKey, consumed by this signature
+    /// @param _typeHash             BTC_CLAIM_TYPEHASH or BTC_PAYOUT_TYPEHASH
+    /// @param _lock                 The multisig lock following the timelock of the stake's redeem script
+    /// @param _signatures           One signature per key of the lock, in key order, empty for the keys that did not sign
+    /// @param _account              Recipient of a BTCClaim, payout address of a BTCPayout
+    /// @return btcPubKeyHash        hash160 of the lock, see BitcoinHelper.scriptOwner
+    function verifyMultisigClaim(
+        mapping(bytes20 => uint256) storage _nonces,
+        bytes32 _typeHash,
+        bytes memory _lock,
+        bytes[] memory _signatures,
+        address _account,
+        uint256 _deadline
+    ) public returns (bytes20 btcPubKeyHash) {
+        require(_lock.length > 0, "Not a multisig lock");
+        (BitcoinHelper.ScriptType scriptType, ) = BitcoinHelper.parseLock(_lock);
+        require(scriptType == BitcoinHelper.ScriptType.MULTISIG, "Not a multisig lock");
+        require(_signatures.length == (_lock.length - 3) / 34, "Length mismatch");
+        btcPubKeyHash = BitcoinHelper.scriptOwner(scriptType, _lock);
+        bytes32 digest = useClaimDigest(_nonces, _typeHash, btcPubKeyHash, _account, _deadline);
+
+        uint256 signatures;
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            if (_signatures[i].length > 0) {
+                BitcoinHelper.verifyBitcoinMessage(digest, _signatures[i], BitcoinHelper.slice(_lock, 2 + 34 * i, 33));
+                signatures++;
+            }
+        }
+        require(signatures >= uint8(_lock[0]) - 0x50, "Not enough signatures");
+    }
+
+    /// @notice                      Consumes the nonce of a pubKey and returns the digest of its BTCClaim or BTCPayout
+    function useClaimDigest(
+        mapping(bytes20 => uint256) storage _nonces,
+        bytes32 _typeHash,
+        bytes20 _btcPubKeyHash,
+        address _account,
+        uint256 _deadline
+    ) internal returns (bytes32) {
+        require(block.timestamp <= _deadline, "Claim signature expired");
+        uint256 nonce = _nonces[_btcPubKeyHash]++;
+        bytes32 structHash = keccak256(abi.encode(_typeHash, _btcPubKeyHash, _account, nonce, _deadline));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    function domainSeparator() internal view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, NAME_HASH, VERSION_HASH, block.chainid, address(this)));
+    }
+}
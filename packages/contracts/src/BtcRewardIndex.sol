@@ -0,0 +1,275 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title  BtcRewardIndex
+/// @notice Cumulative reward-per-satoshi accounting for BTC stakers.
+///         Stakes are retired through expiry buckets keyed by end round, so closing a round
+///         never iterates over the recorded BTC transactions.
+///         Rewards are shared by weight: the sats of a stake times the multiplier of its lock duration.
+library BtcRewardIndex {
+    using Math for uint256;
+
+    uint256 internal constant PRECISION = 1e18;
+    uint256 internal constant BASE_MULTIPLIER = 10000; // 1.0x, in basis points
+    uint256 internal constant MAX_MULTIPLIER = 30000;
+
+    struct BtcTx {
+        uint256 amount;
+        uint256 lockTime;
+        uint256 depositTime;
+        uint256 startRound;
+        uint256 endRound;
+        bytes20 pubKey;
+        uint256 weight; // amount times the lock multiplier when recorded
+        bytes32 renewalOf; // stake of the same pubKey this one renews
+        bytes32 renewedBy; // stake renewing this one
+    }
+
+    struct BtcStake {
+        uint256 stakedAmount;     // active sats, expired stakes are removed when the pubKey is settled
+        uint256 pendingRewards;   // settled CORE rewards not yet claimed
+        uint256 rewardPerSatPaid; // index at the last checkpoint
+    }
+
+    struct Index {
+        uint256 rewardPerSat;                        // cumulative CORE per unit of weight, scaled by PRECISION
+        uint256 lastExpiredRound;                    // last end round whose bucket was retired
+        mapping(uint256 => uint256) expiringAmount;  // end round => sats expiring in that round
+        mapping(uint256 => uint256) rewardPerSatAt;  // end round => index when its bucket was retired
+    }
+
+    struct LockBoost {
+        uint256 minLockDays; // lock duration from which the multiplier applies
+        uint256 multiplier;  // basis points, BASE_MULTIPLIER for 1.0x
+    }
+
+    struct Weights {
+        uint256 total;                        // weight of the active stakes
+        mapping(uint256 => uint256) expiring; // end round => weight expiring in that round
+        LockBoost[] boosts;                   // boost curve by ascending minLockDays, 1.0x below the first
+    }
+
+    event ExpiredStakeRemoved(bytes32 indexed txId, bytes20 indexed pubKey, uint256 amount);
+    event BTCStakesExpired(uint256 indexed endRound, uint256 amount);
+    event LockBoostsUpdated(uint256[] minLockDays, uint256[] multipliers);
+
+    /// @notice                      Adds a stake to its owner checkpoint and to its expiry bucket, weighted by the
+    ///                              multiplier of its lock duration
+    /// @param _weights              Reward weights and lock boost curve of the stakes
+    /// @param _txs                  Recorded BTC transactions
+    /// @param _stake                Checkpoint of the stake owner
+    /// @param _activeTxIds          Unexpired txIds of the stake owner
+    /// @param _txId                 The new stake, already stored in _txs
+    /// @dev                         A renewal locked for at least as long as the stake it renews keeps that stake's
+    ///                              multiplier when higher, on at most as many sats. The sats above it are weighted by
+    ///                              their own lock, and the renewed stake earns at 1.0x for the rest of its lock.
+    function addStake(
+        Index storage self,
+        Weights storage _weights,
+        mapping(bytes32 => BtcTx) storage _txs,
+        BtcStake storage _stake,
+        bytes32[] storage _activeTxIds,
+        bytes32 _txId
+    ) public {
+        BtcTx storage btcTx = _txs[_txId];
+        require(btcTx.endRound > self.lastExpiredRound, "BTC stake expired");
+        settle(self, _txs, _stake, _activeTxIds);
+
+        uint256 boost = multiplier(_weights, _lockDays(btcTx));
+        btcTx.weight = btcTx.amount.mulDiv(boost, BASE_MULTIPLIER);
+        if (btcTx.renewalOf != bytes32(0)) {
+            BtcTx storage previous = _txs[btcTx.renewalOf];
+            uint256 previousBoost = lockMultiplier(previous);
+            if (previousBoost > boost && _lockDays(btcTx) >= _lockDays(previous)) {
+                uint256 carried = Math.min(btcTx.amount, previous.amount);
+                btcTx.weight += carried.mulDiv(previousBoost - boost, BASE_MULTIPLIER);
+                _unboost(_weights, previous, _activeTxIds, btcTx.renewalOf);
+            }
+        }
+
+        _stake.stakedAmount += btcTx.amount;
+        _activeTxIds.push(_txId);
+        self.expiringAmount[btcTx.endRound] += btcTx.amount;
+        _weights.total += btcTx.weight;
+        _weights.expiring[btcTx.endRound] += btcTx.weight;
+    }
+
+    // Weighs a stake at 1.0x from now on, if it is still active
+    function _unboost(Weights storage _weights, BtcTx storage _btcTx, bytes32[] storage _activeTxIds, bytes32 _txId) private {
+        for (uint256 i = 0; i < _activeTxIds.length; i++) {
+            if (_activeTxIds[i] != _txId) continue;
+            uint256 extra = _btcTx.weight - _btcTx.amount;
+            _btcTx.weight = _btcTx.amount;
+            _weights.total -= extra;
+            _weights.expiring[_btcTx.endRound] -= extra;
+            return;
+        }
+    }
+
+    function _lockDays(BtcTx storage _btcTx) private view returns (uint256) {
+        return _btcTx.lockTime > _btcTx.depositTime ? (_btcTx.lockTime - _btcTx.depositTime) / 1 days : 0;
+    }
+
+    /// @notice                      Drops an active stake before its end round, e.g. once its delegation left the vault
+    /// @dev                         The owner is settled first, so the stake keeps the rewards it earned so far
+    /// @return                      Whether the stake was active
+    function removeStake(
+        Index storage self,
+        Weights storage _weights,
+        mapping(bytes32 => BtcTx) storage _txs,
+        BtcStake storage _stake,
+        bytes32[] storage _activeTxIds,
+        bytes32 _txId
+    ) public returns (bool) {
+        settle(self, _txs, _stake, _activeTxIds);
+        for (uint256 i = 0; i < _activeTxIds.length; i++) {
+            if (_activeTxIds[i] != _txId) continue;
+            BtcTx storage btcTx = _txs[_txId];
+            _stake.stakedAmount -= btcTx.amount;
+            self.expiringAmount[btcTx.endRound] -= btcTx.amount;
+            _weights.total -= btcTx.weight;
+            _weights.expiring[btcTx.endRound] -= btcTx.weight;
+
+            // Swap with the last element and pop
+            _activeTxIds[i] = _activeTxIds[_activeTxIds.length - 1];
+            _activeTxIds.pop();
+            return true;
+        }
+        return false;
+    }
+
+    /// @notice                      Credits a round of BTC rewards to every active stake by its weight
+    /// @param _reward               CORE reward for BTC stakers
+    /// @param _totalWeight          Weight of the active stakes, must be non-zero
+    function distribute(Index storage self, uint256 _reward, uint256 _totalWeight) internal {
+        self.rewardPerSat += _reward.mulDiv(PRECISION, _totalWeight);
+    }
+
+    /// @notice                      Replaces the boost curve, stakes recorded before keep their weight
+    /// @param _minLockDays          Ascending lock durations, in days
+    /// @param _multipliers          Multiplier from each duration, in basis points between 1.0x and 3.0x
+    function setBoosts(Weights storage _weights, uint256[] memory _minLockDays, uint256[] memory _multipliers) public {
+        require(_minLockDays.length == _multipliers.length, "Length mismatch");
+        delete _weights.boosts;
+        for (uint256 i = 0; i < _minLockDays.length; i++) {
+            require(i == 0 || _minLockDays[i] > _minLockDays[i - 1], "Lock days not ascending");
+            require(
+                _multipliers[i] >= BASE_MULTIPLIER && _multipliers[i] <= MAX_MULTIPLIER,
+                "Invalid lock multiplier"
+            );
+            _weights.boosts.push(LockBoost(_minLockDays[i], _multipliers[i]));
+        }
+        emit LockBoostsUpdated(_minLockDays, _multipliers);
+    }
+
+    /// @notice                      Multiplier of a lock duration, in basis points
+    function multiplier(Weights storage _weights, uint256 _lockDays) internal view returns (uint256 boost) {
+        boost = BASE_MULTIPLIER;
+        for (uint256 i = 0; i < _weights.boosts.length && _weights.boosts[i].minLockDays <= _lockDays; i++) {
+            boost = _weights.boosts[i].multiplier;
+        }
+    }
+
+    /// @notice                      Multiplier a recorded stake was weighted with, in basis points
+    function lockMultiplier(BtcTx storage _btcTx) internal view returns (uint256) {
+        return _btcTx.weight.mulDiv(BASE_MULTIPLIER, _btcTx.amount);
+    }
+
+    /// @notice                      Retires every expiry bucket up to the current round
+    /// @dev                         Costs one bucket read per elapsed round, whatever the number of stakes
+    /// @param _currentRound         The current round, in the same unit as BtcTx.endRound
+    /// @return expiredAmount        Sats that stopped earning
+    function retireExpired(
+        Index storage self,
+        Weights storage _weights,
+        uint256 _currentRound
+    ) public returns (uint256 expiredAmount) {
+        for (uint256 round = self.lastExpiredRound + 1; round <= _currentRound; round++) {
+            uint256 amount = self.expiringAmount[round];
+            if (amount == 0) continue;
+            self.rewardPerSatAt[round] = self.rewardPerSat;
+            expiredAmount += amount;
+            _weights.total -= _weights.expiring[round];
+            emit BTCStakesExpired(round, amount);
+        }
+        if (_currentRound > self.lastExpiredRound) {
+            self.lastExpiredRound = _currentRound;
+        }
+    }
+
+    /// @notice                      Moves the rewards earned since the last checkpoint into pendingRewards
+    /// @dev                         Expired stakes earn up to the index of their bucket and are then dropped
+    function settle(
+        Index storage self,
+        mapping(bytes32 => BtcTx) storage _txs,
+        BtcStake storage _stake,
+        bytes32[] storage _activeTxIds
+    ) public {
+        uint256 paid = _stake.rewardPerSatPaid;
+        uint256 activeWeight;
+        uint256 i = 0;
+        while (i < _activeTxIds.length) {
+            bytes32 txId = _activeTxIds[i];
+            BtcTx storage btcTx = _txs[txId];
+            if (btcTx.endRound > self.lastExpiredRound) {
+                activeWeight += btcTx.weight;
+                i++;
+                continue;
+            }
+            _stake.pendingRewards += btcTx.weight.mulDiv(self.rewardPerSatAt[btcTx.endRound] - paid, PRECISION);
+            _stake.stakedAmount -= btcTx.amount;
+            emit ExpiredStakeRemoved(txId, btcTx.pubKey, btcTx.amount);
+
+            // Swap with the last element and pop
+            _activeTxIds[i] = _activeTxIds[_activeTxIds.length - 1];
+            _activeTxIds.pop();
+        }
+        _stake.pendingRewards += activeWeight.mulDiv(self.rewardPerSat - paid, PRECISION);
+        _stake.rewardPerSatPaid = self.rewardPerSat;
+    }
+
+    /// @notice                      Pending rewards of a stake owner, including what is not settled yet
+    function pendingRewards(
+        Index storage self,
+        mapping(bytes32 => BtcTx) storage _txs,
+        BtcStake storage _stake,
+        bytes32[] storage _activeTxIds
+    ) public view returns (uint256 pending) {
+        uint256 paid = _stake.rewardPerSatPaid;
+        uint256 activeWeight;
+        pending = _stake.pendingRewards;
+        for (uint256 i = 0; i < _activeTxIds.length; i++) {
+            BtcTx storage btcTx = _txs[_activeTxIds[i]];
+            if (btcTx.endRound > self.lastExpiredRound) {
+                activeWeight += btcTx.weight;
+                continue;
+            }
+            pending += btcTx.weight.mulDiv(self.rewardPerSatAt[btcTx.endRound] - paid, PRECISION);
+        }
+        pending += activeWeight.mulDiv(self.rewardPerSat - paid, PRECISION);
+    }
+
+    /// @notice                      Stakes of an owner that are still earning and end by the given round
+    function expiringTxIds(
+        Index storage self,
+        mapping(bytes32 => BtcTx) storage _txs,
+        bytes32[] storage _activeTxIds,
+        uint256 _lastRound
+    ) public view returns (bytes32[] memory txIds) {
+        uint256 count;
+        for (uint256 i = 0; i < _activeTxIds.length; i++) {
+            if (_expiresBy(self, _txs[_activeTxIds[i]], _lastRound)) count++;
+        }
+        txIds = new bytes32[](count);
+        count = 0;
+        for (uint256 i = 0; i < _activeTxIds.length; i++) {
+            if (_expiresBy(self, _txs[_activeTxIds[i]], _lastRound)) txIds[count++] = _activeTxIds[i];
+        }
+    }
+
+    function _expiresBy(Index storage self, BtcTx storage _btcTx, uint256 _round) private view returns (bool) {
+        return _btcTx.endRound > self.lastExpiredRound && _btcTx.endRound <= _round;
+    }
+}
@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "./BitcoinHelper.sol";
+import "./BtcRewardIndex.sol";
+import "./ICoreDAO.sol";
+
+/// @title  BtcStaking
+/// @notice Records the BTC stakes delegated to the vault once they are cross-checked with CoreDAO's BitcoinStake.
+/// @dev    Called through delegatecall, so address(this) is the vault.
+library BtcStaking {
+    using BtcRewardIndex for BtcRewardIndex.Index;
+
+    // A stake can be renewed once it ends within this many days, or after it expired
+    uint256 internal constant RENEWAL_WINDOW_DAYS = 7;
+    // Most txIds a single reconcile checks
+    uint256 internal constant MAX_RECONCILE_TX_IDS = 50;
+
+    event BTCStaked(bytes32 indexed txId, bytes20 indexed pubKey, uint256 amount, uint256 endRound);
+    event BTCDelegationTransferred(bytes32 indexed txId, address indexed targetCandidate);
+    event BTCStakeRemoved(bytes32 indexed txId, bytes20 indexed pubKey, uint256 amount);
+    event BTCStakeRenewed(bytes32 indexed previousTxId, bytes32 indexed txId, bytes20 indexed pubKey, uint256 multiplier);
+
+    /// @notice                      Parses a staking tx, checks it against BitcoinStake and adds it to its owner
+    /// @param _weights              Reward weights and lock boost curve of the stakes
+    /// @param _txIds                All recorded txIds
+    /// @param _txs                  Recorded BTC transactions
+    /// @param _stakes               Checkpoint of every stake owner
+    /// @param _activeTxIds          Unexpired txIds of every stake owner
+    /// @param _btcTx                The Bitcoin transaction, with or without witness data
+    /// @param _script               The redeem script of the stake
+    /// @param _previousTxId         Stake of the same pubKey renewed by this one, 0 for none
+    /// @return                      Staked sats
+    function record(
+        BtcRewardIndex.Index storage self,
+        BtcRewardIndex.Weights storage _weights,
+        bytes32[] storage _txIds,
+        mapping(bytes32 => BtcRewardIndex.BtcTx) storage _txs,
+        mapping(bytes20 => BtcRewardIndex.BtcStake) storage _stakes,
+        mapping(bytes20 => bytes32[]) storage _activeTxIds,
+        IBitcoinStake _bitcoinStake,
+        bytes memory _btcTx,
+        bytes memory _script,
+        bytes32 _previousTxId
+    ) public returns (uint256) {
+        (bytes32 txId, bytes20 pubKey) = verify(_txs, _bitcoinStake, _btcTx, _script);
+        _txIds.push(txId);
+        if (_previousTxId != bytes32(0)) renew(_txs, _previousTxId, txId);
+        self.addStake(_weights, _txs, _stakes[pubKey], _activeTxIds[pubKey], txId);
+
+        BtcRewardIndex.BtcTx storage stake = _txs[txId];
+        emit BTCStaked(txId, pubKey, stake.amount, stake.endRound);
+        return stake.amount;
+    }
+
+    /// @notice                      Drops the active stakes whose BitcoinStake receipt no longer delegates to the vault
+    /// @dev                         Expired stakes are left to the round close, which retires them with their day bucket
+    /// @param _checkedTxIds         Recorded txIds to check, at most MAX_RECONCILE_TX_IDS. Unknown, inactive and
+    ///                              expired ones are skipped.
+    /// @return removed              Sats dropped
+    function reconcile(
+        BtcRewardIndex.Index storage self,
+        BtcRewardIndex.Weights storage _weights,
+        mapping(bytes32 => BtcRewardIndex.BtcTx) storage _txs,
+        mapping(bytes20 => BtcRewardIndex.BtcStake) storage _stakes,
+        mapping(bytes20 => bytes32[]) storage _activeTxIds,
+        IBitcoinStake _bitcoinStake,
+        bytes32[] memory _checkedTxIds
+    ) public returns (uint256 removed) {
+        require(_checkedTxIds.length <= MAX_RECONCILE_TX_IDS, "Too many txIds");
+        for (uint256 i = 0; i < _checkedTxIds.length; i++) {
+            bytes32 txId = _checkedTxIds[i];
+            BtcRewardIndex.BtcTx storage btcTx = _txs[txId];
+            if (btcTx.amount == 0 || btcTx.endRound <= block.timestamp / 1 days) continue;
+            (, address delegator,) = _bitcoinStake.receiptMap(txId);
+            if (delegator == address(this)) continue;
+            if (self.removeStake(_weights, _txs, _stakes[btcTx.pubKey], _activeTxIds[btcTx.pubKey], txId)) {
+                removed += btcTx.amount;
+                emit BTCStakeRemoved(txId, btcTx.pubKey, btcTx.amount);
+            }
+        }
+    }
+
+    /// @notice                      Links a new stake to the stake of the same pubKey it renews, once per stake
+    /// @dev                         addStake carries the lock multiplier of the renewed stake over to the new one
+    function renew(
+        mapping(bytes32 => BtcRewardIndex.BtcTx) storage _txs,
+        bytes32 _previousTxId,
+        bytes32 _txId
+    ) internal {
+        BtcRewardIndex.BtcTx storage previous = _txs[_previousTxId];
+        BtcRewardIndex.BtcTx storage renewal = _txs[_txId];
+        require(previous.amount > 0, "Invalid BTC txId");
+        require(previous.pubKey == renewal.pubKey, "Renewal from another pubKey");
+        require(previous.renewedBy == bytes32(0), "BTC stake already renewed");
+        require(renewal.endRound > previous.endRound, "Renewal must end later");
+        require(previous.endRound <= block.timestamp / 1 days + RENEWAL_WINDOW_DAYS, "BTC stake not expiring yet");
+
+        previous.renewedBy = _txId;
+        renewal.renewalOf = _previousTxId;
+        emit BTCStakeRenewed(_previousTxId, _txId, renewal.pubKey, BtcRewardIndex.lockMultiplier(previous));
+    }
+
+    /// @notice                      Moves the delegation of an unexpired recorded stake to another candidate
+    function transferDelegation(
+        mapping(bytes32 => BtcRewardIndex.BtcTx) storage _txs,
+        IBitcoinStake _bitcoinStake,
+        bytes32 _txId,
+        address _targetCandidate
+    ) public {
+        // Ensure the transaction exists in btcTxMap
+        BtcRewardIndex.BtcTx storage btcTx = _txs[_txId];
+        require(btcTx.amount > 0, "Invalid BTC txId");
+        // lockTime is absolute, the stake is expired from its end round on like in reconcile
+        require(btcTx.endRound > block.timestamp / 1 days, "BTC stake expired");
+
+        // Call the CoreDAO BitcoinStake contract to transfer delegation
+        try _bitcoinStake.transfer(_txId, _targetCandidate) {
+            emit BTCDelegationTransferred(_txId, _targetCandidate);
+        } catch Error(string memory reason) {
+            revert(reason);
+        } catch {
+            revert("bitcoinStake.transfer failed");
+        }
+    }
+
+    /// @notice                      Verifies a staking tx and stores it in `_txs`
+    function verify(
+        mapping(bytes32 => BtcRewardIndex.BtcTx) storage _txs,
+        IBitcoinStake _bitcoinStake,
+        bytes memory _btcTx,
+        bytes memory _script
+    ) internal returns (bytes32 txId, bytes20 pubKey) {
+        // Check the output BitcoinStake knows the stake by pays to the redeem script and the SAT+ payload delegates
+        // to us on this chain. The txId is computed without witness data, pubKey is the owner of the P2PKH, P2PK,
+        // multisig or P2TR lock.
+        txId = BitcoinHelper.calculateTxId(BitcoinHelper.stripWitness(_btcTx));
+        (, uint32 outputIndex,,,) = _bitcoinStake.btcTxMap(txId);
+        uint64 value;
+        address validator;
+        uint32 scriptLockTime;
+        (value, validator, scriptLockTime, pubKey) = BitcoinHelper.parseStakeTx(_btcTx, _script, address(this), outputIndex);
+        // Ensure that the txId is not already recorded.
+        BtcRewardIndex.BtcTx storage stake = _txs[txId];
+        require(stake.amount == 0, "BTC stake already recorded");
+
+        storeBtcTx(stake, _bitcoinStake, txId, value, scriptLockTime);
+        stake.startRound = checkReceipt(_bitcoinStake, txId, validator);
+        stake.pubKey = pubKey;
+    }
+
+    /// @notice                      Stores the amount and lock time known to BitcoinStake once they match the tx
+    function storeBtcTx(
+        BtcRewardIndex.BtcTx storage _stake,
+        IBitcoinStake _bitcoinStake,
+        bytes32 _txId,
+        uint64 _value,
+        uint256 _scriptLockTime
+    ) internal {
+        (uint64 amount,, uint64 blockTimestamp, uint32 lockTime,) = _bitcoinStake.btcTxMap(_txId);
+        require(amount > 0, "BTC tx not found in btcTxMap");
+        require(_value == amount, "BTC output value != staked amount");
+        require(lockTime == _scriptLockTime, "BTC tx lockTime != scriptLockTime");
+
+        (_stake.amount, _stake.lockTime, _stake.depositTime) = (amount, lockTime, blockTimestamp);
+        // First round (day) starting at or after lockTime, the stake earns every round closed before it
+        _stake.endRound = Math.ceilDiv(lockTime, 1 days);
+    }
+
+    /// @notice                      Checks the BitcoinStake receipt delegates to us through the payload validator
+    /// @return                      Round the stake started in
+    function checkReceipt(IBitcoinStake _bitcoinStake, bytes32 _txId, address _validator) internal view returns (uint256) {
+        (address candidate, address delegator, uint256 round) = _bitcoinStake.receiptMap(_txId);
+        require(delegator != address(0), "BTC tx not found in receiptMap");
+        require(delegator == address(this), "BTC tx does not delegate to us");
+        require(_validator == candidate, "BTC tx validator != receipt candidate");
+        return round;
+    }
+}
@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+// CORE rewards of the vltCORE fee shares, claimed as vltCORE
+interface IVaulterCoreRewards {
+    function claimRewards() external;
+}
+
+/// @title  FeeSplitter
+/// @notice Splits the protocol fees of VaulterCore, paid in CORE or minted as vltCORE, between weighted
+///         recipients such as the treasury, the agent operator gas refund and an insurance fund.
+///         distribute allocates the fees received since the last call by the current weights, each recipient
+///         then claims its own balance.
+contract FeeSplitter is AccessControl, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using Address for address payable;
+
+    // Recipients and weights, held by VaulterTimelock once deployed
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+    uint256 public constant MAX_RECIPIENTS = 10;
+    // Token address of native CORE
+    address public constant CORE = address(0);
+
+    address[] internal recipients;
+    mapping(address => uint256) public weights;
+    uint256 public totalWeight;
+
+    mapping(address => mapping(address => uint256)) public claimable; // token -> recipient -> allocated fees
+    mapping(address => uint256) public totalClaimable; // token -> allocated fees not claimed yet
+
+    event RecipientUpdated(address indexed recipient, uint256 weight);
+    event FeesDistributed(address indexed token, uint256 amount);
+    event FeesClaimed(address indexed recipient, address indexed token, uint256 amount);
+
+    constructor(address admin) {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(GOVERNANCE_ROLE, admin);
+    }
+
+    /// @notice                      Adds, reweights or removes (zero weight) a recipient
+    /// @dev                         Fees not distributed yet follow the new weights, distribute them first to
+    ///                              keep the previous split. A removed recipient keeps its claimable balances.
+    function setRecipient(address recipient, uint256 weight) external onlyRole(GOVERNANCE_ROLE) {
+        require(recipient != address(0), "Invalid recipient");
+        uint256 previous = weights[recipient];
+        if (previous == 0 && weight > 0) {
+            require(recipients.length < MAX_RECIPIENTS, "Too many recipients");
+            recipients.push(recipient);
+        } else if (previous > 0 && weight == 0) {
+            for (uint256 i = 0; i < recipients.length; i++) {
+                if (recipients[i] == recipient) {
+                    recipients[i] = recipients[recipients.length - 1];
+                    recipients.pop();
+                    break;
+                }
+            }
+        }
+        totalWeight = totalWeight - previous + weight;
+        weights[recipient] = weight;
+        emit RecipientUpdated(recipient, weight);
+    }
+
+    function getRecipients() external view returns (address[] memory) {
+        return recipients;
+    }
+
+    /// @notice                      Allocates the fees received since the last distribution by weight. Callable by anyone.
+    /// @param token                 CORE or an ERC-20 such as vltCORE
+    /// @return amount               Fees allocated
+    function distribute(address token) external nonReentrant returns (uint256 amount) {
+        return _distribute(token);
+    }
+
+    /// @notice                      Claims the CORE rewards the vltCORE fee shares earn in the vault, minted as more
+    ///                              vltCORE, and allocates the vltCORE held. Callable by anyone.
+    /// @param vault                 VaulterCore, whose vltCORE this contract holds
+    /// @return amount               vltCORE allocated
+    function claimVaultRewards(address vault) external nonReentrant returns (uint256 amount) {
+        IVaulterCoreRewards(vault).claimRewards();
+        return _distribute(vault);
+    }
+
+    function _distribute(address token) internal returns (uint256 amount) {
+        require(totalWeight > 0, "No recipients");
+        amount = _undistributed(token);
+        if (amount == 0) return 0;
+
+        uint256 allocated;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            // The last recipient gets the rounding dust
+            uint256 share = i == recipients.length - 1
+                ? amount - allocated
+                : amount * weights[recipients[i]] / totalWeight;
+            claimable[token][recipients[i]] += share;
+            allocated += share;
+        }
+        totalClaimable[token] += amount;
+        emit FeesDistributed(token, amount);
+    }
+
+    /// @notice                      Pays the caller its allocated fees of a token
+    function claim(address token) external nonReentrant returns (uint256 amount) {
+        amount = claimable[token][msg.sender];
+        require(amount > 0, "Nothing to claim");
+        claimable[token][msg.sender] = 0;
+        totalClaimable[token] -= amount;
+        if (token == CORE) {
+            payable(msg.sender).sendValue(amount);
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+        emit FeesClaimed(msg.sender, token, amount);
+    }
+
+    /// @notice                      Allocated fees of a recipient plus its share of the fees not distributed yet
+    function pendingFees(address token, address recipient) external view returns (uint256) {
+        if (totalWeight == 0) return claimable[token][recipient];
+        return claimable[token][recipient] + _undistributed(token) * weights[recipient] / totalWeight;
+    }
+
+    function _undistributed(address token) internal view returns (uint256) {
+        uint256 balance = token == CORE ? address(this).balance : IERC20(token).balanceOf(address(this));
+        return balance - totalClaimable[token];
+    }
+
+    // Protocol fees withdrawn from the vault in CORE
+    receive() external payable {}
+}
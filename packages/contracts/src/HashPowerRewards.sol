@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ICoreDAO.sol";
+
+/// @title  HashPowerRewards
+/// @notice Reward index of the BTC miners delegating hash power to the vault's validators with the vault as
+///         reward address. Miners register the hash power of the open round, and when the round closes their
+///         share of the hash power reward is spread over the power registered for it.
+/// @dev    The light client lists the vault, not the miners, as reward address of the blocks, so the operator
+///         attributes them to the miners. Registrations never exceed the blocks credited to the vault.
+library HashPowerRewards {
+    using Math for uint256;
+
+    uint256 internal constant PRECISION = 1e18;
+    // CoreDAO scores the candidates of a round by the BTC blocks they were credited 7 rounds earlier
+    uint256 internal constant POWER_ROUND_DELAY = 7;
+
+    struct Miner {
+        uint256 round;          // round of the registered hash power
+        uint256 power;          // hash power registered for that round, 0 once settled
+        uint256 pendingRewards; // CORE earned in closed rounds, not yet claimed
+    }
+
+    struct Index {
+        mapping(uint256 => uint256) totalPower;     // round -> hash power registered by miners
+        mapping(uint256 => uint256) rewardPerPower; // round -> CORE per unit of hash power, scaled by PRECISION
+        mapping(address => Miner) miners;
+    }
+
+    event HashPowerRegistered(address indexed miner, address indexed validator, uint256 indexed round, uint256 power);
+
+    /// @notice                      Registers blocks mined for a validator as the hash power of a miner for the
+    ///                              open round `_round`, up to the blocks the light client credits to the vault
+    /// @param _registered           Validator -> hash power registered for `_round`
+    function registerBlocks(
+        Index storage self,
+        mapping(address => uint256) storage _registered,
+        ILightClient _lightClient,
+        address _miner,
+        address _validator,
+        uint256 _round,
+        uint256 _power
+    ) public {
+        require(_power > 0, "No hash power delegated");
+        address[] memory miners = _lightClient.getRoundMiners(_round - POWER_ROUND_DELAY, _validator);
+        uint256 blocks;
+        for (uint256 i = 0; i < miners.length; i++) {
+            if (miners[i] == address(this)) blocks++;
+        }
+        _registered[_validator] += _power;
+        require(_registered[_validator] <= blocks, "Hash power exceeds the vault's blocks");
+        register(self, _miner, _validator, _round, _power);
+    }
+
+    /// @notice                      Registers the hash power of a miner for the open round `_round`, after
+    ///                              settling the rewards of its previous registration
+    /// @dev                         A miner whose blocks count for several validators registers each of them,
+    ///                              its hash power for the round adds up
+    function register(
+        Index storage self,
+        address _miner,
+        address _validator,
+        uint256 _round,
+        uint256 _power
+    ) public {
+        Miner storage miner = self.miners[_miner];
+        _settle(self, miner, _round);
+        miner.round = _round;
+        miner.power += _power;
+        self.totalPower[_round] += _power;
+        emit HashPowerRegistered(_miner, _validator, _round, _power);
+    }
+
+    /// @notice                      Settles a miner and clears its pending rewards
+    /// @param _openRound            Round the vault has not closed yet, its hash power has not earned yet
+    /// @return reward               CORE owed to the miner
+    function claim(Index storage self, address _miner, uint256 _openRound) public returns (uint256 reward) {
+        Miner storage miner = self.miners[_miner];
+        _settle(self, miner, _openRound);
+        reward = miner.pendingRewards;
+        miner.pendingRewards = 0;
+    }
+
+    function pendingRewards(Index storage self, address _miner, uint256 _openRound) public view returns (uint256) {
+        Miner storage miner = self.miners[_miner];
+        return miner.pendingRewards + _earned(self, miner, _openRound);
+    }
+
+    /// @notice                      Spreads the miners' reward of a closing round over its registered hash power
+    function distribute(Index storage self, uint256 _round, uint256 _reward) internal {
+        self.rewardPerPower[_round] = _reward.mulDiv(PRECISION, self.totalPower[_round]);
+    }
+
+    function _settle(Index storage self, Miner storage _miner, uint256 _openRound) private {
+        if (_miner.round >= _openRound) return;
+        _miner.pendingRewards += _earned(self, _miner, _openRound);
+        _miner.power = 0;
+    }
+
+    // Hash power only earns once its round is closed
+    function _earned(Index storage self, Miner storage _miner, uint256 _openRound) private view returns (uint256) {
+        if (_miner.power == 0 || _miner.round >= _openRound) return 0;
+        return _miner.power.mulDiv(self.rewardPerPower[_miner.round], PRECISION);
+    }
+}
@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface IStakeHub {
+    function claimReward() external returns (uint256[] memory rewards);
+}
+
+interface IBitcoinStake {
+    function btcTxMap(bytes32 txId) external view returns (uint64 amount, uint32 outputIndex, uint64 blockTimestamp, uint32 lockTime, uint32 usedHeight);
+    function receiptMap(bytes32 txId) external view returns (address candidate, address delegator, uint256 round);
+    function transfer(bytes32 txId, address targetCandidate) external;
+}
+
+// BtcLightClient of the CoreDAO genesis contracts, at 0x0000000000000000000000000000000000001003
+interface ILightClient {
+    // Reward address of each BTC block credited to a candidate in a round, one entry per block
+    function getRoundMiners(uint256 roundTimeTag, address candidate) external view returns (address[] memory miners);
+}
+
+interface ICoreAgent {
+    struct CoinDelegator {
+        uint256 stakedAmount;
+        uint256 realtimeAmount;
+        uint256 transferredAmount;
+        uint256 changeRound;
+    }
+
+    struct Candidate {
+        uint256 amount;
+        uint256 realtimeAmount;
+        uint256[] continuousRewardEndRounds;
+    }
+
+    struct Delegator {
+        address[] candidates;
+        uint256 amount;
+    }
+
+    struct Reward {
+        uint256 reward;
+        uint256 accStakedAmount;
+    }
+    
+    function roundTag() external view returns (uint256);
+
+    function getDelegator(address candidate, address delegator) external view returns (CoinDelegator memory);
+    function getCandidateListByDelegator(address delegator) external view returns (address[] memory);
+    function requiredCoinDeposit() external view returns (uint256);
+
+    function delegateCoin(address candidate) external payable;
+    function undelegateCoin(address candidate, uint256 amount) external payable;
+    function transferCoin(address sourceCandidate, address targetCandidate, uint256 amount) external;
+
+}
+
+interface IWCORE is IERC20 {
+    function deposit() external payable;
+    function withdraw(uint256 amount) external;
+}
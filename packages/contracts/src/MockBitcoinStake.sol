@@ -22,12 +22,18 @@ contract MockBitcoinStake {
     mapping(bytes32 => Receipt) public receiptMap;
 
     function addBtcTx(bytes calldata btcTx, uint64 amount, uint32 outputIndex, uint32 lockTime, uint32 usedHeight) external {
-        bytes32 txId = BitcoinHelper.calculateTxId(btcTx);
+        bytes32 txId = BitcoinHelper.calculateTxId(BitcoinHelper.stripWitness(btcTx));
         btcTxMap[txId] = BtcTx(amount, outputIndex, block.timestamp, lockTime, usedHeight);
     }
 
     function addReceipt(bytes calldata btcTx, address delegator, uint256 round) external {
-        bytes32 txId = BitcoinHelper.calculateTxId(btcTx);
+        bytes32 txId = BitcoinHelper.calculateTxId(BitcoinHelper.stripWitness(btcTx));
         receiptMap[txId] = Receipt(address(this), delegator, round);
     }
+
+    function transfer(bytes32 txId, address targetCandidate) external {
+        Receipt storage receipt = receiptMap[txId];
+        require(receipt.delegator == msg.sender, "not the delegator of the BTC tx");
+        receipt.candidate = targetCandidate;
+    }
 }
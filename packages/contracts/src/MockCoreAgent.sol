@@ -22,30 +22,45 @@ contract MockCoreAgent {
     // Nested mapping: candidate => delegator => CoinDelegator info.
     mapping(address => mapping(address => CoinDelegator)) public delegations;
 
+    // When set, undelegated CORE is held until releaseUndelegated is called,
+    // like the real CoreAgent settling undelegations on a later round.
+    bool public delayUndelegate;
+    mapping(address => uint256) public pendingUndelegated;
+
+    // Minimum CORE of a delegation or transfer, like the real CoreAgent
+    uint256 public requiredCoinDeposit;
+
+    function setRequiredCoinDeposit(uint256 _amount) external {
+        requiredCoinDeposit = _amount;
+    }
+
     function setRound(uint256 _round) external {
         roundTag = _round;
     }
 
+    function setDelayUndelegate(bool _delay) external {
+        delayUndelegate = _delay;
+    }
+
+    // Send the held undelegated CORE back to the delegator.
+    // A proxied delegator needs more than the 2300 gas of transfer to receive it.
+    function releaseUndelegated(address delegator) external {
+        uint256 amount = pendingUndelegated[delegator];
+        pendingUndelegated[delegator] = 0;
+        (bool success, ) = payable(delegator).call{value: amount}("");
+        require(success, "Release failed");
+    }
+
     // Mock function to simulate staking CORE.
     // The caller (delegator) specifies a validator (candidate) and sends ETH.
     function delegateCoin(address validator) external payable {
         uint256 amount = msg.value;
+        require(amount >= requiredCoinDeposit, "delegate amount is too small");
         // Update totals.
         stakedAmounts[validator] += amount;
         delegatedAmounts[msg.sender] += amount;
         
-        // If the candidate is not already in the delegator's candidate list, add it.
-        bool found = false;
-        address[] storage candidates = candidateList[msg.sender];
-        for (uint256 i = 0; i < candidates.length; i++) {
-            if (candidates[i] == validator) {
-                found = true;
-                break;
-            }
-        }
-        if (!found) {
-            candidates.push(validator);
-        }
+        _addCandidate(msg.sender, validator);
         
         // Update the delegation info.
         CoinDelegator storage info = delegations[validator][msg.sender];
@@ -71,7 +86,32 @@ contract MockCoreAgent {
         }
         
         // Return funds to the caller.
-        payable(msg.sender).transfer(amount);
+        if (delayUndelegate) {
+            pendingUndelegated[msg.sender] += amount;
+        } else {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Undelegate payment failed");
+        }
+    }
+
+    // Mock function to simulate CoreAgent undelegating and paying back a delegation by itself.
+    function forceUndelegate(address validator, address delegator, uint256 amount) external {
+        stakedAmounts[validator] -= amount;
+        delegatedAmounts[delegator] -= amount;
+        CoinDelegator storage info = delegations[validator][delegator];
+        info.stakedAmount -= amount;
+        info.realtimeAmount -= amount;
+        (bool success, ) = payable(delegator).call{value: amount}("");
+        require(success, "Undelegate payment failed");
+    }
+
+    // Mock function to simulate a slashing of a delegation.
+    function slash(address validator, address delegator, uint256 amount) external {
+        stakedAmounts[validator] -= amount;
+        delegatedAmounts[delegator] -= amount;
+        CoinDelegator storage info = delegations[validator][delegator];
+        info.stakedAmount -= amount;
+        info.realtimeAmount -= amount;
     }
 
     // Get the candidate list (i.e. validators) for a given delegator.
@@ -84,10 +124,36 @@ contract MockCoreAgent {
         return delegations[candidate][delegator];
     }
 
-    // A simple mock for transferCoin (not used in our tests).
+    // Mock function to simulate moving a delegation between candidates.
     function transferCoin(address sourceCandidate, address targetCandidate, uint256 amount) external {
+        require(amount >= requiredCoinDeposit, "delegate amount is too small");
         require(stakedAmounts[sourceCandidate] >= amount, "Not enough staked at source");
         stakedAmounts[sourceCandidate] -= amount;
         stakedAmounts[targetCandidate] += amount;
+
+        CoinDelegator storage source = delegations[sourceCandidate][msg.sender];
+        require(source.stakedAmount >= amount, "Not enough delegated");
+        require(
+            source.realtimeAmount == amount || source.realtimeAmount >= amount + requiredCoinDeposit,
+            "remain amount is too small"
+        );
+        source.stakedAmount -= amount;
+        source.realtimeAmount -= amount;
+
+        _addCandidate(msg.sender, targetCandidate);
+        CoinDelegator storage target = delegations[targetCandidate][msg.sender];
+        target.stakedAmount += amount;
+        target.realtimeAmount += amount;
+    }
+
+    // If the candidate is not already in the delegator's candidate list, add it.
+    function _addCandidate(address delegator, address candidate) internal {
+        address[] storage candidates = candidateList[delegator];
+        for (uint256 i = 0; i < candidates.length; i++) {
+            if (candidates[i] == candidate) {
+                return;
+            }
+        }
+        candidates.push(candidate);
     }
 }
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+contract MockLightClient {
+    // round => candidate => reward address of each block
+    mapping(uint256 => mapping(address => address[])) internal roundMiners;
+
+    // Mock function to credit `blocks` BTC blocks of a round to a candidate, paying `rewardAddress`
+    function addRoundMiners(uint256 roundTimeTag, address candidate, address rewardAddress, uint256 blocks) external {
+        for (uint256 i = 0; i < blocks; i++) {
+            roundMiners[roundTimeTag][candidate].push(rewardAddress);
+        }
+    }
+
+    function getRoundMiners(uint256 roundTimeTag, address candidate) external view returns (address[] memory) {
+        return roundMiners[roundTimeTag][candidate];
+    }
+}
@@ -8,6 +8,11 @@ contract MockStakeHub {
         rewards.push(reward);
     }
 
+    // Rewards by asset: CORE, hash power and BTC staking
+    function setRewards(uint256[] calldata _rewards) external {
+        rewards = _rewards;
+    }
+
     function claimReward() external view returns (uint256[] memory) {
         return rewards;
     }
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "./VaulterCore.sol";
+
+// Next VaulterCore version used by the upgrade tests, it appends a state variable set by a reinitializer.
+contract MockVaulterCoreV2 is VaulterCore {
+    uint256 public upgradeRound;
+
+    constructor(VaulterCoreExtension _extension) VaulterCore(_extension) {}
+
+    function initializeV2() external reinitializer(2) {
+        upgradeRound = roundTag;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockWCORE
+ * @dev A WETH9-style wrapped CORE token for testing purposes.
+ */
+contract MockWCORE is ERC20 {
+    constructor() ERC20("Wrapped CORE", "WCORE") {}
+
+    /**
+     * @dev Wraps the sent CORE 1:1 into WCORE.
+     */
+    function deposit() public payable {
+        _mint(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Burns WCORE and sends back the same amount of CORE.
+     * @param amount Amount of WCORE to unwrap.
+     */
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        payable(msg.sender).transfer(amount);
+    }
+
+    receive() external payable {
+        deposit();
+    }
+}
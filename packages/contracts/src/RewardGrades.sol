@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+/// @title  RewardGrades
+/// @notice Splits the round rewards between BTC stakers and CORE depositors by grading how far the vault's
+///         BTC/CORE ratio deviates from the target ratio.
+library RewardGrades {
+    uint256 internal constant MIN_BTC_STAKED = 1e5;   // minimal BTC stake (e.g. 0.001 BTC)
+    uint256 internal constant MIN_CORE_STAKED = 1e19;  // minimal CORE stake (e.g. 10 CORE in wei)
+    uint256 internal constant CORE_DECIMALS = 1e18;
+
+    // Grade structure: each grade defines a deviation interval (D in fixed-point)
+    // and the corresponding BTC reward ratio (in basis points).
+    struct Grade {
+        uint256 lowerBound; // inclusive, e.g., 0
+        uint256 upperBound; // exclusive, e.g., 0.7e18 for grade 0
+        uint256 btcRewardRatio; // in basis points (0 to 10000)
+    }
+
+    /// @notice                      BTC reward ratio for the current totals, CORE depositors get the rest
+    /// @param _grades               The 5 grades, in deviation factor of currentRatio/targetRatio
+    /// @return                      BTC reward ratio in basis points
+    function btcRewardRatio(
+        Grade[5] storage _grades,
+        uint256 _totalBTCStaked,
+        uint256 _totalCoreDeposits,
+        uint256 _targetRatio,
+        uint256 _reserveRatio
+    ) public view returns (uint256) {
+        if (_totalBTCStaked < MIN_BTC_STAKED) {
+            return 8000;
+        }
+        if (_totalCoreDeposits < MIN_CORE_STAKED) {
+            return 2000;
+        }
+
+        // Compute the current ratio in fixed-point:
+        uint256 currentRatio = (_totalBTCStaked * CORE_DECIMALS) / (_totalCoreDeposits);
+        // Compute the deviation factor D = currentRatio / targetRatio.
+        uint256 D_fixed = (currentRatio * 1000) / ( _targetRatio * 100 / _reserveRatio);
+
+        // Now, using our fixed 5-grade table, determine the applicable BTC reward ratio.
+        // The grades are defined in terms of D_fixed.
+        for (uint256 i = 0; i < 5; i++) {
+            if (D_fixed >= _grades[i].lowerBound && D_fixed < _grades[i].upperBound) {
+                return _grades[i].btcRewardRatio;
+            }
+        }
+        return 5000; // default
+    }
+}
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title  RoundReports
+/// @notice Accounting snapshot of every round closed by the vault, with the trailing yields of CORE depositors
+///         and BTC stakers computed from the latest reports.
+library RoundReports {
+    using Math for uint256;
+
+    uint256 internal constant PRECISION = 1e18;
+    uint256 internal constant ROUNDS_PER_YEAR = 365; // CoreDAO rounds are daily
+
+    struct Report {
+        uint256 roundTag;
+        uint256 timestamp;
+        uint256 totalReward;       // CORE claimed from the stake hub
+        uint256 fee;               // platform fee taken from totalReward
+        uint256 btcReward;         // CORE for BTC stakers
+        uint256 coreReward;        // CORE for depositors
+        uint256 btcRewardRatio;    // BTC share of the net reward, in basis points
+        uint256 totalBTCStaked;    // sats sharing btcReward
+        uint256 totalCoreDeposits; // CORE deposits sharing coreReward
+        uint256 totalCoreStaked;
+        uint256 pricePerShare;     // CORE per 1e18 vltCORE once the round is closed
+        uint256[] assetRewards;    // CORE claimed per reward asset: CORE, hash power and BTC staking
+        uint256 hashPowerReward;   // CORE for hash power miners
+    }
+
+    struct History {
+        uint256[] rounds; // roundTags in closing order
+        mapping(uint256 => Report) reports; // roundTag -> report
+    }
+
+    event RoundReported(
+        uint256 indexed roundTag,
+        uint256 totalReward,
+        uint256 fee,
+        uint256 btcReward,
+        uint256 coreReward,
+        uint256 pricePerShare
+    );
+
+    function record(History storage self, Report memory _report) public {
+        self.rounds.push(_report.roundTag);
+        self.reports[_report.roundTag] = _report;
+        emit RoundReported(
+            _report.roundTag,
+            _report.totalReward,
+            _report.fee,
+            _report.btcReward,
+            _report.coreReward,
+            _report.pricePerShare
+        );
+    }
+
+    /// @notice                      Reports in closing order, starting at the `_offset`-th closed round
+    function page(History storage self, uint256 _offset, uint256 _limit) public view returns (Report[] memory reports) {
+        uint256 end = Math.min(self.rounds.length, _offset + _limit);
+        reports = new Report[](end > _offset ? end - _offset : 0);
+        for (uint256 i = 0; i < reports.length; i++) {
+            reports[i] = self.reports[self.rounds[_offset + i]];
+        }
+    }
+
+    /// @notice                      CORE earned per CORE deposited over the last `_rounds` rounds
+    /// @return yield                Sum of the round yields, scaled by 1e18
+    /// @return apy                  Yield annualized over 365 daily rounds, scaled by 1e18
+    function coreYield(History storage self, uint256 _rounds) public view returns (uint256 yield, uint256 apy) {
+        (uint256 first, uint256 count) = _window(self, _rounds);
+        for (uint256 i = first; i < first + count; i++) {
+            Report storage report = self.reports[self.rounds[i]];
+            if (report.totalCoreDeposits > 0) {
+                yield += report.coreReward.mulDiv(PRECISION, report.totalCoreDeposits);
+            }
+        }
+        apy = count > 0 ? yield * ROUNDS_PER_YEAR / count : 0;
+    }
+
+    /// @notice                      CORE earned per staked sat over the last `_rounds` rounds
+    /// @return rewardPerSat         CORE (wei) per sat, scaled by 1e18 like btcRewardPerSat
+    /// @return annualRewardPerSat   rewardPerSat annualized over 365 daily rounds
+    function btcYield(
+        History storage self,
+        uint256 _rounds
+    ) public view returns (uint256 rewardPerSat, uint256 annualRewardPerSat) {
+        (uint256 first, uint256 count) = _window(self, _rounds);
+        for (uint256 i = first; i < first + count; i++) {
+            Report storage report = self.reports[self.rounds[i]];
+            if (report.totalBTCStaked > 0) {
+                rewardPerSat += report.btcReward.mulDiv(PRECISION, report.totalBTCStaked);
+            }
+        }
+        annualRewardPerSat = count > 0 ? rewardPerSat * ROUNDS_PER_YEAR / count : 0;
+    }
+
+    // The last `_rounds` reports, fewer when less rounds were closed
+    function _window(History storage self, uint256 _rounds) private view returns (uint256 first, uint256 count) {
+        count = Math.min(_rounds, self.rounds.length);
+        first = self.rounds.length - count;
+    }
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "./BtcClaims.sol";
+
+/// @title  ShareVotes
+/// @notice ERC20Votes checkpoints and ERC-2612 permits of vltCORE. Voting units are vltCORE balances and only
+///         count once their holder delegates them, e.g. to itself. The clock is the block number (ERC-6372).
+/// @dev    Called through delegatecall, permits and delegations are signed in the EIP-712 domain of BtcClaims.
+library ShareVotes {
+    using Checkpoints for Checkpoints.Trace208;
+
+    bytes32 internal constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 internal constant DELEGATION_TYPEHASH =
+        keccak256("Delegation(address delegatee,uint256 nonce,uint256 expiry)");
+
+    struct Votes {
+        mapping(address => address) delegatee; // account -> delegate of its voting units
+        mapping(address => Checkpoints.Trace208) delegateCheckpoints; // delegate -> votes by block
+        Checkpoints.Trace208 totalCheckpoints; // total supply by block
+        mapping(address => uint256) nonces; // next permit or delegation nonce of an account
+    }
+
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVotesChanged(address indexed delegate, uint256 previousVotes, uint256 newVotes);
+
+    /// @notice                      Moves the votes of a mint (from = 0), burn (to = 0) or transfer
+    function transferVotingUnits(Votes storage self, address _from, address _to, uint256 _amount) public {
+        if (_from == address(0)) {
+            _push(self.totalCheckpoints, _amount, true);
+        }
+        if (_to == address(0)) {
+            _push(self.totalCheckpoints, _amount, false);
+        }
+        _moveDelegateVotes(self, self.delegatee[_from], self.delegatee[_to], _amount);
+    }
+
+    /// @param _units                vltCORE balance of the account
+    function delegate(Votes storage self, address _account, address _delegatee, uint256 _units) public {
+        address oldDelegate = self.delegatee[_account];
+        self.delegatee[_account] = _delegatee;
+        emit DelegateChanged(_account, oldDelegate, _delegatee);
+        _moveDelegateVotes(self, oldDelegate, _delegatee, _units);
+    }
+
+    /// @notice                      Verifies an ERC-2612 Permit signed by the owner and consumes its nonce
+    function usePermit(
+        Votes storage self,
+        address _owner,
+        address _spender,
+        uint256 _value,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) public {
+        require(block.timestamp <= _deadline, "Permit expired");
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TYPEHASH, _owner, _spender, _value, self.nonces[_owner]++, _deadline)
+        );
+        require(ECDSA.recover(_hashTypedData(structHash), _v, _r, _s) == _owner, "Invalid permit signature");
+    }
+
+    /// @notice                      Verifies a Delegation and consumes the nonce of its signer
+    /// @return signer               Account delegating its votes
+    function useDelegation(
+        Votes storage self,
+        address _delegatee,
+        uint256 _nonce,
+        uint256 _expiry,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) public returns (address signer) {
+        require(block.timestamp <= _expiry, "Delegation expired");
+        bytes32 structHash = keccak256(abi.encode(DELEGATION_TYPEHASH, _delegatee, _nonce, _expiry));
+        signer = ECDSA.recover(_hashTypedData(structHash), _v, _r, _s);
+        require(_nonce == self.nonces[signer]++, "Invalid delegation nonce");
+    }
+
+    function getPastVotes(Votes storage self, address _account, uint256 _timepoint) public view returns (uint256) {
+        return self.delegateCheckpoints[_account].upperLookupRecent(_pastClock(_timepoint));
+    }
+
+    function getPastTotalSupply(Votes storage self, uint256 _timepoint) public view returns (uint256) {
+        return self.totalCheckpoints.upperLookupRecent(_pastClock(_timepoint));
+    }
+
+    function clock() internal view returns (uint48) {
+        return SafeCast.toUint48(block.number);
+    }
+
+    function _pastClock(uint256 _timepoint) private view returns (uint48) {
+        require(_timepoint < clock(), "Future lookup");
+        return SafeCast.toUint48(_timepoint);
+    }
+
+    function _moveDelegateVotes(Votes storage self, address _from, address _to, uint256 _amount) private {
+        if (_from == _to || _amount == 0) return;
+        if (_from != address(0)) {
+            (uint256 oldVotes, uint256 newVotes) = _push(self.delegateCheckpoints[_from], _amount, false);
+            emit DelegateVotesChanged(_from, oldVotes, newVotes);
+        }
+        if (_to != address(0)) {
+            (uint256 oldVotes, uint256 newVotes) = _push(self.delegateCheckpoints[_to], _amount, true);
+            emit DelegateVotesChanged(_to, oldVotes, newVotes);
+        }
+    }
+
+    // Checkpoints the value of a trace in the current block, reverts above 2^208 - 1 like ERC20Votes
+    function _push(
+        Checkpoints.Trace208 storage _trace,
+        uint256 _amount,
+        bool _increase
+    ) private returns (uint256 oldValue, uint256 newValue) {
+        oldValue = _trace.latest();
+        newValue = _increase ? oldValue + _amount : oldValue - _amount;
+        _trace.push(clock(), SafeCast.toUint208(newValue));
+    }
+
+    function _hashTypedData(bytes32 _structHash) private view returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", BtcClaims.domainSeparator(), _structHash));
+    }
+}
@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ICoreDAO.sol";
+
+/// @title  ValidatorRegistry
+/// @notice Allowlist of the validators the vault delegates CORE to, with target weights and per-validator caps.
+///         Rebalancing stakes new CORE and transfers existing CORE toward the capped target of every validator.
+/// @dev    Called through delegatecall, so address(this) is the vault delegating to CoreAgent.
+library ValidatorRegistry {
+    using Math for uint256;
+
+    uint256 internal constant MAX_VALIDATORS = 20;
+
+    struct Validator {
+        uint256 weight; // target share of the staked CORE, relative to the total weight
+        uint256 cap;    // max CORE delegated to the validator, 0 for no cap
+        bool allowed;   // new CORE can be delegated to the validator
+        bool listed;    // in Registry.validators, listed validators are never removed
+    }
+
+    struct Registry {
+        address[] validators;
+        mapping(address => Validator) info;
+        uint256 totalWeight;
+    }
+
+    event ValidatorUpdated(address indexed validator, uint256 weight, uint256 cap, bool allowed);
+    event COREStaked(address indexed validator, uint256 amount);
+    event COREStakeTransferred(address indexed sourceCandidate, address indexed targetCandidate, uint256 amount);
+    event COREUnstaked(address indexed candidate, uint256 amount);
+
+    /// @notice                      Lists or updates a validator
+    /// @dev                         A validator that is not allowed keeps a zero weight, so rebalancing drains it
+    function setValidator(
+        Registry storage self,
+        address _validator,
+        uint256 _weight,
+        uint256 _cap,
+        bool _allowed
+    ) public {
+        require(_validator != address(0), "Invalid validator");
+        require(_allowed || _weight == 0, "Validator not allowed");
+        Validator storage validator = self.info[_validator];
+        if (!validator.listed) {
+            require(self.validators.length < MAX_VALIDATORS, "Too many validators");
+            self.validators.push(_validator);
+            validator.listed = true;
+        }
+        self.totalWeight = self.totalWeight - validator.weight + _weight;
+        (validator.weight, validator.cap, validator.allowed) = (_weight, _cap, _allowed);
+        emit ValidatorUpdated(_validator, _weight, _cap, _allowed);
+    }
+
+    /// @notice                      Reverts unless `_amount` more CORE can be delegated to the validator
+    function checkDelegation(
+        Registry storage self,
+        ICoreAgent _coreAgent,
+        address _validator,
+        uint256 _amount
+    ) public view {
+        Validator storage validator = self.info[_validator];
+        require(validator.allowed, "Validator not allowed");
+        require(
+            validator.cap == 0 || stakeOf(_coreAgent, _validator) + _amount <= validator.cap,
+            "Validator cap exceeded"
+        );
+    }
+
+    /// @notice                      Delegates `_amount` CORE to an allowed validator, under its cap
+    function stake(Registry storage self, ICoreAgent _coreAgent, address _validator, uint256 _amount) public {
+        checkDelegation(self, _coreAgent, _validator, _amount);
+        _delegate(_coreAgent, _validator, _amount);
+    }
+
+    /// @notice                      Moves the delegations toward the capped target of every listed validator
+    /// @dev                         New CORE fills the shortfalls in listing order, then CORE above
+    ///                              target is transferred to the validators still below target. CORE that no
+    ///                              validator can take under its cap stays undelegated. Moves below the CoreAgent
+    ///                              minimum are skipped, and a source keeps at least the minimum unless emptied.
+    /// @param _newStake             New CORE available for delegation
+    /// @return staked               New CORE delegated
+    function rebalance(Registry storage self, ICoreAgent _coreAgent, uint256 _newStake) public returns (uint256 staked) {
+        require(self.totalWeight > 0, "No validator weights");
+        address[] storage validators = self.validators;
+        (uint256[] memory current, uint256[] memory target) = _targets(self, _coreAgent, _newStake);
+        uint256 minimum = _requiredDeposit(_coreAgent);
+
+        // New CORE first
+        for (uint256 i = 0; i < validators.length && staked < _newStake; i++) {
+            if (current[i] >= target[i]) continue;
+            uint256 amount = Math.min(target[i] - current[i], _newStake - staked);
+            if (amount < minimum) continue;
+            _delegate(_coreAgent, validators[i], amount);
+            current[i] += amount;
+            staked += amount;
+        }
+
+        // Then transfers from the validators above target
+        uint256 source = 0;
+        for (uint256 i = 0; i < validators.length; i++) {
+            while (current[i] < target[i]) {
+                while (source < validators.length && current[source] <= target[source]) source++;
+                if (source == validators.length) return staked;
+                uint256 amount = Math.min(target[i] - current[i], current[source] - target[source]);
+                uint256 left = current[source] - amount;
+                if (left > 0 && left < minimum) amount = current[source] > minimum ? current[source] - minimum : 0;
+                if (amount < minimum || amount == 0) {
+                    // Too small a shortfall skips the target, too small a surplus skips the source
+                    if (target[i] - current[i] < minimum) break;
+                    source++;
+                    continue;
+                }
+                _transfer(_coreAgent, validators[source], validators[i], amount);
+                current[source] -= amount;
+                current[i] += amount;
+            }
+        }
+    }
+
+    /// @notice                      Delegates new CORE toward the capped target weights, without moving the existing stake
+    /// @dev                         Made for the round close: amounts below the CoreAgent minimum stay undelegated
+    ///                              and a failing delegateCoin is skipped instead of reverting
+    /// @param _newStake             New CORE available for delegation
+    /// @return staked               New CORE delegated
+    function compound(Registry storage self, ICoreAgent _coreAgent, uint256 _newStake) public returns (uint256 staked) {
+        if (self.totalWeight == 0) return 0;
+        address[] storage validators = self.validators;
+        (uint256[] memory current, uint256[] memory target) = _targets(self, _coreAgent, _newStake);
+        uint256 minimum = _requiredDeposit(_coreAgent);
+
+        for (uint256 i = 0; i < validators.length && staked < _newStake; i++) {
+            if (current[i] >= target[i]) continue;
+            uint256 amount = Math.min(target[i] - current[i], _newStake - staked);
+            if (amount < minimum) continue;
+            try _coreAgent.delegateCoin{value: amount}(validators[i]) {
+                staked += amount;
+                emit COREStaked(validators[i], amount);
+            } catch {}
+        }
+    }
+
+    /// @notice                      Moves delegated CORE to an allowed validator, under its cap
+    function transfer(
+        Registry storage self,
+        ICoreAgent _coreAgent,
+        address _sourceCandidate,
+        address _targetCandidate,
+        uint256 _amount
+    ) public {
+        checkDelegation(self, _coreAgent, _targetCandidate, _amount);
+        _transfer(_coreAgent, _sourceCandidate, _targetCandidate, _amount);
+    }
+
+    /// @notice                      Current stake and capped target stake of every listed validator once `_newStake`
+    ///                              more CORE is delegated
+    function _targets(
+        Registry storage self,
+        ICoreAgent _coreAgent,
+        uint256 _newStake
+    ) private view returns (uint256[] memory current, uint256[] memory target) {
+        address[] storage validators = self.validators;
+        current = new uint256[](validators.length);
+        uint256 total = _newStake;
+        for (uint256 i = 0; i < validators.length; i++) {
+            current[i] = stakeOf(_coreAgent, validators[i]);
+            total += current[i];
+        }
+
+        target = new uint256[](validators.length);
+        for (uint256 i = 0; i < validators.length; i++) {
+            Validator storage validator = self.info[validators[i]];
+            target[i] = total.mulDiv(validator.weight, self.totalWeight);
+            if (validator.cap != 0 && target[i] > validator.cap) {
+                target[i] = validator.cap;
+            }
+        }
+    }
+
+    // Minimum CORE of a CoreAgent delegation or transfer, 0 if CoreAgent does not tell
+    function _requiredDeposit(ICoreAgent _coreAgent) private view returns (uint256 minimum) {
+        try _coreAgent.requiredCoinDeposit() returns (uint256 required) {
+            minimum = required;
+        } catch {}
+    }
+
+    function _delegate(ICoreAgent _coreAgent, address _validator, uint256 _amount) private {
+        try _coreAgent.delegateCoin{value: _amount}(_validator) {
+            emit COREStaked(_validator, _amount);
+        } catch Error(string memory reason) {
+            revert(reason);
+        } catch {
+            revert("delegateCoin failed");
+        }
+    }
+
+    function _transfer(ICoreAgent _coreAgent, address _sourceCandidate, address _targetCandidate, uint256 _amount) private {
+        try _coreAgent.transferCoin(_sourceCandidate, _targetCandidate, _amount) {
+            emit COREStakeTransferred(_sourceCandidate, _targetCandidate, _amount);
+        } catch Error(string memory reason) {
+            revert(reason);
+        } catch {
+            revert("transferCoin failed");
+        }
+    }
+
+    /// @notice                      Undelegates `_amount` CORE, looping through the candidates of the vault in order
+    function unstake(ICoreAgent _coreAgent, uint256 _amount) public {
+        address[] memory candidates;
+        try _coreAgent.getCandidateListByDelegator(address(this)) returns (address[] memory _candidates) {
+            candidates = _candidates;
+        } catch {
+            revert("getCandidateListByDelegator failed");
+        }
+        uint256 remainingAmount = _amount;
+
+        for (uint256 i = 0; i < candidates.length && remainingAmount > 0; i++) {
+            uint256 availableStake;
+            try _coreAgent.getDelegator(candidates[i], address(this)) returns (ICoreAgent.CoinDelegator memory delegatorInfo) {
+                availableStake = delegatorInfo.realtimeAmount;
+            } catch {
+                continue;
+            }
+            if (availableStake == 0) continue;
+            uint256 unstakeAmount = availableStake >= remainingAmount ? remainingAmount : availableStake;
+            try _coreAgent.undelegateCoin(candidates[i], unstakeAmount) {
+                remainingAmount -= unstakeAmount;
+                emit COREUnstaked(candidates[i], unstakeAmount);
+            } catch Error(string memory reason) {
+                revert(reason);
+            } catch {
+                revert("undelegateCoin failed");
+            }
+        }
+        require(remainingAmount == 0, "Could not unstake enough funds");
+    }
+
+    /// @notice                      Undelegates all the CORE it can, skipping the candidates whose undelegation fails
+    /// @return unstaked             CORE undelegated
+    function unstakeAll(ICoreAgent _coreAgent) public returns (uint256 unstaked) {
+        address[] memory candidates = _coreAgent.getCandidateListByDelegator(address(this));
+        for (uint256 i = 0; i < candidates.length; i++) {
+            uint256 amount = stakeOf(_coreAgent, candidates[i]);
+            if (amount == 0) continue;
+            try _coreAgent.undelegateCoin(candidates[i], amount) {
+                unstaked += amount;
+                emit COREUnstaked(candidates[i], amount);
+            } catch {}
+        }
+    }
+
+    /// @notice                      CORE the vault currently delegates to all its candidates
+    function totalStake(ICoreAgent _coreAgent) public view returns (uint256 total) {
+        address[] memory candidates = _coreAgent.getCandidateListByDelegator(address(this));
+        for (uint256 i = 0; i < candidates.length; i++) {
+            total += stakeOf(_coreAgent, candidates[i]);
+        }
+    }
+
+    /// @notice                      CORE the vault currently delegates to a validator
+    function stakeOf(ICoreAgent _coreAgent, address _validator) internal view returns (uint256) {
+        return _coreAgent.getDelegator(_validator, address(this)).realtimeAmount;
+    }
+}
@@ -1,274 +1,292 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.23;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
-import "./BitcoinHelper.sol"; 
-
-interface IStakeHub {
-    function claimReward() external returns (uint256[] memory rewards);
-}
+import "./BtcStaking.sol";
+import "./VaulterCoreBase.sol";
+import "./VaulterCoreExtension.sol";
+
+/// @title  VaulterCore
+/// @notice ERC-4626 vault of CORE depositors and BTC stakers, deployed behind a UUPS proxy (VaulterCoreProxy).
+///         Deposits, withdrawals, staking and round closing live here, every other selector is delegated to
+///         VaulterCoreExtension. Storage is declared in VaulterCoreBase.
+/// @dev    Upgrades go through upgradeToAndCall by the GOVERNANCE_ROLE, see scripts/upgradeVL.js.
+contract VaulterCore is VaulterCoreBase, IERC4626, Initializable, UUPSUpgradeable, Proxy {
+    using Address for address payable;
+    using SafeERC20 for IWCORE;
+    using Math for uint256;
+    using WithdrawalQueue for WithdrawalQueue.Queue;
+    using BtcRewardIndex for BtcRewardIndex.Index;
+    using ValidatorRegistry for ValidatorRegistry.Registry;
+    using RoundReports for RoundReports.History;
+    using HashPowerRewards for HashPowerRewards.Index;
+
+    // Governance, BTC reward claims, emergency mode and views, deployed with the same immutables
+    VaulterCoreExtension public immutable extension;
+
+    constructor(VaulterCoreExtension _extension) VaulterCoreBase(
+        _extension.stakeHub(), _extension.bitcoinStake(), _extension.coreAgent(), _extension.wcore()
+    ) {
+        extension = _extension;
+        _disableInitializers();
+    }
+
+    /// @notice                      Sets the roles and default parameters, called once by the proxy constructor
+    /// @param admin                 Holder of DEFAULT_ADMIN_ROLE and of the operator, guardian, treasury and
+    ///                              governance roles until they are handed over
+    function initialize(address admin) external initializer {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(OPERATOR_ROLE, admin);
+        _grantRole(GUARDIAN_ROLE, admin);
+        _grantRole(TREASURY_ROLE, admin);
+        _grantRole(GOVERNANCE_ROLE, admin);
+
+        btcRewardRatio = 5000;
+        coreRewardRatio = 5000;
+        platformFee = 500; // 5%
+        reserveRatio = 200;
+        targetRatio = BTC_DECIMALS / 8000;
 
-interface IBitcoinStake {
-    function btcTxMap(bytes32 txId) external view returns (uint64 amount, uint32 outputIndex, uint64 blockTimestamp, uint32 lockTime, uint32 usedHeight);
-    function receiptMap(bytes32 txId) external view returns (address candidate, address delegator, uint256 round);
-    function transfer(bytes32 txId, address targetCandidate) external;
-}
+        // Set up 5 default grades.
+        // All bounds are in a deviation factor of currentRatio/targetRatio.
+        grades[0] = RewardGrades.Grade(0, 100, 8000);
+        grades[1] = RewardGrades.Grade(100, 500, 6500);
+        grades[2] = RewardGrades.Grade(500, 1400, 5000);
+        grades[3] = RewardGrades.Grade(1400, 10000, 4500);
+        grades[4] = RewardGrades.Grade(10000, 10000000, 2000);
 
-interface ICoreAgent {
-    struct CoinDelegator {
-        uint256 stakedAmount;
-        uint256 realtimeAmount;
-        uint256 transferredAmount;
-        uint256 changeRound;
+        // Stakes are bucketed by the day of their lockTime, start retiring from today
+        btcRewardIndex.lastExpiredRound = block.timestamp / 1 days;
     }
 
-    struct Candidate {
-        uint256 amount;
-        uint256 realtimeAmount;
-        uint256[] continuousRewardEndRounds;
-    }
+    // New implementations are queued through VaulterTimelock like any parameter change
+    function _authorizeUpgrade(address) internal override onlyRole(GOVERNANCE_ROLE) {}
+
+    /*** ERC-4626 Methods ***/
 
-    struct Delegator {
-        address[] candidates;
-        uint256 amount;
+    /// @notice The underlying asset is wrapped CORE; native CORE is accepted through depositCORE/withdrawCORE.
+    function asset() public view returns (address) {
+        return address(wcore);
     }
 
-    struct Reward {
-        uint256 reward;
-        uint256 accStakedAmount;
+    /// @dev Unclaimed rewards are owed to specific holders and BTC stakers, so they are not part of the share price.
+    function totalAssets() public view returns (uint256) {
+        return totalCoreDeposits;
     }
-    
-    function roundTag() external view returns (uint256);
 
-    function getDelegator(address candidate, address delegator) external view returns (CoinDelegator memory);
-    function getCandidateListByDelegator(address delegator) external view returns (address[] memory);
+    function convertToShares(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Floor);
+    }
 
-    function delegateCoin(address candidate) external payable;
-    function undelegateCoin(address candidate, uint256 amount) external payable;
-    function transferCoin(address sourceCandidate, address targetCandidate, uint256 amount) external;
+    function convertToAssets(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Floor);
+    }
 
-}
+    function getPricePerShare() public view returns (uint256) {
+        return _convertToAssets(CORE_DECIMALS, Math.Rounding.Floor);
+    }
 
-contract VaulterCore is ERC20, ReentrancyGuard, AccessControl, Pausable {
-    using Address for address payable;
+    function maxDeposit(address receiver) public view returns (uint256) {
+        return paused() ? 0 : _depositLimit(receiver);
+    }
 
-    // CoreDAO Staking Hub Contract
-    IStakeHub public immutable stakeHub;
-    IBitcoinStake public immutable bitcoinStake;
-    ICoreAgent public immutable coreAgent;
-
-    // Roles
-    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
-
-    // Vault parameters
-    uint256 constant MIN_BTC_STAKED = 1e5;   // minimal BTC stake (e.g. 0.001 BTC)
-    uint256 constant MIN_CORE_STAKED = 1e19;  // minimal CORE stake (e.g. 10 CORE in wei)
-    uint256 public btcRewardRatio = 5000;
-    uint256 public coreRewardRatio = 5000;
-    uint256 public platformFee = 500; // Platform fee in basis points (5%)
-    uint256 public reserveRatio = 200;
-
-    // Fixed-point scaling factor
-    uint256 public constant BTC_DECIMALS = 1e8;
-    uint256 public constant CORE_DECIMALS = 1e18;
-    
-    // The ideal (target) human BTC/CORE ratio, expressed in fixed-point.
-    // BTC_TO_CORE_RATIO_FOR_MAX_YIELD = 1 BTC / 8000 CORE (But 2x : 1/16000)
-    uint256 public targetRatio = BTC_DECIMALS / 8000;
-
-    // Grade structure: each grade defines a deviation interval (D in fixed-point)
-    // and the corresponding BTC reward ratio (in basis points).
-    struct Grade {
-        uint256 lowerBound; // inclusive, e.g., 0
-        uint256 upperBound; // exclusive, e.g., 0.7e18 for grade 0
-        uint256 btcRewardRatio; // in basis points (0 to 10000)
-    }
-    // We'll use exactly 5 grades.
-    Grade[5] public grades;
-
-
-    // the current round, it is updated in setNewRound.
-    uint256 public roundTag;
-
-    // BTC Staking Data
-    struct BtcTx {
-        uint256 amount;
-        uint256 lockTime;
-        uint256 depositTime;
-        uint256 startRound;
-        uint256 endRound;
-        bytes20 pubKey;
-    }
-
-    struct BtcStake {
-        uint256 stakedAmount;
-        uint256 pendingRewards;
-    }
-
-    bytes32[] public btcTxIds; // Track all txIds for iteration
-    mapping(bytes32 => BtcTx) public btcTxMap; // txId -> BtcTx
-    mapping(bytes20 => BtcStake) public btcStakes; // pubKey -> BtcStake
-    uint256 public totalBTCStaked; 
-    
-    // CORE Liquidity Providers
-    mapping(address => uint256) public coreDepositRound; // Tracks the round of each deposit
-    mapping(address => uint256) public lastClaimed;
-    uint256 public totalCoreDeposits; 
-    uint256 public totalCoreStaked; // Track CORE staked
-    uint256 public pendingCoreRewards;
-    uint256 public pendingBTCRewards;
-
-    uint256 public pendingProtocolFees;
-
-    // Events
-    event BTCStaked(bytes32 indexed txId, bytes20 indexed pubKey, uint256 amount, uint256 endRound);
-    event COREDeposited(address indexed user, uint256 amount, uint256 round);
-    event COREStaked(address indexed validator, uint256 amount);
-    event COREUnstaked(address indexed candidate, uint256 amount);
-    event RewardsDistributed(bytes32 indexed txId, uint256 btcReward, address indexed user, uint256 coreReward);
-    event BTCRewardsClaimed(bytes20 indexed pubKey, uint256 reward);
-    event RewardsClaimed(address indexed user, uint256 reward);
-    event Rebalanced(uint256 btcRewardRatio, uint256 coreRewardRatio);
-    event ExpiredStakeRemoved(bytes32 indexed txId, bytes20 indexed pubKey, uint256 amount);
-    event BTCDelegationTransferred(bytes32 indexed txId, address indexed targetCandidate);
-    event COREStakeTransferred(address indexed sourceCandidate, address indexed targetCandidate, uint256 amount);
-    event GradeUpdated(uint256 index, uint256 lowerBound, uint256 upperBound, uint256 btcRewardRatio);
-    event PlatformFeeUpdated(uint256 newFee);
-    event ReserveRatioUpdated(uint256 newRatio);    
-
-    constructor(IStakeHub _stakeHub, IBitcoinStake _bitcoinStake, ICoreAgent _coreAgent) ERC20("Vaulter CORE", "vltCORE") {
-        stakeHub = _stakeHub;
-        bitcoinStake = _bitcoinStake;
-        coreAgent = _coreAgent;
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(ADMIN_ROLE, msg.sender);
+    function maxMint(address receiver) public view returns (uint256) {
+        uint256 assets = maxDeposit(receiver);
+        return assets == type(uint256).max ? assets : _convertToShares(assets, Math.Rounding.Floor);
+    }
 
-        // Set up 5 default grades.
-        // All bounds are in a deviation factor of currentRatio/targetRatio.
-        grades[0] = Grade(0, 100, 8000);
-        grades[1] = Grade(100, 500, 6500);
-        grades[2] = Grade(500, 1400, 5000);
-        grades[3] = Grade(1400, 10000, 4500);
-        grades[4] = Grade(10000, 10000000, 2000);
+    function maxWithdraw(address owner) public view returns (uint256) {
+        return emergencyMode || _isWithdrawLocked(owner) ? 0 : convertToAssets(balanceOf(owner));
     }
 
-    // Governance parameter setters
-    function setPlatformFee(uint256 newFee) external onlyRole(ADMIN_ROLE) {
-        require(newFee <= 10000, "Fee too high");
-        platformFee = newFee;
-        emit PlatformFeeUpdated(newFee);
+    function maxRedeem(address owner) public view returns (uint256) {
+        return emergencyMode || _isWithdrawLocked(owner) ? 0 : balanceOf(owner);
     }
 
-    function setReserveRatio(uint256 newRatio) external onlyRole(ADMIN_ROLE) {
-        require(newRatio > 0, "Reserve ratio must be > 0");
-        reserveRatio = newRatio;
-        emit ReserveRatioUpdated(newRatio);
+    function previewDeposit(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Floor);
     }
 
-    /// @notice Allows the gov to update one of the 5 grades.
-    /// @param index The grade index (0 to 4).
-    /// @param lowerBound The inclusive lower bound of D 
-    /// @param upperBound The exclusive upper bound of D 
-    /// @param btcRewardRatio The desired BTC reward ratio (basis points).
-    function setGrade(
-        uint256 index,
-        uint256 lowerBound,
-        uint256 upperBound,
-        uint256 btcRewardRatio
-    ) external onlyRole(ADMIN_ROLE) {
-        require(index < 5, "Index must be 0-4");
-        require(upperBound > lowerBound, "Upper bound must exceed lower");
-        require(btcRewardRatio <= 10000, "Cannot exceed 10000");
-        grades[index] = Grade(lowerBound, upperBound, btcRewardRatio);
-        emit GradeUpdated(index, lowerBound, upperBound, btcRewardRatio);
+    function previewMint(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Ceil);
     }
 
-    /// @notice Allows the gov to update the targetRatio.
-    /// @param newTargetRatio The new target ratio. This is the ideal human ratio.
-    function setTargetRatio(uint256 newTargetRatio) external onlyRole(ADMIN_ROLE) {
-        require(newTargetRatio > 0, "Target must be positive");
-        targetRatio = newTargetRatio;
+    function previewWithdraw(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Ceil);
     }
 
-    // Pausable functions.
-    function pause() external onlyRole(ADMIN_ROLE) {
-        _pause();
+    function previewRedeem(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Floor);
     }
-    function unpause() external onlyRole(ADMIN_ROLE) {
-        _unpause();
+
+    /// @notice Deposits WCORE, which is unwrapped and managed as native CORE.
+    function deposit(uint256 assets, address receiver) external nonReentrant whenNotPaused returns (uint256) {
+        require(assets > 0, "Invalid amount");
+        uint256 shares = previewDeposit(assets);
+        _pullWCORE(assets);
+        _deposit(msg.sender, receiver, assets, shares);
+        return shares;
     }
 
-    /*** ERC-4626-Like Methods ***/
+    /// @notice Mints exactly `shares` vltCORE, pulling the required WCORE (rounded up).
+    function mint(uint256 shares, address receiver) external nonReentrant whenNotPaused returns (uint256) {
+        require(shares > 0, "Invalid shares");
+        uint256 assets = previewMint(shares);
+        _pullWCORE(assets);
+        _deposit(msg.sender, receiver, assets, shares);
+        return assets;
+    }
 
-    function totalAssets() public view returns (uint256) {
-        return totalCoreDeposits + pendingCoreRewards + pendingBTCRewards;
+    /// @notice Burns the shares needed for `assets` (rounded up) and pays WCORE to `receiver`.
+    /// @dev Unlike withdrawCORE, pending rewards are not claimed first; call claimRewards beforehand.
+    function withdraw(uint256 assets, address receiver, address owner) external nonReentrant returns (uint256) {
+        require(assets > 0 && assets <= maxWithdraw(owner), "Withdraw exceeds max");
+        uint256 shares = previewWithdraw(assets);
+        _withdraw(msg.sender, receiver, owner, assets, shares, false);
+        return shares;
     }
 
-    function convertToShares(uint256 assets) public view returns (uint256) {
-        return (assets * CORE_DECIMALS) / getPricePerShare();
+    /// @notice Burns exactly `shares` vltCORE and pays the WCORE (rounded down) to `receiver`.
+    /// @dev Unlike withdrawCORE, pending rewards are not claimed first; call claimRewards beforehand.
+    function redeem(uint256 shares, address receiver, address owner) external nonReentrant returns (uint256) {
+        require(shares > 0 && shares <= maxRedeem(owner), "Redeem exceeds max");
+        uint256 assets = previewRedeem(shares);
+        _withdraw(msg.sender, receiver, owner, assets, shares, false);
+        return assets;
     }
 
-    function convertToAssets(uint256 shares) public view returns (uint256) {
-        return (shares * getPricePerShare()) / CORE_DECIMALS;
+    // Deposit CORE
+    function depositCORE() external payable nonReentrant whenNotPaused {
+        require(msg.value > 0, "Invalid amount");
+        _deposit(msg.sender, msg.sender, msg.value, previewDeposit(msg.value));
     }
 
-    function maxDeposit(address) public pure returns (uint256) {
-        return type(uint256).max;
+    // Deposits are locked for one full round before they can be withdrawn
+    function _isWithdrawLocked(address owner) internal view returns (bool) {
+        return roundTag <= coreDepositRound[owner];
     }
 
-    function maxWithdraw(address owner) public view returns (uint256) {
-        return convertToAssets(balanceOf(owner));
+    // Pull WCORE from the caller and unwrap it, so the vault only ever holds native CORE
+    function _pullWCORE(uint256 assets) internal {
+        wcore.safeTransferFrom(msg.sender, address(this), assets);
+        wcore.withdraw(assets);
     }
 
-    function getPricePerShare() public view returns (uint256) {
-        return totalSupply() == 0 ? CORE_DECIMALS : (totalAssets() * CORE_DECIMALS) / totalSupply();
+    // CORE the receiver can still deposit under the deposit caps and the allowlist
+    function _depositLimit(address receiver) internal view returns (uint256 limit) {
+        if (allowlistMode && !depositAllowlist[receiver]) return 0;
+        limit = type(uint256).max;
+        if (depositCap > 0) {
+            limit = depositCap > totalCoreDeposits ? depositCap - totalCoreDeposits : 0;
+        }
+        if (accountDepositCap > 0) {
+            uint256 held = _convertToAssets(balanceOf(receiver), Math.Rounding.Floor);
+            limit = Math.min(limit, accountDepositCap > held ? accountDepositCap - held : 0);
+        }
     }
 
-    // Deposit CORE
-    function depositCORE() external payable nonReentrant whenNotPaused {
-        require(msg.value > 0, "Invalid amount");
-        uint256 shares = convertToShares(msg.value);
-        
-        coreDepositRound[msg.sender] = roundTag; // Track the deposit round
-        totalCoreDeposits += msg.value;
-        
-        _mint(msg.sender, shares);  // Ensure shares are minted properly
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal {
+        require(shares > 0, "Zero shares");
+        require(!allowlistMode || depositAllowlist[receiver], "Receiver not allowlisted");
+        require(depositCap == 0 || totalCoreDeposits + assets <= depositCap, "Deposit cap exceeded");
+        require(
+            accountDepositCap == 0 ||
+                _convertToAssets(balanceOf(receiver), Math.Rounding.Floor) + assets <= accountDepositCap,
+            "Account deposit cap exceeded"
+        );
+        // Track the deposit round, a deposit locks the receiver's withdrawals whoever makes it
+        coreDepositRound[receiver] = roundTag;
+        totalCoreDeposits += assets;
+
+        _mint(receiver, shares);
+        _addFreshShares(receiver, shares);
+
+        emit Deposit(caller, receiver, assets, shares);
+        emit COREDeposited(receiver, assets, roundTag);
+    }
+
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares,
+        bool native
+    ) internal {
+        _requireNoEmergency();
+        if (caller != owner) {
+            _spendAllowance(owner, caller, shares);
+        }
 
-        emit COREDeposited(msg.sender, msg.value, roundTag);
+        // Check if the vault has enough funds.
+        uint256 liquid = _liquidBalance();
+        if (assets > liquid) {
+            _unstakeCORE(assets - liquid);
+            require(assets <= _liquidBalance(), "Insufficient funds even after unstaking");
+        }
+
+        totalCoreDeposits -= assets;
+        _burn(owner, shares);
+
+        if (native) {
+            payable(receiver).sendValue(assets);
+        } else {
+            wcore.deposit{value: assets}();
+            wcore.safeTransfer(receiver, assets);
+        }
+
+        emit Withdraw(caller, receiver, owner, assets, shares);
     }
 
-    // Pending Rewards for core depositor
+    // Pending Rewards for core depositor, in vltCORE shares
     function getPendingRewards(
         address depositor
     ) public view returns (uint256) {
-        if(roundTag > lastClaimed[depositor]){
-            uint256 totalShares = balanceOf(depositor);
-            uint256 assets = convertToAssets(totalShares);
-            uint256 reward = (assets * pendingCoreRewards) / (totalCoreDeposits); // Pro-rata rewards based on total deposits
-            return convertToShares(reward);
-        } else return 0;
+        return convertToShares(_earnedCoreRewards(depositor));
     }
 
     function _claimRewards() internal {
-        require(roundTag > coreDepositRound[msg.sender], "Claim Rewards locked for this round");
-        if(roundTag > lastClaimed[msg.sender]){
-            lastClaimed[msg.sender] = roundTag;
-            uint256 totalShares = balanceOf(msg.sender);
-            uint256 assets = convertToAssets(totalShares);
-            uint256 reward = (assets * pendingCoreRewards) / (totalCoreDeposits); // Pro-rata rewards based on total deposits
-            if(reward > 0 && reward <= pendingCoreRewards){
-                pendingCoreRewards -= reward;
-                uint256 shares = convertToShares(reward);
-                _mint(msg.sender, shares);
-                emit RewardsClaimed(msg.sender, shares);
-            }
+        _requireNoEmergency();
+        require(!_isWithdrawLocked(msg.sender), "Claim Rewards locked for this round");
+        _checkpointCoreRewards(msg.sender);
+        uint256 reward = accruedCoreRewards[msg.sender];
+        if (reward > 0) {
+            accruedCoreRewards[msg.sender] = 0;
+            pendingCoreRewards -= reward;
+            uint256 shares = _mintRewardShares(msg.sender, reward);
+            emit RewardsClaimed(msg.sender, shares);
         }
     }
 
+    // Spread CORE depositor rewards over the vltCORE supply, except the shares deposited in the closing round
+    function _distributeCoreRewards(uint256 reward) internal {
+        pendingCoreRewards += reward;
+        uint256 supply = totalSupply() - _freshSupply();
+        if (supply == 0) {
+            undistributedCoreRewards += reward;
+            return;
+        }
+        reward += undistributedCoreRewards;
+        undistributedCoreRewards = 0;
+        coreRewardPerShare += reward.mulDiv(REWARD_PRECISION, supply);
+    }
+
+    function _distributeBTCRewards(uint256 reward) internal {
+        pendingBTCRewards += reward;
+        if (btcWeights.total == 0) {
+            undistributedBTCRewards += reward;
+            return;
+        }
+        reward += undistributedBTCRewards;
+        undistributedBTCRewards = 0;
+        btcRewardIndex.distribute(reward, btcWeights.total);
+    }
+
     function claimRewards() external nonReentrant whenNotPaused {
         _claimRewards();
     }
@@ -276,200 +294,150 @@ contract VaulterCore is ERC20, ReentrancyGuard, AccessControl, Pausable {
 
     // Record BTC Stake linked to a BTC Public Key and BTC txid
     function recordBTCStake(bytes calldata btcTx, bytes memory script) external nonReentrant whenNotPaused {
-        // Check that the provided btcTx contains the script bytes.
-        require(BitcoinHelper.bytesContains(btcTx, script), "BTC transaction does not include provided script");
-
-        bytes32 txId = BitcoinHelper.calculateTxId(btcTx);
-        // Ensure that the txId is not already recorded.
-        require(btcTxMap[txId].amount == 0, "BTC stake already recorded");
-
-        // Verify txId exists on BitcoinStake contract
-        (uint64 amount,, uint64 blockTimestamp, uint32 lockTime,) = bitcoinStake.btcTxMap(txId);
-        require(amount > 0, "BTC tx not found in btcTxMap");
-
-        (, address delegator, uint256 round) = bitcoinStake.receiptMap(txId);
-        require(delegator != address(0), "BTC tx not found in receiptMap");
-        require(delegator == address(this), "BTC tx does not delegate to us");
-
-        uint256 endRound = (lockTime / 1 days);
-
-        (uint256 scriptLockTime, bytes20 pubKey) = BitcoinHelper.extractBitcoinAddress(script);
-        require(lockTime == scriptLockTime, "BTC tx lockTime != scriptLockTime");
-        btcTxMap[txId] = BtcTx(amount, scriptLockTime, blockTimestamp, round, endRound, pubKey);
-        btcTxIds.push(txId); // Track txId for iteration
-
-        btcStakes[pubKey].stakedAmount += amount;
-        totalBTCStaked += amount;
-
-        emit BTCStaked(txId, pubKey, amount, endRound);
+        _recordBTCStake(btcTx, script, bytes32(0));
     }
 
-
-    // Claim Rewards with Proof-of-Ownership of the same PubKey used for ETH and BTC address derivation
-    function claimBTCRewards(
-        bytes memory ethPubKey,
-        bytes memory signature,
-        string memory message,
-        address recipient
+    // Record a new BTC Stake of the same BTC Public Key as previousTxId, expired or not, keeping its lock multiplier
+    function renewBTCStake(
+        bytes32 previousTxId,
+        bytes calldata btcTx,
+        bytes memory script
     ) external nonReentrant whenNotPaused {
-        require(BitcoinHelper.verifyEthPubKeySignature(message, signature, ethPubKey, recipient), "Invalid signature");
-        
-        bytes20 btcPubKeyHash = BitcoinHelper.convertEthToBtcPubKeyHash(ethPubKey);
-
-        BtcStake storage stake = btcStakes[btcPubKeyHash];
-        require(stake.stakedAmount > 0, "No staked BTC for btcPubKeyHash");
-
-        uint256 reward = stake.pendingRewards;
-        require(reward > 0, "No pending rewards");
-
-        // Clear pending rewards before transferring
-        stake.pendingRewards = 0;
-        pendingBTCRewards -= reward;
+        _recordBTCStake(btcTx, script, previousTxId);
+    }
 
-        uint256 shares = convertToShares(reward);
-        _mint(recipient, shares);
-        emit BTCRewardsClaimed(btcPubKeyHash, shares);
+    function _recordBTCStake(bytes calldata btcTx, bytes memory script, bytes32 previousTxId) internal {
+        totalBTCStaked += BtcStaking.record(
+            btcRewardIndex, btcWeights, btcTxIds, btcTxMap, btcStakes, activeBtcTxIds, bitcoinStake, btcTx, script,
+            previousTxId
+        );
     }
 
-     // Pending Rewards for the same PubKey used for ETH and BTC address derivation
-    function getPendingBTCRewards(
-        bytes memory ethPubKey
-    ) public view returns (uint256) {
-        bytes20 btcPubKeyHash = BitcoinHelper.convertEthToBtcPubKeyHash(ethPubKey);
+    // Stake CORE tokens into CoreAgent
+    function stakeCORE(address validator, uint256 amount) external nonReentrant onlyRole(OPERATOR_ROLE) {
+        uint256 stakeAmount = _stakeableAmount(amount);
+        validatorRegistry.stake(coreAgent, validator, stakeAmount);
+        totalCoreStaked += stakeAmount;
+    }
 
-        BtcStake storage stake = btcStakes[btcPubKeyHash];
-        
-        return convertToShares(stake.pendingRewards);
+    // Stake new CORE and transfer the existing stake toward the target weights of the registered validators
+    function rebalanceStake(uint256 amount) external nonReentrant onlyRole(OPERATOR_ROLE) returns (uint256 staked) {
+        staked = validatorRegistry.rebalance(coreAgent, amount > 0 ? _stakeableAmount(amount) : 0);
+        totalCoreStaked += staked;
     }
 
-    // Stake CORE tokens into CoreAgent
-    function stakeCORE(address validator, uint256 amount) external nonReentrant onlyRole(ADMIN_ROLE) {
+    // CORE that can be staked, bounded by the CORE required for yield and the liquid balance
+    function _stakeableAmount(uint256 amount) internal view returns (uint256) {
+        _requireNoEmergency();
         uint256 requiredCoreForYield = (totalBTCStaked * CORE_DECIMALS) / targetRatio;
         require(totalCoreStaked <= requiredCoreForYield, "Already at required CORE staking");
 
         uint256 amountToStake = requiredCoreForYield - totalCoreStaked;
         uint256 stakeAmount = amount < amountToStake ? amount : amountToStake;
-        require(stakeAmount <= address(this).balance, "Insufficient funds to stake");
-
-        try coreAgent.delegateCoin{value: stakeAmount}(validator) {
+        require(stakeAmount <= _liquidBalance(), "Insufficient funds to stake");
+        return stakeAmount;
+    }
 
-            totalCoreStaked += stakeAmount;
+    // Withdraw CORE liquidity
+    function withdrawCORE(uint256 shares) external nonReentrant {
+        require(shares > 0 && shares <= balanceOf(msg.sender), "Invalid shares");
+        require(!_isWithdrawLocked(msg.sender), "Withdrawal locked for this round"); // Enforce 1 full round lock
 
-            emit COREStaked(validator, stakeAmount);
+        // claim any pending rewards
+        _claimRewards();
 
-        } catch Error(string memory reason) {
-            revert(reason);
-        } catch {
-            revert("delegateCoin failed");
-        }
+        _withdraw(msg.sender, msg.sender, msg.sender, previewRedeem(shares), shares, true);
     }
 
-    // Withdraw CORE liquidity
-    function withdrawCORE(uint256 shares) external nonReentrant {
+    /*** Withdrawal Queue ***/
+
+    // Burn shares into a withdrawal ticket that can be claimed once the CORE is liquid
+    function requestWithdrawal(uint256 shares) external nonReentrant returns (uint256 ticketId) {
         require(shares > 0 && shares <= balanceOf(msg.sender), "Invalid shares");
-        require(roundTag > coreDepositRound[msg.sender], "Withdrawal locked for this round"); // Enforce 1 full round lock
+        require(!_isWithdrawLocked(msg.sender), "Withdrawal locked for this round");
 
         // claim any pending rewards
         _claimRewards();
 
-        uint256 assets = convertToAssets(shares);
-        // Check if the vault has enough funds.
-        if (assets > address(this).balance) {
-            uint256 deficit = assets - address(this).balance;
-            _unstakeCORE(deficit);
-            require(assets <= address(this).balance, "Insufficient funds even after unstaking");
-        }
+        uint256 assets = previewRedeem(shares);
+        // CORE already free before this ticket joins the queue
+        uint256 covered = Math.min(assets, _liquidBalance());
 
         totalCoreDeposits -= assets;
         _burn(msg.sender, shares);
+        ticketId = withdrawalQueue.enqueue(msg.sender, assets, roundTag);
+        emit WithdrawalRequested(ticketId, msg.sender, shares, assets, roundTag);
+
+        // Start undelegating what the vault cannot cover, it may only arrive in a later round
+        uint256 deficit = Math.min(assets - covered, totalCoreStaked);
+        if (deficit > 0) {
+            _unstakeCORE(deficit);
+        }
+    }
+
+    // Settle queued tickets in FIFO order with the CORE that has arrived. Callable by anyone.
+    function settleWithdrawals(uint256 maxTickets) external nonReentrant returns (uint256 count) {
+        uint256 firstId;
+        (firstId, count) = withdrawalQueue.settle(_settlementLiquidity(), maxTickets, roundTag);
+        for (uint256 id = firstId; id < firstId + count; id++) {
+            emit WithdrawalSettled(id, withdrawalQueue.tickets[id].assets, roundTag);
+        }
+    }
 
+    function claimWithdrawal(uint256 ticketId) external nonReentrant {
+        uint256 assets = withdrawalQueue.claim(ticketId, msg.sender);
         payable(msg.sender).sendValue(assets);
+        emit WithdrawalClaimed(ticketId, msg.sender, assets);
     }
 
-    function unstakeCORE(uint256 amount) external nonReentrant onlyRole(ADMIN_ROLE) {
-        _unstakeCORE(amount);
+    function getWithdrawalTicket(uint256 ticketId) external view returns (WithdrawalQueue.Ticket memory) {
+        return withdrawalQueue.tickets[ticketId];
     }
 
-    // Unstake CORE tokens from CoreAgent
-    // Internal function that loops through candidate validators until
-    // the requested amount is unstaked.
-    function _unstakeCORE(uint256 amount) internal {
-        require(amount > 0, "Invalid withdrawal amount");
-        require(totalCoreStaked >= amount, "Not enough staked CORE available");
-        address[] memory candidates;
-        try coreAgent.getCandidateListByDelegator(address(this)) returns (address[] memory _candidates) {
-            candidates = _candidates;
-        } catch {
-            revert("getCandidateListByDelegator failed");
-        }
-        uint256 remainingAmount = amount;
-
-        for (uint256 i = 0; i < candidates.length && remainingAmount > 0; i++) {
-            uint256 availableStake;
-            try coreAgent.getDelegator(candidates[i], address(this)) returns (ICoreAgent.CoinDelegator memory delegatorInfo) {
-                availableStake = delegatorInfo.realtimeAmount;
-            } catch {
-                continue;
-            }
-            if (availableStake == 0) continue;
-            uint256 unstakeAmount = availableStake >= remainingAmount ? remainingAmount : availableStake;
-            try coreAgent.undelegateCoin(candidates[i], unstakeAmount) {
-                remainingAmount -= unstakeAmount;
-                totalCoreStaked -= unstakeAmount;
-                emit COREUnstaked(candidates[i], unstakeAmount);
-            } catch Error(string memory reason) {
-                revert(reason);
-            } catch {
-                revert("undelegateCoin failed");
-            }
-        }
-        require(remainingAmount == 0, "Could not unstake enough funds");
+    // Number of unsettled tickets ahead of ticketId
+    function getQueuePosition(uint256 ticketId) external view returns (uint256) {
+        return withdrawalQueue.position(ticketId);
+    }
+
+    function getExpectedClaimRound(uint256 ticketId) external view returns (uint256) {
+        return withdrawalQueue.expectedClaimRound(ticketId, _settlementLiquidity(), roundTag);
+    }
+
+    // CORE waiting in unsettled tickets, and CORE settled but not claimed yet
+    function getWithdrawalQueueTotals() external view returns (uint256 pending, uint256 claimable) {
+        return (withdrawalQueue.pendingAssets(), withdrawalQueue.claimableAssets);
     }
 
     // Transfer BTC delegation
-    function transferBTCDelegation(bytes32 txId, address targetCandidate) external onlyRole(ADMIN_ROLE) {
-        // Ensure the transaction exists in btcTxMap
-        BtcTx storage btcTx = btcTxMap[txId];
-        require(btcTx.amount > 0, "Invalid BTC txId");
-        require(block.timestamp <= btcTx.depositTime + btcTx.lockTime, "BTC stake expired");
-
-        // Call the CoreDAO BitcoinStake contract to transfer delegation
-        try bitcoinStake.transfer(txId, targetCandidate) {
-            emit BTCDelegationTransferred(txId, targetCandidate);
-        } catch Error(string memory reason) {
-            revert(reason);
-        } catch {
-            revert("bitcoinStake.transfer failed");
-        }
+    function transferBTCDelegation(bytes32 txId, address targetCandidate) external onlyRole(OPERATOR_ROLE) {
+        BtcStaking.transferDelegation(btcTxMap, bitcoinStake, txId, targetCandidate);
     }
 
     // Transfer CORE stake
-    function transferCOREStake(address sourceCandidate, address targetCandidate, uint256 amount) external onlyRole(ADMIN_ROLE) {
+    function transferCOREStake(address sourceCandidate, address targetCandidate, uint256 amount) external onlyRole(OPERATOR_ROLE) {
         require(totalCoreStaked >= amount, "Insufficient CORE staked");
-        try coreAgent.transferCoin(sourceCandidate, targetCandidate, amount) {
-            emit COREStakeTransferred(sourceCandidate, targetCandidate, amount);
-        } catch Error(string memory reason) {
-            revert(reason);
-        } catch {
-            revert("transferCoin failed");
-        }
+        validatorRegistry.transfer(coreAgent, sourceCandidate, targetCandidate, amount);
     }
 
-    function getPendingCoreRewards() external view returns (uint256[] memory) {
-        // ABI-encoded function signature for `claimReward()`
-        bytes memory data = abi.encodeWithSignature("claimReward()");
-
-        // Perform a low-level static call
-        (bool success, bytes memory result) = address(stakeHub).staticcall(data);
-
-        require(success, "Static call of claimReward failed");
+    function unstakeCORE(uint256 amount) external nonReentrant onlyRole(OPERATOR_ROLE) {
+        _unstakeCORE(amount);
+    }
 
-        // Decode the returned data
-        return abi.decode(result, (uint256[]));
+    // Unstake CORE tokens from CoreAgent
+    // Internal function that loops through candidate validators until
+    // the requested amount is unstaked.
+    function _unstakeCORE(uint256 amount) internal {
+        require(amount > 0, "Invalid withdrawal amount");
+        require(totalCoreStaked >= amount, "Not enough staked CORE available");
+        uint256 balance = address(this).balance;
+        ValidatorRegistry.unstake(coreAgent, amount);
+        _trackUndelegated(amount, balance);
+        totalCoreStaked -= amount;
     }
 
     // Claim CORE Rewards and distribute pending rewards
-    function claimCoreRewards() external onlyRole(ADMIN_ROLE) returns (uint256) {
+    function claimCoreRewards() external onlyRole(OPERATOR_ROLE) returns (uint256) {
+        _requireNoEmergency();
         uint256 currentRound = roundTag;
         try coreAgent.roundTag() returns (uint256 _roundTag) {
             currentRound = _roundTag;
@@ -489,90 +457,125 @@ contract VaulterCore is ERC20, ReentrancyGuard, AccessControl, Pausable {
         for (uint256 i = 0; i < rewards.length; i++) {
             totalReward += rewards[i];
         }
+        // Deposits and sats are snapshotted before the fee shares are minted and expired stakes are retired,
+        // they are what this round's rewards are shared over
+        RoundReports.Report memory report;
+        report.roundTag = currentRound;
+        report.timestamp = block.timestamp;
+        report.totalReward = totalReward;
+        report.btcRewardRatio = btcRewardRatio;
+        report.totalBTCStaked = totalBTCStaked;
+        report.totalCoreDeposits = totalCoreDeposits;
+        report.assetRewards = rewards;
         if (totalReward != 0) {
-            uint256 fee = (totalReward * platformFee) / 10000;
-            // Accumulate protocol fee.
-            pendingProtocolFees += fee;
-            uint256 netReward = totalReward - fee;
+            _routeRewards(report);
 
             // Distribute BTC rewards
-            for (uint256 i = btcTxIds.length; i > 0; i--) {
-                uint256 index = i - 1; // Safe because i > 0
-                bytes32 txId = btcTxIds[index];
-                BtcTx storage bt = btcTxMap[txId];
-                uint256 btcReward = ((netReward * btcRewardRatio) / 10000) * bt.amount / totalBTCStaked;
-                btcStakes[bt.pubKey].pendingRewards += btcReward;
-                pendingBTCRewards += btcReward;
-
-                if (block.timestamp > bt.lockTime) {
-                    // Remove expired txId: update totalBTCStaked first
-                    totalBTCStaked -= bt.amount;                    
-                    // Remove expired txId by swapping with the last element and popping
-                    btcTxIds[index] = btcTxIds[btcTxIds.length - 1];
-                    btcTxIds.pop();
-                    emit ExpiredStakeRemoved(txId, bt.pubKey, bt.amount);
-                }
-            }
+            _distributeBTCRewards(report.btcReward);
 
             // Distribute CORE rewards
-            pendingCoreRewards += (netReward * coreRewardRatio) / 10000;
+            _distributeCoreRewards(report.coreReward);
+
+            // Minted after the distribution, fee shares only earn from the next round
+            if (mintFeeShares) {
+                emit ProtocolFeesMinted(feeRecipient, report.fee, _mintRewardShares(feeRecipient, report.fee));
+            } else {
+                // Accumulate protocol fee.
+                pendingProtocolFees += report.fee;
+            }
+
+            if (autoCompound) {
+                _compoundRewards(currentRound, mintFeeShares ? totalReward : totalReward - report.fee);
+            }
         }
 
+        // Stakes earn the round they end in, then stop counting towards totalBTCStaked
+        totalBTCStaked -= btcRewardIndex.retireExpired(btcWeights, block.timestamp / 1 days);
+
+        report.totalCoreStaked = totalCoreStaked;
+        report.pricePerShare = _convertToAssets(CORE_DECIMALS, Math.Rounding.Floor);
+        roundReports.record(report);
+
         _rebalanceRewardRatio();
+        coreRewardPerShareAt[roundTag] = coreRewardPerShare; // fresh shares of the closed round earn from here
         roundTag = currentRound; // Update the round   
 
         return totalReward;
     }
 
+    // Split the reward of each asset by its route, after the platform fee, and add it up in the report
+    function _routeRewards(RoundReports.Report memory report) internal {
+        for (uint256 i = 0; i < report.assetRewards.length; i++) {
+            uint256 reward = report.assetRewards[i];
+            if (reward == 0) continue;
+            uint256 fee = (reward * platformFee) / 10000;
+            uint256 net = reward - fee;
+            if (i == HASH_POWER_ASSET) {
+                net -= _distributeHashPowerRewards(report, net);
+            }
+            RewardRoute storage route = rewardRoutes[i];
+            uint256 btcReward = (net * (route.fixedSplit ? route.btcShare : btcRewardRatio)) / 10000;
+            uint256 coreReward = net - btcReward;
+
+            report.fee += fee;
+            report.btcReward += btcReward;
+            report.coreReward += coreReward;
+            emit AssetRewardsDistributed(report.roundTag, i, reward, fee, btcReward, coreReward);
+        }
+    }
+
+    // Give the miners their share of the net hash power reward, over the hash power registered for the closing
+    // round. Without any registered hash power it is split like the rest of the asset.
+    function _distributeHashPowerRewards(
+        RoundReports.Report memory report,
+        uint256 net
+    ) internal returns (uint256 reward) {
+        uint256 totalPower = hashPowerIndex.totalPower[roundTag];
+        if (totalPower == 0) return 0;
+        reward = (net * hashPowerShare) / 10000;
+        hashPowerIndex.distribute(roundTag, reward);
+        pendingHashPowerRewards += reward;
+        report.hashPowerReward = reward;
+        emit HashPowerRewardsDistributed(roundTag, reward, totalPower);
+    }
+
+    // Restake the rewards of the round that the vault holds above its liquidity buffer toward the target weights
+    // of the validator registry. The existing stake is left to rebalanceStake, and rewards CoreAgent does not take
+    // (below its minimum, or failing) stay liquid so the round still closes. Protocol fees held in CORE stay liquid.
+    function _compoundRewards(uint256 round, uint256 rewards) internal {
+        uint256 buffer = (totalCoreDeposits * liquidityBufferRatio) / 10000 + pendingProtocolFees;
+        uint256 liquid = _liquidBalance();
+        if (liquid <= buffer) return;
+
+        uint256 staked = validatorRegistry.compound(coreAgent, Math.min(rewards, liquid - buffer));
+        if (staked == 0) return;
+        totalCoreStaked += staked;
+        emit RewardsCompounded(round, staked);
+    }
+
 
     // Dynamic Rebalancing     
     function _rebalanceRewardRatio() internal {
-        if (totalBTCStaked < MIN_BTC_STAKED) {
-            btcRewardRatio = 8000;
-            coreRewardRatio = 2000;
-            emit Rebalanced(btcRewardRatio, coreRewardRatio);
-            return;
-        }
-        if (totalCoreDeposits < MIN_CORE_STAKED) {
-            btcRewardRatio = 2000;
-            coreRewardRatio = 8000;
-            emit Rebalanced(btcRewardRatio, coreRewardRatio);
-            return;
-        }
-        
-        // Compute the current ratio in fixed-point:
-        uint256 currentRatio = (totalBTCStaked * CORE_DECIMALS) / (totalCoreDeposits);
-        // Compute the deviation factor D = currentRatio / targetRatio.
-        uint256 D_fixed = (currentRatio * 1000) / ( targetRatio * 100 / reserveRatio);
-        
-        // Now, using our fixed 5-grade table, determine the applicable BTC reward ratio.
-        // The grades are defined in terms of D_fixed.
-        uint256 newBtcRewardRatio = 5000; // default
-        for (uint256 i = 0; i < 5; i++) {
-            if (D_fixed >= grades[i].lowerBound && D_fixed < grades[i].upperBound) {
-                newBtcRewardRatio = grades[i].btcRewardRatio;
-                break;
-            }
-        }
-        
+        uint256 newBtcRewardRatio =
+            RewardGrades.btcRewardRatio(grades, totalBTCStaked, totalCoreDeposits, targetRatio, reserveRatio);
         btcRewardRatio = newBtcRewardRatio;
         coreRewardRatio = 10000 - newBtcRewardRatio;
         emit Rebalanced(btcRewardRatio, coreRewardRatio);
     }
 
-    function withdrawProtocolFees(address payable recipient) external nonReentrant onlyRole(ADMIN_ROLE) {
-        uint256 amount = pendingProtocolFees;
-        require(amount > 0, "No fees to withdraw");
-        pendingProtocolFees = 0;
-        recipient.transfer(amount);
-    }
-
     // Accept plain ETH transfers
-    receive() external payable {}
-
-    // Catch all unexpected function calls
-    fallback() external payable {
-        revert("Fallback function not allowed");
+    // Undelegated CORE that CoreAgent pays outside of an undelegation call was booked in undelegatingCore,
+    // any CORE beyond it left the stake without the vault asking
+    receive() external payable {
+        if (msg.sender != address(coreAgent) || _reentrancyGuardEntered()) return;
+        uint256 settled = Math.min(msg.value, undelegatingCore);
+        undelegatingCore -= settled;
+        returnedCore += msg.value - settled;
+    }
+
+    // Every other call runs VaulterCoreExtension on this storage
+    function _implementation() internal view override returns (address) {
+        return address(extension);
     }
 
 }
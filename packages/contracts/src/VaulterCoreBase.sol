@@ -0,0 +1,344 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./WithdrawalQueue.sol";
+import "./BtcRewardIndex.sol";
+import "./ValidatorRegistry.sol";
+import "./RewardGrades.sol";
+import "./RoundReports.sol";
+import "./ShareVotes.sol";
+import "./HashPowerRewards.sol";
+import "./ICoreDAO.sol";
+
+/// @title  VaulterCoreBase
+/// @notice Storage, events and shared internals of the vault. VaulterCore (behind the proxy) and
+///         VaulterCoreExtension (reached through the VaulterCore fallback) both inherit it, so they read and
+///         write the same proxy storage.
+/// @dev    Upgrade safe: state is only initialized in VaulterCore.initialize and new state variables are only
+///         appended, taking their slots from __gap. scripts/storageLayout.js checks it against storage/VaulterCore.json.
+abstract contract VaulterCoreBase is ERC20, ReentrancyGuard, AccessControl, Pausable {
+    using Math for uint256;
+    using WithdrawalQueue for WithdrawalQueue.Queue;
+    using ShareVotes for ShareVotes.Votes;
+
+    // CoreDAO Staking Hub Contract
+    IStakeHub public immutable stakeHub;
+    IBitcoinStake public immutable bitcoinStake;
+    ICoreAgent public immutable coreAgent;
+    // Wrapped CORE, the ERC-4626 underlying asset
+    IWCORE public immutable wcore;
+
+    struct RewardRoute {
+        uint256 btcShare; // basis points of the asset's net reward for BTC stakers, when fixedSplit is set
+        bool fixedSplit;
+    }
+
+    // Roles
+    // Staking, unstaking, delegation transfers and round closing, the hot key of the oracle agent
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    // Pausing only
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    // Protocol fee withdrawals only
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    // Parameter changes, unpausing and upgrades, held by VaulterTimelock once deployed so they are queued before
+    // they apply
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+
+    // Vault parameters
+    uint256 public btcRewardRatio;
+    uint256 public coreRewardRatio;
+    uint256 public platformFee; // Platform fee in basis points
+    uint256 public reserveRatio;
+
+    // Fixed-point scaling factor
+    uint256 public constant BTC_DECIMALS = 1e8;
+    uint256 public constant CORE_DECIMALS = 1e18;
+
+    // The ideal (target) human BTC/CORE ratio, expressed in fixed-point.
+    // BTC_TO_CORE_RATIO_FOR_MAX_YIELD = 1 BTC / 8000 CORE (But 2x : 1/16000)
+    uint256 public targetRatio;
+
+    // We'll use exactly 5 grades, see RewardGrades.
+    RewardGrades.Grade[5] public grades;
+
+
+    // the current round, it is updated in setNewRound.
+    uint256 public roundTag;
+
+    // BTC Staking Data
+    bytes32[] public btcTxIds; // All recorded txIds, never iterated on-chain
+    mapping(bytes32 => BtcRewardIndex.BtcTx) public btcTxMap; // txId -> BtcTx
+    mapping(bytes20 => BtcRewardIndex.BtcStake) public btcStakes; // pubKey -> BtcStake
+    mapping(bytes20 => bytes32[]) internal activeBtcTxIds; // pubKey -> unexpired txIds
+    uint256 public totalBTCStaked; // active sats, expired stakes are retired by end round
+
+    // Cumulative CORE reward per staked sat and the expiry buckets of BTC stakes
+    BtcRewardIndex.Index internal btcRewardIndex;
+    uint256 public undistributedBTCRewards; // rewards of rounds closed without any active BTC stake
+
+    // CORE Liquidity Providers
+    mapping(address => uint256) public coreDepositRound; // Tracks the round of each deposit
+    uint256 public totalCoreDeposits;
+    uint256 public totalCoreStaked; // Track CORE staked
+    uint256 public pendingCoreRewards; // CORE rewards owed to depositors, not yet claimed
+    uint256 public pendingBTCRewards; // CORE rewards owed to BTC stakers, not yet claimed
+
+    // Cumulative CORE reward per vltCORE share, scaled by REWARD_PRECISION.
+    // Holders are checkpointed on every mint, burn and transfer.
+    uint256 public constant REWARD_PRECISION = 1e18;
+    uint256 public coreRewardPerShare;
+    mapping(address => uint256) public coreRewardPerSharePaid;
+    mapping(address => uint256) public accruedCoreRewards;
+    uint256 public undistributedCoreRewards; // rewards of rounds closed without any vltCORE supply
+
+    uint256 public pendingProtocolFees;
+
+    // Withdrawals waiting for undelegated CORE to come back
+    WithdrawalQueue.Queue internal withdrawalQueue;
+
+    // BTC reward claims and payout registrations are EIP-712 BTCClaim and BTCPayout structs bound to this vault,
+    // the chain, a per-pubKey nonce and a deadline
+    mapping(bytes20 => uint256) public btcClaimNonces; // pubKey -> next claim or registration nonce
+    mapping(bytes20 => address) public btcPayoutAddresses; // pubKey -> registered payout address
+    bool public legacyBTCClaims; // deprecated free-form message claims, replayable
+
+    // Allowlisted validators with their target weights and caps, CORE is only delegated to allowed validators
+    ValidatorRegistry.Registry internal validatorRegistry;
+
+    // Set for good by the gov: the vault stays paused, rewards are frozen and holders exit with emergencyWithdraw
+    bool public emergencyMode;
+
+    // When mintFeeShares is set, the platform fee of each round is minted as vltCORE to feeRecipient (e.g. a
+    // FeeSplitter) instead of being held as CORE in pendingProtocolFees
+    address public feeRecipient;
+    bool public mintFeeShares;
+
+    // Accounting snapshot of every round closed by claimCoreRewards, see RoundReports
+    RoundReports.History internal roundReports;
+
+    // Guarded launch limits on deposits, a zero cap means no limit
+    uint256 public depositCap; // CORE cap on totalCoreDeposits
+    uint256 public accountDepositCap; // CORE cap on the shares of each receiver
+    bool public allowlistMode; // only allowlisted receivers can deposit
+    mapping(address => bool) public depositAllowlist;
+
+    // vltCORE voting checkpoints, and the nonces of permits and delegations by signature, see ShareVotes
+    ShareVotes.Votes internal shareVotes;
+
+    // When autoCompound is set, the rewards of each round are restaked as it closes, except the CORE kept liquid
+    // for withdrawals: liquidityBufferRatio of totalCoreDeposits, in basis points
+    uint256 public liquidityBufferRatio;
+    bool public autoCompound;
+
+    // How the rewards of each asset of stakeHub.claimReward (0 CORE, 1 hash power, 2 BTC staking) are split
+    // between BTC stakers and depositors, by the grade table unless the asset has a fixed split
+    mapping(uint256 => RewardRoute) public rewardRoutes;
+
+    // BTC miners delegating hash power to the vault's validators with the vault as reward address earn
+    // hashPowerShare (basis points) of the net hash power reward, see HashPowerRewards. Off while no light client is set.
+    uint256 internal constant HASH_POWER_ASSET = 1; // index of the hash power reward in stakeHub.claimReward
+    ILightClient public lightClient;
+    uint256 public hashPowerShare;
+    HashPowerRewards.Index internal hashPowerIndex;
+    uint256 public pendingHashPowerRewards; // CORE rewards owed to miners, not yet claimed
+    mapping(uint256 => mapping(address => uint256)) internal hashPowerRegistered; // round -> validator -> hash power
+
+    // BTC rewards are shared by weight, the sats of each stake times the multiplier of its lock duration
+    BtcRewardIndex.Weights internal btcWeights;
+
+    // Shares deposited during the open round do not share its CORE reward, they earn from the next round on.
+    // Shares leaving an account are taken from its earning shares first.
+    mapping(address => uint256) public freshShares; // account -> shares deposited in freshSharesRound
+    mapping(address => uint256) public freshSharesRound;
+    uint256 internal freshSupply; // shares deposited in freshSupplyRound
+    uint256 internal freshSupplyRound;
+    mapping(uint256 => uint256) public coreRewardPerShareAt; // round -> coreRewardPerShare once it closed
+
+    // CORE undelegated from CoreAgent that has not reached the vault yet, CoreAgent may pay it on a later round
+    uint256 public undelegatingCore;
+    // CORE CoreAgent paid back beyond undelegatingCore, e.g. stake undelegated by other means, offsets sync shortfalls
+    uint256 public returnedCore;
+
+    // Reserved slots for the state variables of later versions, shrink it by the slots appended above
+    uint256[20] private __gap;
+
+    // Events
+    event BTCStaked(bytes32 indexed txId, bytes20 indexed pubKey, uint256 amount, uint256 endRound);
+    event COREDeposited(address indexed user, uint256 amount, uint256 round);
+    event COREStaked(address indexed validator, uint256 amount);
+    event COREUnstaked(address indexed candidate, uint256 amount);
+    event RewardsDistributed(bytes32 indexed txId, uint256 btcReward, address indexed user, uint256 coreReward);
+    event BTCRewardsClaimed(bytes20 indexed pubKey, uint256 reward);
+    event RewardsClaimed(address indexed user, uint256 reward);
+    event Rebalanced(uint256 btcRewardRatio, uint256 coreRewardRatio);
+    event ExpiredStakeRemoved(bytes32 indexed txId, bytes20 indexed pubKey, uint256 amount);
+    event BTCStakesExpired(uint256 indexed endRound, uint256 amount);
+    event LockBoostsUpdated(uint256[] minLockDays, uint256[] multipliers);
+    event BTCDelegationTransferred(bytes32 indexed txId, address indexed targetCandidate);
+    event BTCStakeRemoved(bytes32 indexed txId, bytes20 indexed pubKey, uint256 amount);
+    event BTCStakeRenewed(bytes32 indexed previousTxId, bytes32 indexed txId, bytes20 indexed pubKey, uint256 multiplier);
+    event StakeSynced(uint256 recordedCoreStaked, uint256 coreStaked, uint256 coreShortfall, uint256 btcRemoved);
+    event COREStakeTransferred(address indexed sourceCandidate, address indexed targetCandidate, uint256 amount);
+    event GradeUpdated(uint256 index, uint256 lowerBound, uint256 upperBound, uint256 btcRewardRatio);
+    event PlatformFeeUpdated(uint256 newFee);
+    event ReserveRatioUpdated(uint256 newRatio);
+    event TargetRatioUpdated(uint256 newRatio);
+    event LegacyBTCClaimsUpdated(bool enabled);
+    event FeeModeUpdated(address indexed recipient, bool mintShares);
+    event ProtocolFeesMinted(address indexed recipient, uint256 fee, uint256 shares);
+    event RewardRouteUpdated(uint256 indexed asset, bool fixedSplit, uint256 btcShare);
+    event AssetRewardsDistributed(
+        uint256 indexed round,
+        uint256 indexed asset,
+        uint256 reward,
+        uint256 fee,
+        uint256 btcReward,
+        uint256 coreReward
+    );
+    event HashPowerRewardsUpdated(address indexed lightClient, uint256 share);
+    event HashPowerRegistered(address indexed miner, address indexed validator, uint256 indexed round, uint256 power);
+    event HashPowerRewardsDistributed(uint256 indexed round, uint256 reward, uint256 totalPower);
+    event HashPowerRewardsClaimed(address indexed miner, uint256 reward);
+    event AutoCompoundUpdated(bool enabled, uint256 liquidityBufferRatio);
+    event RewardsCompounded(uint256 indexed round, uint256 amount);
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVotesChanged(address indexed delegate, uint256 previousVotes, uint256 newVotes);
+    event DepositCapsUpdated(uint256 cap, uint256 accountCap);
+    event AllowlistModeUpdated(bool enabled);
+    event DepositAllowlistUpdated(address indexed account, bool allowed);
+    event RoundReported(
+        uint256 indexed roundTag,
+        uint256 totalReward,
+        uint256 fee,
+        uint256 btcReward,
+        uint256 coreReward,
+        uint256 pricePerShare
+    );
+    event BTCPayoutAddressSet(bytes20 indexed pubKey, address indexed payout);
+    event ValidatorUpdated(address indexed validator, uint256 weight, uint256 cap, bool allowed);
+    event EmergencyModeEnabled();
+    event EmergencyWithdrawal(address indexed owner, uint256 shares, uint256 assets);
+    event WithdrawalRequested(uint256 indexed ticketId, address indexed owner, uint256 shares, uint256 assets, uint256 round);
+    event WithdrawalSettled(uint256 indexed ticketId, uint256 assets, uint256 round);
+    event WithdrawalClaimed(uint256 indexed ticketId, address indexed owner, uint256 assets);
+
+    constructor(IStakeHub _stakeHub, IBitcoinStake _bitcoinStake, ICoreAgent _coreAgent, IWCORE _wcore) ERC20("Vaulter CORE", "vltCORE") {
+        stakeHub = _stakeHub;
+        bitcoinStake = _bitcoinStake;
+        coreAgent = _coreAgent;
+        wcore = _wcore;
+    }
+
+    // The ERC20 name and symbol are set in the implementation storage, not the proxy's
+    function name() public pure override returns (string memory) {
+        return "Vaulter CORE";
+    }
+
+    function symbol() public pure override returns (string memory) {
+        return "vltCORE";
+    }
+
+    function _requireNoEmergency() internal view {
+        require(!emergencyMode, "Emergency mode");
+    }
+
+    function _convertToShares(uint256 assets, Math.Rounding rounding) internal view returns (uint256) {
+        uint256 supply = totalSupply();
+        return supply == 0 ? assets : assets.mulDiv(supply, totalCoreDeposits, rounding);
+    }
+
+    function _convertToAssets(uint256 shares, Math.Rounding rounding) internal view returns (uint256) {
+        uint256 supply = totalSupply();
+        return supply == 0 ? shares : shares.mulDiv(totalCoreDeposits, supply, rounding);
+    }
+
+    // Turn claimed reward CORE into deposits, minting shares at the current price
+    function _mintRewardShares(address to, uint256 reward) internal returns (uint256 shares) {
+        shares = _convertToShares(reward, Math.Rounding.Floor);
+        totalCoreDeposits += reward;
+        _mint(to, shares);
+    }
+
+    function _earnedCoreRewards(address account) internal view returns (uint256) {
+        uint256 fresh = freshShares[account];
+        uint256 delta = coreRewardPerShare - coreRewardPerSharePaid[account];
+        uint256 earned = accruedCoreRewards[account] + (balanceOf(account) - fresh).mulDiv(delta, REWARD_PRECISION);
+        uint256 round = freshSharesRound[account];
+        if (fresh > 0 && round < roundTag) {
+            // Fresh shares of a closed round earn from its close
+            earned += fresh.mulDiv(coreRewardPerShare - coreRewardPerShareAt[round], REWARD_PRECISION);
+        }
+        return earned;
+    }
+
+    function _checkpointCoreRewards(address account) internal {
+        if (account == address(0)) return;
+        accruedCoreRewards[account] = _earnedCoreRewards(account);
+        coreRewardPerSharePaid[account] = coreRewardPerShare;
+        if (freshShares[account] > 0 && freshSharesRound[account] < roundTag) {
+            freshShares[account] = 0;
+        }
+    }
+
+    // Shares that do not earn the open round's CORE reward
+    function _freshSupply() internal view returns (uint256) {
+        return freshSupplyRound == roundTag ? freshSupply : 0;
+    }
+
+    // Mark shares just deposited to an account as fresh, after the mint checkpointed it
+    function _addFreshShares(address account, uint256 shares) internal {
+        if (freshSupplyRound != roundTag) {
+            (freshSupply, freshSupplyRound) = (0, roundTag);
+        }
+        freshSupply += shares;
+        freshShares[account] += shares;
+        freshSharesRound[account] = roundTag;
+    }
+
+    // Checkpoint both sides before every mint, burn and transfer, so rewards follow the balance history,
+    // then move the votes of their delegates
+    function _update(address from, address to, uint256 value) internal override {
+        _checkpointCoreRewards(from);
+        _checkpointCoreRewards(to);
+        // Fresh shares only move once the earning shares of the sender are used up
+        uint256 fresh = from == address(0) ? 0 : freshShares[from];
+        uint256 earning = from == address(0) ? 0 : balanceOf(from) - fresh;
+        super._update(from, to, value);
+        if (value > earning && fresh > 0) {
+            uint256 moved = Math.min(value - earning, fresh);
+            freshShares[from] -= moved;
+            if (to == address(0)) {
+                freshSupply -= moved;
+            } else {
+                freshShares[to] += moved;
+                freshSharesRound[to] = roundTag;
+            }
+        }
+        shareVotes.transferVotingUnits(from, to, value);
+    }
+
+    // Book the part of `unstaked` that CoreAgent did not pay back since the balance was `balanceBefore`
+    function _trackUndelegated(uint256 unstaked, uint256 balanceBefore) internal {
+        uint256 received = address(this).balance - balanceBefore;
+        if (unstaked > received) undelegatingCore += unstaked - received;
+    }
+
+    // CORE that can settle tickets: everything not owed to already settled tickets
+    function _settlementLiquidity() internal view returns (uint256) {
+        uint256 balance = address(this).balance;
+        uint256 claimable = withdrawalQueue.claimableAssets;
+        return balance > claimable ? balance - claimable : 0;
+    }
+
+    // CORE free for instant withdrawals and staking, after every queued ticket is reserved
+    function _liquidBalance() internal view returns (uint256) {
+        uint256 liquidity = _settlementLiquidity();
+        uint256 pending = withdrawalQueue.pendingAssets();
+        return liquidity > pending ? liquidity - pending : 0;
+    }
+}
@@ -0,0 +1,601 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./BitcoinHelper.sol";
+import "./BtcClaims.sol";
+import "./BtcStaking.sol";
+import "./VaulterCoreBase.sol";
+
+/// @title  VaulterCoreExtension
+/// @notice Governance, BTC and hash power reward claims, emergency mode, vltCORE votes and permits and views of the vault. VaulterCore delegatecalls
+///         every selector it does not implement to this contract, so these functions are called on the vault
+///         address and run on the proxy storage.
+/// @dev    Holds no state of its own, new state variables go to VaulterCoreBase.
+contract VaulterCoreExtension is VaulterCoreBase {
+    using Address for address payable;
+    using Math for uint256;
+    using WithdrawalQueue for WithdrawalQueue.Queue;
+    using BtcRewardIndex for BtcRewardIndex.Index;
+    using ValidatorRegistry for ValidatorRegistry.Registry;
+    using RoundReports for RoundReports.History;
+    using ShareVotes for ShareVotes.Votes;
+    using HashPowerRewards for HashPowerRewards.Index;
+    using Checkpoints for Checkpoints.Trace208;
+
+    constructor(IStakeHub _stakeHub, IBitcoinStake _bitcoinStake, ICoreAgent _coreAgent, IWCORE _wcore)
+        VaulterCoreBase(_stakeHub, _bitcoinStake, _coreAgent, _wcore) {}
+
+    // Governance parameter setters, queued through VaulterTimelock
+    function setPlatformFee(uint256 newFee) external onlyRole(GOVERNANCE_ROLE) {
+        require(newFee <= 10000, "Fee too high");
+        platformFee = newFee;
+        emit PlatformFeeUpdated(newFee);
+    }
+
+    function setReserveRatio(uint256 newRatio) external onlyRole(GOVERNANCE_ROLE) {
+        require(newRatio > 0, "Reserve ratio must be > 0");
+        reserveRatio = newRatio;
+        emit ReserveRatioUpdated(newRatio);
+    }
+
+    /// @notice Allows the gov to turn off the deprecated free-form message claims of claimBTCRewards.
+    function setLegacyBTCClaims(bool enabled) external onlyRole(GOVERNANCE_ROLE) {
+        legacyBTCClaims = enabled;
+        emit LegacyBTCClaimsUpdated(enabled);
+    }
+
+    /// @notice Allows the gov to mint the platform fee of each round as vltCORE to a recipient, e.g. a FeeSplitter,
+    ///         so it stays invested. Otherwise the fee is held as CORE until withdrawProtocolFees.
+    function setFeeMode(address recipient, bool mintShares) external onlyRole(GOVERNANCE_ROLE) {
+        require(!mintShares || recipient != address(0), "Invalid fee recipient");
+        feeRecipient = recipient;
+        mintFeeShares = mintShares;
+        emit FeeModeUpdated(recipient, mintShares);
+    }
+
+    /// @notice Allows the gov to give a reward asset of stakeHub.claimReward a fixed split, `btcShare` basis points
+    ///         of its net reward going to BTC stakers, or to split it by the grade table again.
+    function setRewardRoute(uint256 asset, bool fixedSplit, uint256 btcShare) external onlyRole(GOVERNANCE_ROLE) {
+        require(btcShare <= 10000, "Invalid BTC share");
+        rewardRoutes[asset] = RewardRoute(btcShare, fixedSplit);
+        emit RewardRouteUpdated(asset, fixedSplit, btcShare);
+    }
+
+    /// @notice Allows the gov to boost the BTC rewards of longer locks: a stake locked for at least `minLockDays[i]`
+    ///         days weighs its sats times `multipliers[i]` (basis points, 1.0x to 3.0x). Shorter locks weigh 1.0x.
+    ///         The curve applies to the stakes recorded afterwards.
+    function setLockBoosts(
+        uint256[] calldata minLockDays,
+        uint256[] calldata multipliers
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        BtcRewardIndex.setBoosts(btcWeights, minLockDays, multipliers);
+    }
+
+    /// @notice Allows the gov to set the BTC light client of CoreDAO and the share (basis points) of the net hash
+    ///         power reward going to the registered miners. A zero light client turns registrations off.
+    function setHashPowerRewards(ILightClient client, uint256 share) external onlyRole(GOVERNANCE_ROLE) {
+        require(share <= 10000, "Invalid hash power share");
+        lightClient = client;
+        hashPowerShare = share;
+        emit HashPowerRewardsUpdated(address(client), share);
+    }
+
+    /// @notice Allows the gov to restake the rewards of each round as it closes, keeping `bufferRatio` (basis points)
+    ///         of the deposits liquid for withdrawals.
+    function setAutoCompound(bool enabled, uint256 bufferRatio) external onlyRole(GOVERNANCE_ROLE) {
+        require(bufferRatio <= 10000, "Buffer ratio too high");
+        autoCompound = enabled;
+        liquidityBufferRatio = bufferRatio;
+        emit AutoCompoundUpdated(enabled, bufferRatio);
+    }
+
+    /// @notice Allows the gov to cap the CORE deposits of the vault and of each receiver, 0 for no cap.
+    ///         Rewards are not capped, they can take the deposits above the caps.
+    function setDepositCaps(uint256 cap, uint256 accountCap) external onlyRole(GOVERNANCE_ROLE) {
+        depositCap = cap;
+        accountDepositCap = accountCap;
+        emit DepositCapsUpdated(cap, accountCap);
+    }
+
+    /// @notice Allows the gov to restrict deposits to the allowlisted receivers, for a guarded launch.
+    function setAllowlistMode(bool enabled) external onlyRole(GOVERNANCE_ROLE) {
+        allowlistMode = enabled;
+        emit AllowlistModeUpdated(enabled);
+    }
+
+    function setDepositAllowlist(address[] calldata accounts, bool allowed) external onlyRole(GOVERNANCE_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            depositAllowlist[accounts[i]] = allowed;
+            emit DepositAllowlistUpdated(accounts[i], allowed);
+        }
+    }
+
+    /// @notice Allows the gov to list a validator or update its target weight, CORE cap (0 for none) and allowance.
+    ///         A disallowed validator must have a zero weight, rebalanceStake then moves its CORE to the others.
+    function setValidator(address validator, uint256 weight, uint256 cap, bool allowed) external onlyRole(GOVERNANCE_ROLE) {
+        validatorRegistry.setValidator(validator, weight, cap, allowed);
+    }
+
+    function getValidators() external view returns (address[] memory) {
+        return validatorRegistry.validators;
+    }
+
+    function getValidator(address validator) external view returns (uint256 weight, uint256 cap, bool allowed) {
+        ValidatorRegistry.Validator storage info = validatorRegistry.info[validator];
+        return (info.weight, info.cap, info.allowed);
+    }
+
+    function totalValidatorWeight() external view returns (uint256) {
+        return validatorRegistry.totalWeight;
+    }
+
+    /// @notice Allows the gov to update one of the 5 grades.
+    /// @param index The grade index (0 to 4).
+    /// @param lowerBound The inclusive lower bound of D
+    /// @param upperBound The exclusive upper bound of D
+    /// @param btcRewardRatio The desired BTC reward ratio (basis points).
+    function setGrade(
+        uint256 index,
+        uint256 lowerBound,
+        uint256 upperBound,
+        uint256 btcRewardRatio
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        require(index < 5, "Index must be 0-4");
+        require(upperBound > lowerBound, "Upper bound must exceed lower");
+        require(btcRewardRatio <= 10000, "Cannot exceed 10000");
+        grades[index] = RewardGrades.Grade(lowerBound, upperBound, btcRewardRatio);
+        emit GradeUpdated(index, lowerBound, upperBound, btcRewardRatio);
+    }
+
+    /// @notice Allows the gov to update the targetRatio.
+    /// @param newTargetRatio The new target ratio. This is the ideal human ratio.
+    function setTargetRatio(uint256 newTargetRatio) external onlyRole(GOVERNANCE_ROLE) {
+        require(newTargetRatio > 0, "Target must be positive");
+        targetRatio = newTargetRatio;
+        emit TargetRatioUpdated(newTargetRatio);
+    }
+
+    // Pausable functions.
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+    function unpause() external onlyRole(GOVERNANCE_ROLE) {
+        _requireNoEmergency();
+        _unpause();
+    }
+
+    /*** Emergency Mode ***/
+
+    /// @notice Allows the gov to wind the vault down for good: it stays paused, CORE and BTC reward accounting is
+    ///         frozen and all the CORE that can be undelegated is unstaked. Holders then exit with emergencyWithdraw,
+    ///         BTC stakers keep claiming the rewards they had accrued, paid in CORE.
+    function enableEmergencyMode() external onlyRole(GOVERNANCE_ROLE) {
+        _requireNoEmergency();
+        emergencyMode = true;
+        if (!paused()) _pause();
+        emit EmergencyModeEnabled();
+        _emergencyUnstake();
+    }
+
+    // Unstake the CORE whose undelegation failed so far. Callable by anyone in emergency mode.
+    function emergencyUnstake() external nonReentrant {
+        require(emergencyMode, "Not in emergency mode");
+        _emergencyUnstake();
+    }
+
+    function _emergencyUnstake() internal {
+        uint256 balance = address(this).balance;
+        uint256 unstaked = ValidatorRegistry.unstakeAll(coreAgent);
+        _trackUndelegated(unstaked, balance);
+        totalCoreStaked -= Math.min(unstaked, totalCoreStaked);
+    }
+
+    // Burn shares for their pro-rata share of the vault's CORE, counting the CORE still staked or being undelegated,
+    // once everything owed to others is reserved. Paid along with the CORE rewards the owner had accrued, and only
+    // from the CORE already back, so every holder exits at the same price whatever the order. No reward is claimed
+    // or minted and the deposit round lock does not apply.
+    function emergencyWithdraw(uint256 shares) external nonReentrant returns (uint256 assets) {
+        require(emergencyMode, "Not in emergency mode");
+        require(shares <= balanceOf(msg.sender), "Invalid shares");
+        _checkpointCoreRewards(msg.sender);
+        uint256 reward = accruedCoreRewards[msg.sender];
+        accruedCoreRewards[msg.sender] = 0;
+        pendingCoreRewards -= reward;
+
+        // CORE rewards of other holders, BTC staker and miner rewards and protocol fees stay reserved
+        uint256 reserved = reward + pendingCoreRewards + pendingBTCRewards + pendingHashPowerRewards + pendingProtocolFees;
+        // Queued withdrawal tickets are owed their CORE too, wherever it is
+        uint256 owed = reserved + withdrawalQueue.pendingAssets();
+        uint256 total = _settlementLiquidity() + undelegatingCore + ValidatorRegistry.totalStake(coreAgent);
+        uint256 deposits = shares == 0 || total <= owed ? 0 : shares.mulDiv(total - owed, totalSupply());
+        require(_liquidBalance() >= reserved + deposits, "Unstaked CORE not returned yet");
+        totalCoreDeposits -= Math.min(_convertToAssets(shares, Math.Rounding.Floor), totalCoreDeposits);
+        _burn(msg.sender, shares);
+
+        assets = deposits + reward;
+        require(assets > 0, "Nothing to withdraw");
+        payable(msg.sender).sendValue(assets);
+        emit EmergencyWithdrawal(msg.sender, shares, assets);
+    }
+
+    // BTC reward claims stay open in emergency mode
+    modifier whenClaimable() {
+        if (!emergencyMode) _requireNotPaused();
+        _;
+    }
+
+    /*** BTC Rewards ***/
+
+    // Claim Rewards with Proof-of-Ownership of the same PubKey used for ETH and BTC address derivation
+    // Deprecated: the free-form message has no nonce or expiry, use claimBTCRewardsTyped
+    function claimBTCRewards(
+        bytes memory ethPubKey,
+        bytes memory signature,
+        string memory message,
+        address recipient
+    ) external nonReentrant whenClaimable {
+        require(legacyBTCClaims, "Legacy BTC claims disabled");
+        require(BitcoinHelper.verifyEthPubKeySignature(message, signature, ethPubKey, recipient), "Invalid signature");
+        _claimBTCRewards(BitcoinHelper.convertEthToBtcPubKeyHash(ethPubKey), recipient);
+    }
+
+    // Claim Rewards with an EIP-712 BTCClaim signed by the same PubKey used for ETH and BTC address derivation
+    function claimBTCRewardsTyped(
+        bytes memory ethPubKey,
+        bytes memory signature,
+        address recipient,
+        uint256 deadline
+    ) external nonReentrant whenClaimable {
+        bytes20 btcPubKeyHash =
+            BtcClaims.verifyEthClaim(btcClaimNonces, BtcClaims.BTC_CLAIM_TYPEHASH, ethPubKey, signature, recipient, deadline);
+        _claimBTCRewards(btcPubKeyHash, recipient);
+    }
+
+    // Claim Rewards with a Bitcoin signed message made by the BTC key: BIP-137 compact or BIP-322 simple (P2WPKH)
+    // The signed message is the 0x-prefixed hex of the EIP-712 BTCClaim digest
+    function claimBTCRewardsWithBitcoinSignature(
+        bytes memory btcPubKey,
+        bytes memory signature,
+        address recipient,
+        uint256 deadline
+    ) external nonReentrant whenClaimable {
+        bytes20 btcPubKeyHash =
+            BtcClaims.verifyBitcoinClaim(btcClaimNonces, BtcClaims.BTC_CLAIM_TYPEHASH, btcPubKey, signature, recipient, deadline);
+        _claimBTCRewards(btcPubKeyHash, recipient);
+    }
+
+    // Claim the rewards of a multisig stake with Bitcoin signed messages made by m of the n keys of its lock,
+    // one per key in key order and empty for the keys that did not sign, see claimBTCRewardsWithBitcoinSignature
+    function claimMultisigBTCRewards(
+        bytes memory lock,
+        bytes[] memory signatures,
+        address recipient,
+        uint256 deadline
+    ) external nonReentrant whenClaimable {
+        bytes20 btcPubKeyHash =
+            BtcClaims.verifyMultisigClaim(btcClaimNonces, BtcClaims.BTC_CLAIM_TYPEHASH, lock, signatures, recipient, deadline);
+        _claimBTCRewards(btcPubKeyHash, recipient);
+    }
+
+    // Register, rotate or revoke (payout = address(0)) the payout address of a BTC pubKey
+    // with an EIP-712 BTCPayout signed by the same PubKey used for ETH and BTC address derivation
+    function setBTCPayoutAddress(
+        bytes memory ethPubKey,
+        bytes memory signature,
+        address payout,
+        uint256 deadline
+    ) external whenNotPaused {
+        _setBTCPayoutAddress(
+            BtcClaims.verifyEthClaim(btcClaimNonces, BtcClaims.BTC_PAYOUT_TYPEHASH, ethPubKey, signature, payout, deadline),
+            payout
+        );
+    }
+
+    // Same registration signed as a Bitcoin message by the BTC key, see claimBTCRewardsWithBitcoinSignature
+    function setBTCPayoutAddressWithBitcoinSignature(
+        bytes memory btcPubKey,
+        bytes memory signature,
+        address payout,
+        uint256 deadline
+    ) external whenNotPaused {
+        _setBTCPayoutAddress(
+            BtcClaims.verifyBitcoinClaim(btcClaimNonces, BtcClaims.BTC_PAYOUT_TYPEHASH, btcPubKey, signature, payout, deadline),
+            payout
+        );
+    }
+
+    // Same registration for a multisig stake, signed by m of its n keys, see claimMultisigBTCRewards
+    function setMultisigBTCPayoutAddress(
+        bytes memory lock,
+        bytes[] memory signatures,
+        address payout,
+        uint256 deadline
+    ) external whenNotPaused {
+        _setBTCPayoutAddress(
+            BtcClaims.verifyMultisigClaim(btcClaimNonces, BtcClaims.BTC_PAYOUT_TYPEHASH, lock, signatures, payout, deadline),
+            payout
+        );
+    }
+
+    function _setBTCPayoutAddress(bytes20 btcPubKeyHash, address payout) internal {
+        btcPayoutAddresses[btcPubKeyHash] = payout;
+        emit BTCPayoutAddressSet(btcPubKeyHash, payout);
+    }
+
+    // Pay the pending rewards of BTC pubKeys to their registered payout addresses, no signature needed.
+    // Callable by anyone, e.g. a keeper after each round close. PubKeys without payout address or rewards are skipped.
+    function payoutBTCRewards(bytes20[] calldata btcPubKeyHashes) external nonReentrant whenClaimable {
+        for (uint256 i = 0; i < btcPubKeyHashes.length; i++) {
+            address payout = btcPayoutAddresses[btcPubKeyHashes[i]];
+            if (payout != address(0)) {
+                _payBTCRewards(btcPubKeyHashes[i], payout);
+            }
+        }
+    }
+
+    function _claimBTCRewards(bytes20 btcPubKeyHash, address recipient) internal {
+        if (_payBTCRewards(btcPubKeyHash, recipient) == 0) {
+            require(btcStakes[btcPubKeyHash].stakedAmount > 0, "No staked BTC for btcPubKeyHash");
+            revert("No pending rewards");
+        }
+    }
+
+    // Settle a BTC pubKey and mint its pending rewards to the recipient, returns the CORE reward paid
+    function _payBTCRewards(bytes20 btcPubKeyHash, address recipient) internal returns (uint256 reward) {
+        BtcRewardIndex.BtcStake storage stake = btcStakes[btcPubKeyHash];
+        btcRewardIndex.settle(btcTxMap, stake, activeBtcTxIds[btcPubKeyHash]);
+        reward = stake.pendingRewards;
+        if (reward == 0) {
+            return 0;
+        }
+
+        // Clear pending rewards before transferring
+        stake.pendingRewards = 0;
+        pendingBTCRewards -= reward;
+
+        // Paid in CORE once the vault winds down
+        if (emergencyMode) {
+            payable(recipient).sendValue(reward);
+            emit BTCRewardsClaimed(btcPubKeyHash, reward);
+            return reward;
+        }
+        uint256 shares = _mintRewardShares(recipient, reward);
+        emit BTCRewardsClaimed(btcPubKeyHash, shares);
+    }
+
+     // Pending Rewards for the same PubKey used for ETH and BTC address derivation
+    function getPendingBTCRewards(
+        bytes memory ethPubKey
+    ) public view returns (uint256) {
+        bytes20 btcPubKeyHash = BitcoinHelper.convertEthToBtcPubKeyHash(ethPubKey);
+
+        uint256 pending = btcRewardIndex.pendingRewards(btcTxMap, btcStakes[btcPubKeyHash], activeBtcTxIds[btcPubKeyHash]);
+        return _convertToShares(pending, Math.Rounding.Floor);
+    }
+
+    // Cumulative CORE reward per staked sat, scaled by REWARD_PRECISION
+    function btcRewardPerSat() external view returns (uint256) {
+        return btcRewardIndex.rewardPerSat;
+    }
+
+    // Sats whose stake ends in the given round (day of their lockTime)
+    function getExpiringBTC(uint256 endRound) external view returns (uint256) {
+        return btcRewardIndex.expiringAmount[endRound];
+    }
+
+    // Reward weight of a recorded stake, with the multiplier of its lock duration in basis points
+    function getBTCStakeWeight(bytes32 txId) external view returns (uint256 weight, uint256 multiplier) {
+        BtcRewardIndex.BtcTx storage btcTx = btcTxMap[txId];
+        require(btcTx.amount > 0, "Invalid BTC txId");
+        return (btcTx.weight, BtcRewardIndex.lockMultiplier(btcTx));
+    }
+
+    // Weight of the active BTC stakes, the cumulative reward index is per unit of it
+    function totalBTCWeight() external view returns (uint256) {
+        return btcWeights.total;
+    }
+
+    function getLockBoosts() external view returns (BtcRewardIndex.LockBoost[] memory) {
+        return btcWeights.boosts;
+    }
+
+    // Active stakes of a pubKey ending within `rounds` rounds from today, to renew with renewBTCStake
+    function getExpiringBTCStakes(bytes20 btcPubKeyHash, uint256 rounds) external view returns (bytes32[] memory) {
+        return btcRewardIndex.expiringTxIds(btcTxMap, activeBtcTxIds[btcPubKeyHash], block.timestamp / 1 days + rounds);
+    }
+
+    /*** Hash Power Rewards ***/
+
+    // Register blocks a miner mined for an allowed validator with the vault as reward address as its hash power
+    // in the open round, up to the blocks the light client credits to the vault for the round's score. It earns
+    // when the round closes, miners are registered again every round.
+    function registerHashPower(
+        address miner,
+        address validator,
+        uint256 power
+    ) external nonReentrant whenNotPaused onlyRole(OPERATOR_ROLE) {
+        require(address(lightClient) != address(0), "Hash power rewards disabled");
+        require(validatorRegistry.info[validator].allowed, "Validator not allowed");
+        hashPowerIndex.registerBlocks(hashPowerRegistered[roundTag], lightClient, miner, validator, roundTag, power);
+    }
+
+    // Mint the caller's hash power rewards as vltCORE, paid in CORE once the vault winds down
+    function claimHashPowerRewards() external nonReentrant whenClaimable {
+        uint256 reward = hashPowerIndex.claim(msg.sender, roundTag);
+        require(reward > 0, "No pending rewards");
+        pendingHashPowerRewards -= reward;
+
+        if (emergencyMode) {
+            payable(msg.sender).sendValue(reward);
+            emit HashPowerRewardsClaimed(msg.sender, reward);
+            return;
+        }
+        emit HashPowerRewardsClaimed(msg.sender, _mintRewardShares(msg.sender, reward));
+    }
+
+    // Pending hash power rewards of a miner, in vltCORE shares
+    function getPendingHashPowerRewards(address miner) external view returns (uint256) {
+        return _convertToShares(hashPowerIndex.pendingRewards(miner, roundTag), Math.Rounding.Floor);
+    }
+
+    // Latest hash power registration of a miner, its power is cleared once its rewards are settled
+    function getHashPower(address miner) external view returns (uint256 round, uint256 power) {
+        HashPowerRewards.Miner storage info = hashPowerIndex.miners[miner];
+        return (info.round, info.power);
+    }
+
+    // Hash power registered for a round, and the CORE per unit of it (scaled by REWARD_PRECISION) once closed
+    function getRoundHashPower(uint256 round) external view returns (uint256 totalPower, uint256 rewardPerPower) {
+        return (hashPowerIndex.totalPower[round], hashPowerIndex.rewardPerPower[round]);
+    }
+
+    /*** Votes and Permit ***/
+
+    // ERC-2612 approval signed by the owner
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        shareVotes.usePermit(owner, spender, value, deadline, v, r, s);
+        _approve(owner, spender, value);
+    }
+
+    // Next permit or delegation nonce of an account
+    function nonces(address owner) external view returns (uint256) {
+        return shareVotes.nonces[owner];
+    }
+
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return BtcClaims.domainSeparator();
+    }
+
+    function delegates(address account) external view returns (address) {
+        return shareVotes.delegatee[account];
+    }
+
+    // Delegate the votes of the caller's vltCORE, to itself to vote directly
+    function delegate(address delegatee) external {
+        _delegate(msg.sender, delegatee);
+    }
+
+    // Delegation signed by the delegator
+    function delegateBySig(address delegatee, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s) external {
+        _delegate(shareVotes.useDelegation(delegatee, nonce, expiry, v, r, s), delegatee);
+    }
+
+    function _delegate(address account, address delegatee) internal {
+        shareVotes.delegate(account, delegatee, balanceOf(account));
+    }
+
+    function getVotes(address account) external view returns (uint256) {
+        return shareVotes.delegateCheckpoints[account].latest();
+    }
+
+    // Votes of a delegate at the end of a past block
+    function getPastVotes(address account, uint256 timepoint) external view returns (uint256) {
+        return shareVotes.getPastVotes(account, timepoint);
+    }
+
+    // vltCORE supply at the end of a past block
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256) {
+        return shareVotes.getPastTotalSupply(timepoint);
+    }
+
+    function numCheckpoints(address account) external view returns (uint32) {
+        return SafeCast.toUint32(shareVotes.delegateCheckpoints[account].length());
+    }
+
+    function checkpoints(address account, uint32 pos) external view returns (Checkpoints.Checkpoint208 memory) {
+        return shareVotes.delegateCheckpoints[account].at(pos);
+    }
+
+    // ERC-6372 clock of the checkpoints
+    function clock() external view returns (uint48) {
+        return ShareVotes.clock();
+    }
+
+    function CLOCK_MODE() external pure returns (string memory) {
+        return "mode=blocknumber&from=default";
+    }
+
+    /*** Round Reports ***/
+
+    function getRoundReport(uint256 round) external view returns (RoundReports.Report memory) {
+        return roundReports.reports[round];
+    }
+
+    // Number of rounds closed with a report
+    function getRoundReportCount() external view returns (uint256) {
+        return roundReports.rounds.length;
+    }
+
+    // Up to `limit` reports in closing order, from the `offset`-th closed round
+    function getRoundReports(uint256 offset, uint256 limit) external view returns (RoundReports.Report[] memory) {
+        return roundReports.page(offset, limit);
+    }
+
+    // CORE earned per deposited CORE over the last `rounds` closed rounds (e.g. 7 or 30) and its APY, scaled by 1e18
+    function getCoreYield(uint256 rounds) external view returns (uint256 yield, uint256 apy) {
+        return roundReports.coreYield(rounds);
+    }
+
+    // CORE earned per staked sat over the last `rounds` closed rounds and its yearly rate, scaled by REWARD_PRECISION
+    function getBTCYield(uint256 rounds) external view returns (uint256 rewardPerSat, uint256 annualRewardPerSat) {
+        return roundReports.btcYield(rounds);
+    }
+
+    /*** Reconciliation ***/
+
+    // Set totalCoreStaked to the CORE that CoreAgent holds for the vault, and drop the given recorded BTC stakes
+    // whose BitcoinStake receipt moved away from the vault. Staked CORE gone missing, e.g. slashed, is a loss
+    // of the depositors: it is taken from totalCoreDeposits, lowering the share price, unless CoreAgent paid it
+    // back to the vault. Callable by anyone.
+    function sync(bytes32[] calldata txIds) external nonReentrant returns (uint256 coreShortfall, uint256 btcRemoved) {
+        uint256 recorded = totalCoreStaked;
+        uint256 actual = ValidatorRegistry.totalStake(coreAgent);
+        if (actual < recorded) {
+            uint256 returned = Math.min(recorded - actual, returnedCore);
+            returnedCore -= returned;
+            coreShortfall = recorded - actual - returned;
+            totalCoreDeposits -= Math.min(coreShortfall, totalCoreDeposits);
+        }
+        totalCoreStaked = actual;
+
+        btcRemoved = BtcStaking.reconcile(btcRewardIndex, btcWeights, btcTxMap, btcStakes, activeBtcTxIds, bitcoinStake, txIds);
+        totalBTCStaked -= btcRemoved;
+        emit StakeSynced(recorded, actual, coreShortfall, btcRemoved);
+    }
+
+    /*** Pending Rewards and Fees ***/
+
+    function getPendingCoreRewards() external view returns (uint256[] memory) {
+        // ABI-encoded function signature for `claimReward()`
+        bytes memory data = abi.encodeWithSignature("claimReward()");
+
+        // Perform a low-level static call
+        (bool success, bytes memory result) = address(stakeHub).staticcall(data);
+
+        require(success, "Static call of claimReward failed");
+
+        // Decode the returned data
+        return abi.decode(result, (uint256[]));
+    }
+
+    function withdrawProtocolFees(address payable recipient) external nonReentrant onlyRole(TREASURY_ROLE) {
+        uint256 amount = pendingProtocolFees;
+        require(amount > 0, "No fees to withdraw");
+        pendingProtocolFees = 0;
+        recipient.sendValue(amount);
+    }
+
+    // Catch all unexpected function calls
+    fallback() external {
+        revert("Fallback function not allowed");
+    }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/// @title  VaulterCoreProxy
+/// @notice ERC-1967 proxy holding the vault state and funds, the VaulterCore implementation upgrades itself (UUPS)
+contract VaulterCoreProxy is ERC1967Proxy {
+    /// @param implementation        VaulterCore implementation
+    /// @param data                  Encoded VaulterCore.initialize call
+    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
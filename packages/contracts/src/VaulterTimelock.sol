@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/// @title  VaulterTimelock
+/// @notice Holds the GOVERNANCE_ROLE of VaulterCore, so every parameter change is queued (CallScheduled) for at
+///         least `minDelay` before it can be executed (CallExecuted). Depositors and BTC stakers see the change
+///         coming. The guardian can only cancel a queued change (Cancelled). The delay is changed through the
+///         timelock itself with updateDelay.
+contract VaulterTimelock is TimelockController {
+    /// @param minDelay              Initial delay in seconds between queuing and executing a change
+    /// @param proposers             Accounts queuing changes, they can also cancel them
+    /// @param executors             Accounts executing changes once ready, address(0) lets anyone execute
+    /// @param guardian              Account that can only cancel queued changes
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address guardian
+    ) TimelockController(minDelay, proposers, executors, address(0)) {
+        _grantRole(CANCELLER_ROLE, guardian);
+    }
+}
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+/// @title  WithdrawalQueue
+/// @notice FIFO queue of withdrawal tickets for CORE that is not yet liquid in the vault.
+///         Tickets are settled in order once liquidity arrives, then claimed by their owner.
+library WithdrawalQueue {
+
+    struct Ticket {
+        address owner;
+        uint256 assets;
+        uint256 cumulativeAssets; // total assets requested up to and including this ticket
+        uint256 requestRound;
+        uint256 settledRound;
+        bool settled;
+        bool claimed;
+    }
+
+    struct Queue {
+        mapping(uint256 => Ticket) tickets;
+        uint256 nextTicketId;      // id assigned to the next request
+        uint256 nextToSettle;      // id of the oldest unsettled ticket
+        uint256 requestedAssets;   // cumulative assets ever requested
+        uint256 settledAssets;     // cumulative assets ever settled
+        uint256 claimableAssets;   // settled but not yet claimed
+    }
+
+    /// @notice                      Appends a ticket to the queue
+    /// @param _owner                Account allowed to claim the ticket
+    /// @param _assets               CORE owed to the owner
+    /// @param _round                Round of the request
+    /// @return ticketId             Id of the new ticket
+    function enqueue(Queue storage self, address _owner, uint256 _assets, uint256 _round) public returns (uint256 ticketId) {
+        require(_assets > 0, "Invalid withdrawal amount");
+        ticketId = self.nextTicketId++;
+        self.requestedAssets += _assets;
+        self.tickets[ticketId] = Ticket(_owner, _assets, self.requestedAssets, _round, 0, false, false);
+    }
+
+    /// @notice                      Settles tickets in FIFO order while the liquidity covers them
+    /// @dev                         Stops at the first ticket that does not fit, so the order is never skipped
+    /// @param _liquidity            CORE available for settlement
+    /// @param _maxTickets           Maximum number of tickets to settle in this call
+    /// @param _round                Round recorded as the settlement round
+    /// @return firstId              Id of the first settled ticket
+    /// @return count                Number of settled tickets
+    function settle(
+        Queue storage self,
+        uint256 _liquidity,
+        uint256 _maxTickets,
+        uint256 _round
+    ) public returns (uint256 firstId, uint256 count) {
+        firstId = self.nextToSettle;
+        uint256 id = firstId;
+        while (id < self.nextTicketId && count < _maxTickets) {
+            Ticket storage ticket = self.tickets[id];
+            if (ticket.assets > _liquidity) break;
+            _liquidity -= ticket.assets;
+            ticket.settled = true;
+            ticket.settledRound = _round;
+            self.settledAssets += ticket.assets;
+            self.claimableAssets += ticket.assets;
+            id++;
+            count++;
+        }
+        self.nextToSettle = id;
+    }
+
+    /// @notice                      Marks a settled ticket as claimed
+    /// @param _ticketId             Ticket to claim
+    /// @param _caller               Account claiming, must be the ticket owner
+    /// @return assets               CORE to pay out
+    function claim(Queue storage self, uint256 _ticketId, address _caller) public returns (uint256 assets) {
+        Ticket storage ticket = self.tickets[_ticketId];
+        require(ticket.owner == _caller, "Not the ticket owner");
+        require(ticket.settled, "Withdrawal not settled");
+        require(!ticket.claimed, "Withdrawal already claimed");
+        ticket.claimed = true;
+        assets = ticket.assets;
+        self.claimableAssets -= assets;
+    }
+
+    /// @notice                      CORE requested by tickets that are not settled yet
+    function pendingAssets(Queue storage self) internal view returns (uint256) {
+        return self.requestedAssets - self.settledAssets;
+    }
+
+    /// @notice                      Number of unsettled tickets ahead of a ticket (0 when it is next or settled)
+    function position(Queue storage self, uint256 _ticketId) public view returns (uint256) {
+        require(_ticketId < self.nextTicketId, "Unknown ticket");
+        if (self.tickets[_ticketId].settled) return 0;
+        return _ticketId - self.nextToSettle;
+    }
+
+    /// @notice                      Round in which a ticket is expected to become claimable
+    /// @dev                         Undelegated CORE settles on the next round at the latest
+    /// @param _liquidity            CORE currently available for settlement
+    /// @param _currentRound         The vault's current round
+    function expectedClaimRound(
+        Queue storage self,
+        uint256 _ticketId,
+        uint256 _liquidity,
+        uint256 _currentRound
+    ) public view returns (uint256) {
+        require(_ticketId < self.nextTicketId, "Unknown ticket");
+        Ticket storage ticket = self.tickets[_ticketId];
+        if (ticket.settled) return ticket.settledRound;
+        uint256 assetsAhead = ticket.cumulativeAssets - self.settledAssets;
+        return assetsAhead <= _liquidity ? _currentRound : _currentRound + 1;
+    }
+}
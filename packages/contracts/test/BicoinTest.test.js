@@ -1,11 +1,17 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const bitcoin = require("bitcoinjs-lib");
 
 describe("BitcoinHelper Library Test", function () {
   let bitcoinHelperTest;
 
   before(async function () {
-    const BitcoinHelperTest = await ethers.getContractFactory("BitcoinTest");
+    const BitcoinHelper = await ethers.getContractFactory("BitcoinHelper");
+    const bitcoinHelper = await BitcoinHelper.deploy();
+    await bitcoinHelper.deployed();
+    const BitcoinHelperTest = await ethers.getContractFactory("BitcoinTest", {
+      libraries: { BitcoinHelper: bitcoinHelper.address },
+    });
     bitcoinHelperTest = await BitcoinHelperTest.deploy();
     await bitcoinHelperTest.deployed();
   });
@@ -28,4 +34,85 @@ describe("BitcoinHelper Library Test", function () {
     
   });
 
+  it("Should detect the type and key material of timelocked redeem scripts", async function () {
+    const { opcodes } = bitcoin;
+    const key = Buffer.concat([Buffer.from([3]), Buffer.alloc(32, 9)]);
+    const hex = (data) => "0x" + data.toString("hex");
+    const script = (lockTime, lock) => bitcoin.script.compile([
+      bitcoin.script.number.encode(lockTime), opcodes.OP_CHECKLOCKTIMEVERIFY, opcodes.OP_DROP, ...lock,
+    ]);
+
+    // Block height lock times are pushed with fewer bytes
+    let [scriptType, lockTime, keyMaterial] = await bitcoinHelperTest.testParseRedeemScript(script(850000, [key, opcodes.OP_CHECKSIG]));
+    expect([scriptType, lockTime, keyMaterial]).to.deep.equal([1, 850000, hex(key)]);
+
+    const multisig = bitcoin.script.compile([opcodes.OP_1, key, key, opcodes.OP_2, opcodes.OP_CHECKMULTISIG]);
+    [scriptType, lockTime, keyMaterial] = await bitcoinHelperTest.testParseRedeemScript(script(1736870935, bitcoin.script.decompile(multisig)));
+    expect([scriptType, lockTime, keyMaterial]).to.deep.equal([2, 1736870935, hex(multisig)]);
+
+    [scriptType, lockTime, keyMaterial] = await bitcoinHelperTest.testParseRedeemScript(script(1736870935, [key.subarray(1), opcodes.OP_CHECKSIG]));
+    expect([scriptType, lockTime, keyMaterial]).to.deep.equal([3, 1736870935, hex(key.subarray(1))]);
+    const [, owner] = await bitcoinHelperTest.testExtractBitcoinAddress(script(1736870935, [key.subarray(1), opcodes.OP_CHECKSIG]));
+    expect(owner).to.equal(hex(bitcoin.crypto.hash160(Buffer.concat([Buffer.from([2]), key.subarray(1)]))));
+
+    // Unknown locks and a threshold above the number of keys are rejected
+    await expect(bitcoinHelperTest.testParseRedeemScript(script(1736870935, [opcodes.OP_TRUE]))).to.be.revertedWith("Unsupported redeem script");
+    await expect(
+      bitcoinHelperTest.testParseRedeemScript(script(1736870935, [opcodes.OP_3, key, key, opcodes.OP_2, opcodes.OP_CHECKMULTISIG]))
+    ).to.be.revertedWith("Unsupported redeem script");
+  });
+
+  // Segwit staking tx from scripts/bitcoinTest.js: P2WSH stake, SAT+ OP_RETURN and P2WPKH change
+  const segwitTx = "0x02000000000101b9e14f620ec4862f32f93b5f2c5a72a19ba33edc17fe07821d1b3771b1c3afda0000000000ffffffff03102700000000000022002026f27b0d6de563d465177835a054ab0b506421ddd4ed2bf527d5161580a647dc0000000000000000536a4c505341542b01045c8418854159e994bc7c9680f05d936242ef3b9ec3a37cf4faa0758b26dca666f3e36d42fa15cc010600045208b567b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac4a9b0000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd802483045022100b37bfcee4fb34cf76328cc0bb952c2ee15073569939cf1948b844181de28d5e5022063c68a2b7759429cf6f3d71e3296608e165f6d6642d7c4442500f703bb0b71420121035cea681f98a4e06d2d06678daf45e9e73eca6e3f85383c3bc35401eef2c1fe8000000000";
+
+  it("Should parse inputs, outputs and witness of a segwit transaction", async function () {
+    const expected = bitcoin.Transaction.fromHex(segwitTx.slice(2));
+    const parsed = await bitcoinHelperTest.testParseTransaction(segwitTx);
+
+    expect(parsed.version).to.equal(2);
+    expect(parsed.hasWitness).to.equal(true);
+    expect(parsed.lockTime).to.equal(0);
+    expect(parsed.inputs.length).to.equal(1);
+    expect(parsed.inputs[0].prevTxId).to.equal("0x" + expected.ins[0].hash.toString("hex"));
+    expect(parsed.inputs[0].sequence).to.equal(0xffffffff);
+    expect(parsed.outputs.length).to.equal(3);
+    for (let i = 0; i < 3; i++) {
+      expect(parsed.outputs[i].value).to.equal(expected.outs[i].value);
+      expect(parsed.outputs[i].scriptPubKey).to.equal("0x" + expected.outs[i].script.toString("hex"));
+    }
+  });
+
+  it("Should strip the witness so the txId matches the Bitcoin txId", async function () {
+    const stripped = await bitcoinHelperTest.testStripWitness(segwitTx);
+    const txId = ethers.utils.sha256(ethers.utils.sha256(stripped));
+    expect(txId).to.equal("0x" + bitcoin.Transaction.fromHex(segwitTx.slice(2)).getHash().toString("hex"));
+
+    // A legacy serialization is already witness-less
+    expect(await bitcoinHelperTest.testStripWitness(stripped)).to.equal(stripped);
+  });
+
+  it("Should reject truncated or padded transactions", async function () {
+    await expect(
+      bitcoinHelperTest.testParseTransaction(segwitTx.slice(0, -10))
+    ).to.be.revertedWith("BTC tx out of bounds");
+    await expect(
+      bitcoinHelperTest.testParseTransaction(segwitTx + "00")
+    ).to.be.revertedWith("Invalid BTC tx length");
+  });
+
+  it("Should decode the SAT+ staking payload of a CoreDAO staking transaction", async function () {
+    const BitcoinHelper = await ethers.getContractFactory("BitcoinHelper");
+    const bitcoinHelper = await BitcoinHelper.deploy();
+    await bitcoinHelper.deployed();
+
+    const payload = await bitcoinHelper.decodeStakePayload(segwitTx);
+    expect(payload.version).to.equal(1);
+    expect(payload.chainId).to.equal(1116);
+    expect(payload.delegator).to.equal(ethers.utils.getAddress("0x8418854159e994bc7c9680f05d936242ef3b9ec3"));
+    expect(payload.validator).to.equal(ethers.utils.getAddress("0xa37cf4faa0758b26dca666f3e36d42fa15cc0106"));
+    expect(payload.fee).to.equal(0);
+    expect(payload.redeemScript).to.equal("0x045208b567b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac");
+    expect(payload.lockTime).to.equal(1739917394);
+  });
+
 });
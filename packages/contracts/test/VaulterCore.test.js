@@ -1,19 +1,24 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { toRpcSig } = require('@ethereumjs/util');
-
-
+const bitcoin = require("bitcoinjs-lib");
+const ecc = require("@bitcoinerlab/secp256k1");
+const {
+  getStorageLayout,
+  readReferenceLayout,
+  compareStorageLayouts,
+  compareSharedLayouts,
+} = require("../scripts/storageLayout");
+const { getLinkedFactory, vaulterCoreAt } = require("../scripts/vaulterCore");
+
+bitcoin.initEccLib(ecc);
+// BIP341 NUMS point, the internal key P2TR stakes are tweaked from
+const TAPROOT_INTERNAL_KEY = Buffer.from("50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0", "hex");
+
+// The txId is the double SHA-256 of the serialization without segwit marker, flag and witness data
 function calculateTxId(tx) {
-  // Perform the first SHA-256 hash
-  const inputHash1 = ethers.utils.sha256('0x' + tx);
-
-  // Perform abi.encodePacked
-  const packed = ethers.utils.concat([inputHash1]); // Concatenates input bytes
-
-  // Compute SHA-256 hash
-  const inputHash2 = ethers.utils.sha256(packed);
-  // Return the final hash
-  return inputHash2;
+  return "0x" + bitcoin.Transaction.fromHex(tx).getHash().toString("hex");
 }
 
 describe("VaulterCore Contract", function () {
@@ -21,7 +26,63 @@ describe("VaulterCore Contract", function () {
   let MockStakeHub, stakeHub;
   let MockBitcoinStake, bitcoinStake;
   let MockCoreAgent, coreAgent;
+  let MockWCORE, wcore;
   let owner, addr1, addr2;
+  let libraries, extension;
+
+  // Builds a BTC staking tx paying `sats` to the P2WSH (or P2SH) of a CLTV redeem script, P2PKH-locked by default.
+  // A `lock` given as script chunks replaces the P2PKH lock, `taproot` pays the P2TR output of the redeem script
+  // as the only leaf under the NUMS internal key instead.
+  // The SAT+ OP_RETURN payload delegates to the vault and names the mock BitcoinStake as validator.
+  function buildStakeTx(pubKeyHash, lockTime, sats, options = {}) {
+    const { p2sh = false, witness = true, lockTimeOnly = false, taproot = false } = options;
+    const { delegator = vaulterCore.address, validator = bitcoinStake.address, chainId = 1337 } = options;
+    const { opcodes } = bitcoin;
+    const hash = Buffer.from(pubKeyHash.slice(2), "hex");
+    const { lock = [opcodes.OP_DUP, opcodes.OP_HASH160, hash, opcodes.OP_EQUALVERIFY, opcodes.OP_CHECKSIG] } = options;
+    const redeemScript = bitcoin.script.compile([
+      bitcoin.script.number.encode(lockTime),
+      opcodes.OP_CHECKLOCKTIMEVERIFY,
+      opcodes.OP_DROP,
+      ...lock,
+    ]);
+    const payment = taproot
+      ? ({ redeem }) => bitcoin.payments.p2tr({ internalPubkey: TAPROOT_INTERNAL_KEY, scriptTree: redeem })
+      : (p2sh ? bitcoin.payments.p2sh : bitcoin.payments.p2wsh);
+
+    // "SAT+" | version | chainId | delegator | validator | fee | redeem script or lock time
+    const lockTimeLE = Buffer.alloc(4);
+    lockTimeLE.writeUInt32LE(lockTime);
+    const payload = Buffer.from(ethers.utils.hexConcat([
+      ethers.utils.toUtf8Bytes("SAT+"),
+      "0x01",
+      ethers.utils.hexZeroPad(ethers.utils.hexlify(chainId), 2),
+      delegator,
+      validator,
+      "0x00",
+      lockTimeOnly ? lockTimeLE : redeemScript,
+    ]).slice(2), "hex");
+
+    const tx = new bitcoin.Transaction();
+    tx.version = 2;
+    tx.addInput(Buffer.alloc(32, 1), 0);
+    tx.addOutput(payment({ redeem: { output: redeemScript } }).output, ethers.BigNumber.from(sats).toNumber());
+    tx.addOutput(bitcoin.payments.embed({ data: [payload] }).output, 0);
+    tx.addOutput(bitcoin.payments.p2wpkh({ hash }).output, 1000);
+    if (witness) {
+      tx.setWitness(0, [Buffer.alloc(71, 1), Buffer.alloc(33, 2)]);
+    }
+    return { rawTx: tx.toHex(), script: "0x" + redeemScript.toString("hex") };
+  }
+
+  // Closes the open round as `round` opens, with 10 CORE more rewards reported by StakeHub than the round
+  // before, of which CoreAgent pays `paid` to the vault
+  async function closeRound(round, paid = 0) {
+    await stakeHub.addReward(ethers.utils.parseEther("10"));
+    if (paid) await owner.sendTransaction({ to: vaulterCore.address, value: paid });
+    await coreAgent.setRound(round);
+    return vaulterCore.claimCoreRewards();
+  }
 
   beforeEach(async function () {
     [owner, addr1, addr2] = await ethers.getSigners();
@@ -32,6 +93,46 @@ describe("VaulterCore Contract", function () {
     await bitcoinHelper.deployed();
     console.log("BitcoinHelper deployed at:", bitcoinHelper.address);
 
+    const WithdrawalQueue = await ethers.getContractFactory("WithdrawalQueue");
+    const withdrawalQueue = await WithdrawalQueue.deploy();
+    await withdrawalQueue.deployed();
+
+    const BtcRewardIndex = await ethers.getContractFactory("BtcRewardIndex");
+    const btcRewardIndex = await BtcRewardIndex.deploy();
+    await btcRewardIndex.deployed();
+
+    const BtcClaims = await ethers.getContractFactory("BtcClaims", {
+      libraries: { BitcoinHelper: bitcoinHelper.address },
+    });
+    const btcClaims = await BtcClaims.deploy();
+    await btcClaims.deployed();
+
+    const BtcStaking = await ethers.getContractFactory("BtcStaking", {
+      libraries: { BitcoinHelper: bitcoinHelper.address, BtcRewardIndex: btcRewardIndex.address },
+    });
+    const btcStaking = await BtcStaking.deploy();
+    await btcStaking.deployed();
+
+    const ValidatorRegistry = await ethers.getContractFactory("ValidatorRegistry");
+    const validatorRegistry = await ValidatorRegistry.deploy();
+    await validatorRegistry.deployed();
+
+    const RewardGrades = await ethers.getContractFactory("RewardGrades");
+    const rewardGrades = await RewardGrades.deploy();
+    await rewardGrades.deployed();
+
+    const ShareVotes = await ethers.getContractFactory("ShareVotes");
+    const shareVotes = await ShareVotes.deploy();
+    await shareVotes.deployed();
+
+    const RoundReports = await ethers.getContractFactory("RoundReports");
+    const roundReports = await RoundReports.deploy();
+    await roundReports.deployed();
+
+    const HashPowerRewards = await ethers.getContractFactory("HashPowerRewards");
+    const hashPowerRewards = await HashPowerRewards.deploy();
+    await hashPowerRewards.deployed();
+
     // Deploy mock contracts
     MockStakeHub = await ethers.getContractFactory("MockStakeHub");
     stakeHub = await MockStakeHub.deploy();
@@ -42,24 +143,46 @@ describe("VaulterCore Contract", function () {
     MockCoreAgent = await ethers.getContractFactory("MockCoreAgent");
     coreAgent = await MockCoreAgent.deploy();
 
-    // Deploy VaulterCore contract
-    // Link the deployed BitcoinHelper library to VaulterCore
-    const VaulterCore = await ethers.getContractFactory("VaulterCore", {
-      libraries: {
-        BitcoinHelper: bitcoinHelper.address,
-      },
-    });
-    vaulterCore = await VaulterCore.deploy(
+    MockWCORE = await ethers.getContractFactory("MockWCORE");
+    wcore = await MockWCORE.deploy();
+
+    // Deploy VaulterCore behind its proxy, linked to the deployed libraries
+    libraries = {
+      BitcoinHelper: bitcoinHelper.address,
+      WithdrawalQueue: withdrawalQueue.address,
+      BtcRewardIndex: btcRewardIndex.address,
+      BtcClaims: btcClaims.address,
+      ShareVotes: shareVotes.address,
+      BtcStaking: btcStaking.address,
+      ValidatorRegistry: validatorRegistry.address,
+      RewardGrades: rewardGrades.address,
+      RoundReports: roundReports.address,
+      HashPowerRewards: hashPowerRewards.address,
+    };
+    const VaulterCoreExtension = await getLinkedFactory("VaulterCoreExtension", libraries);
+    extension = await VaulterCoreExtension.deploy(
       stakeHub.address,
       bitcoinStake.address,
-      coreAgent.address
+      coreAgent.address,
+      wcore.address
+    );
+    VaulterCore = await getLinkedFactory("VaulterCore", libraries);
+    const implementation = await VaulterCore.deploy(extension.address);
+    const VaulterCoreProxy = await ethers.getContractFactory("VaulterCoreProxy");
+    const proxy = await VaulterCoreProxy.deploy(
+      implementation.address,
+      VaulterCore.interface.encodeFunctionData("initialize", [owner.address])
     );
+    vaulterCore = await vaulterCoreAt(proxy.address);
+    // addr2 is the only allowed validator, without cap
+    await vaulterCore.setValidator(addr2.address, 1, 0, true);
   });
 
   it("Should initialize correctly", async function () {
     expect(await vaulterCore.btcRewardRatio()).to.equal(5000);
     expect(await vaulterCore.coreRewardRatio()).to.equal(5000);
     expect(await vaulterCore.platformFee()).to.equal(500);
+    expect(await vaulterCore.legacyBTCClaims()).to.equal(false);
   });
 
   it("Should deposit CORE with locktime", async function () {
@@ -114,11 +237,10 @@ describe("VaulterCore Contract", function () {
 
 
   it("Should record BTC stake", async function () {
-    const rawTx = "02000000000101b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd802483045022100a6a3b45dcd46ceb466d9a81da485d66f0ccacf9cc5f9f3d1553bb43d5741802002202df9c3dcd1695d016c68d1c271d620c0df8616b678893efa69f9fd4062e1bd2b0121035cea681f98a4e06d2d06678daf45e9e73eca6e3f85383c3bc35401eef2c1fe8000000000";
+    const btcAmount = ethers.utils.parseUnits("1", 8); // 1 BTC in sats
+    const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, btcAmount);
     const memoryTx = '0x' + rawTx;
     const txId = calculateTxId(rawTx);
-    const btcAmount = ethers.utils.parseUnits("1", 8); // 1 BTC in sats
-    const script = "0x04bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac";
     console.log("BTC txID hash:", txId.toString());
     await bitcoinStake.addBtcTx(memoryTx, btcAmount, 0, 1738589119, 0);
     await bitcoinStake.addReceipt(memoryTx, vaulterCore.address, 0);
@@ -152,17 +274,21 @@ describe("VaulterCore Contract", function () {
   });
 
   it("should revert when the provided script is not found in btcTx and when recording a duplicate tx", async function () {
-    // Use a raw transaction string (same as in other tests)
-    const rawTx =
-      "02000000000101b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd802483045022100a6a3b45dcd46ceb466d9a81da485d66f0ccacf9cc5f9f3d1553bb43d5741802002202df9c3dcd1695d016c68d1c271d620c0df8616b678893efa69f9fd4062e1bd2b0121035cea681f98a4e06d2d06678daf45e9e73eca6e3f85383c3bc35401eef2c1fe8000000000";
-    const memoryTx = "0x" + rawTx;
     // 1 BTC in satoshis
     const btcAmount = ethers.utils.parseUnits("1", 8);
+    // The valid script is the redeem script of the staking output, the SAT+ payload only carries its lock time
+    const { rawTx, script: validScript } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, btcAmount, { lockTimeOnly: true });
+    const memoryTx = "0x" + rawTx;
 
-    // This is the valid script that is contained in rawTx (as used in other tests)
-    const validScript = "0x04bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac";
-    // An invalid script that is not present in rawTx
-    const invalidScript = "0xdeadbeef";
+    // A valid redeem script that is not paid by rawTx
+    const invalidScript = buildStakeTx("0x332046df873f53e867a3e76f75b2a2f37f013f2f", 1738589119, btcAmount).script;
+    // A payload committing to another redeem script
+    const mismatched = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, btcAmount);
+    await bitcoinStake.addBtcTx("0x" + mismatched.rawTx, btcAmount, 0, 1738589119, 0);
+    await bitcoinStake.addReceipt("0x" + mismatched.rawTx, vaulterCore.address, 0);
+    await expect(
+      vaulterCore.recordBTCStake("0x" + mismatched.rawTx, invalidScript)
+    ).to.be.revertedWith("SAT+ redeem script mismatch");
 
     // Prepare the mock BitcoinStake with the raw transaction:
     await bitcoinStake.addBtcTx(memoryTx, btcAmount, 0, 1738589119, 0);
@@ -171,7 +297,11 @@ describe("VaulterCore Contract", function () {
     // (1) Try to record the BTC stake with an invalid script.
     await expect(
       vaulterCore.recordBTCStake(memoryTx, invalidScript)
-    ).to.be.revertedWith("BTC transaction does not include provided script");
+    ).to.be.revertedWith("No BTC output pays to the redeem script");
+
+    await expect(
+      vaulterCore.recordBTCStake(memoryTx, "0xdeadbeef")
+    ).to.be.revertedWith("Unsupported redeem script");
 
     // (2) Record the BTC stake using the valid script. This should succeed.
     await vaulterCore.recordBTCStake(memoryTx, validScript);
@@ -182,12 +312,116 @@ describe("VaulterCore Contract", function () {
     ).to.be.revertedWith("BTC stake already recorded");
   });
 
+  it("Should record a BTC stake paid to a P2SH output of a legacy tx", async function () {
+    const btcAmount = ethers.utils.parseUnits("0.2", 8);
+    const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, btcAmount, { p2sh: true, witness: false });
+    await bitcoinStake.addBtcTx("0x" + rawTx, btcAmount, 0, 1738589119, 0);
+    await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+
+    await expect(vaulterCore.recordBTCStake("0x" + rawTx, script))
+      .to.emit(vaulterCore, "BTCStaked")
+      .withArgs(calculateTxId(rawTx), "0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", btcAmount, Math.ceil(1738589119 / 86400));
+  });
+
+  it("Should reject a BTC stake whose SAT+ payload targets another chain", async function () {
+    // Core testnet staking tx delegating to another address
+    const rawTx = "02000000000101b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd802483045022100a6a3b45dcd46ceb466d9a81da485d66f0ccacf9cc5f9f3d1553bb43d5741802002202df9c3dcd1695d016c68d1c271d620c0df8616b678893efa69f9fd4062e1bd2b0121035cea681f98a4e06d2d06678daf45e9e73eca6e3f85383c3bc35401eef2c1fe8000000000";
+    const script = "0x04bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac";
+    await bitcoinStake.addBtcTx("0x" + rawTx, 10000, 0, 1738589119, 0);
+    await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+
+    await expect(
+      vaulterCore.recordBTCStake("0x" + rawTx, script)
+    ).to.be.revertedWith("BTC tx targets another chain");
+  });
+
+  it("Should cross-check the delegator, validator and lock time of the SAT+ payload", async function () {
+    const pubKeyHash = "0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8";
+    const btcAmount = ethers.utils.parseUnits("0.1", 8);
+    async function record(lockTime, options, mockLockTime = lockTime) {
+      const { rawTx, script } = buildStakeTx(pubKeyHash, lockTime, btcAmount, options);
+      await bitcoinStake.addBtcTx("0x" + rawTx, btcAmount, 0, mockLockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      return vaulterCore.recordBTCStake("0x" + rawTx, script);
+    }
+
+    await expect(record(1738589119, { delegator: addr1.address })).to.be.revertedWith("BTC tx does not delegate to us");
+    await expect(record(1738589120, { validator: addr2.address })).to.be.revertedWith("BTC tx validator != receipt candidate");
+    await expect(record(1738589121, {}, 1738589999)).to.be.revertedWith("BTC tx lockTime != scriptLockTime");
+
+    // A payload carrying the lock time instead of the redeem script
+    await expect(record(1738589122, { lockTimeOnly: true })).to.emit(vaulterCore, "BTCStaked");
+  });
+
+  it("Should record multisig and taproot-keyed BTC stakes under their owner pubkey hash", async function () {
+    const { opcodes } = bitcoin;
+    const btcAmount = ethers.utils.parseUnits("0.1", 8);
+    const keys = [2, 3, 4].map((i) => Buffer.concat([Buffer.from([2]), Buffer.alloc(32, i)]));
+    const hash160 = (data) => "0x" + bitcoin.crypto.hash160(data).toString("hex");
+    async function record(lock, options = {}) {
+      const { rawTx, script } = buildStakeTx(ethers.constants.AddressZero, 1738589119, btcAmount, { lock, ...options });
+      await bitcoinStake.addBtcTx("0x" + rawTx, btcAmount, 0, 1738589119, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      return vaulterCore.recordBTCStake("0x" + rawTx, script);
+    }
+
+    // 2-of-3 multisig, credited to the hash160 of the OP_2 ... OP_CHECKMULTISIG lock
+    const multisig = [opcodes.OP_2, ...keys, opcodes.OP_3, opcodes.OP_CHECKMULTISIG];
+    const multisigOwner = hash160(bitcoin.script.compile(multisig));
+    await expect(record(multisig)).to.emit(vaulterCore, "BTCStaked");
+    expect((await vaulterCore.btcStakes(multisigOwner)).stakedAmount).to.equal(btcAmount);
+
+    // x-only key spent through a taproot script path, credited like its even-Y compressed key
+    await expect(record([keys[1].subarray(1), opcodes.OP_CHECKSIG], { taproot: true })).to.emit(vaulterCore, "BTCStaked");
+    expect((await vaulterCore.btcStakes(hash160(keys[1]))).stakedAmount).to.equal(btcAmount);
+
+    // The taproot output commits to the script, a lockTime-only stake cannot be recorded under another key
+    const { rawTx } = buildStakeTx(ethers.constants.AddressZero, 1738589119, btcAmount, {
+      lock: [keys[0].subarray(1), opcodes.OP_CHECKSIG], taproot: true, lockTimeOnly: true,
+    });
+    const other = buildStakeTx(ethers.constants.AddressZero, 1738589119, btcAmount, {
+      lock: [keys[2].subarray(1), opcodes.OP_CHECKSIG], taproot: true,
+    });
+    await bitcoinStake.addBtcTx("0x" + rawTx, btcAmount, 0, 1738589119, 0);
+    await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+    await expect(vaulterCore.recordBTCStake("0x" + rawTx, other.script)).to.be.revertedWith("No BTC output pays to the redeem script");
+
+    // P2PK, credited to the hash160 of the key
+    await expect(record([keys[2], opcodes.OP_CHECKSIG])).to.emit(vaulterCore, "BTCStaked");
+    expect((await vaulterCore.btcStakes(hash160(keys[2]))).stakedAmount).to.equal(btcAmount);
+    expect(await vaulterCore.totalBTCStaked()).to.equal(btcAmount.mul(3));
+  });
+
+  it("Should only accept the staking output at the index known to BitcoinStake", async function () {
+    const btcAmount = ethers.utils.parseUnits("0.1", 8);
+    const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, btcAmount);
+    await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+
+    // Output 2 is the change output, there is no output 3
+    await bitcoinStake.addBtcTx("0x" + rawTx, btcAmount, 2, 1738589119, 0);
+    await expect(vaulterCore.recordBTCStake("0x" + rawTx, script)).to.be.revertedWith("No BTC output pays to the redeem script");
+    await bitcoinStake.addBtcTx("0x" + rawTx, btcAmount, 3, 1738589119, 0);
+    await expect(vaulterCore.recordBTCStake("0x" + rawTx, script)).to.be.revertedWith("Invalid BTC output index");
+
+    await bitcoinStake.addBtcTx("0x" + rawTx, btcAmount, 0, 1738589119, 0);
+    await expect(vaulterCore.recordBTCStake("0x" + rawTx, script)).to.emit(vaulterCore, "BTCStaked");
+  });
+
+  it("Should reject a BTC stake whose output value differs from the staked amount", async function () {
+    const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, ethers.utils.parseUnits("0.1", 8));
+    await bitcoinStake.addBtcTx("0x" + rawTx, ethers.utils.parseUnits("1", 8), 0, 1738589119, 0);
+    await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+
+    await expect(
+      vaulterCore.recordBTCStake("0x" + rawTx, script)
+    ).to.be.revertedWith("BTC output value != staked amount");
+  });
+
   it("Should claim BTC rewards", async function () {
-    const rawTx = "0200000001b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd8880200000001b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000";
+    const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, ethers.utils.parseUnits("0.1", 8));
     const memoryTx = '0x' + rawTx;
     const txId = calculateTxId(rawTx);
     const btcAmount = ethers.utils.parseUnits("0.1", 8); // BTC in sats
-    const script = "0x04bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac";
     console.log("BTC txID hash:", txId.toString());
     await bitcoinStake.addBtcTx(memoryTx, btcAmount, 0, 1738589119, 0);
     await bitcoinStake.addReceipt(memoryTx, vaulterCore.address, 0);
@@ -235,6 +469,7 @@ describe("VaulterCore Contract", function () {
     const btcStake = await vaulterCore.btcStakes(pubKey);
     console.log("btcStake pendingRewards after round:", btcStake.pendingRewards.toString()); // 9.5 CORE
 
+    await vaulterCore.setLegacyBTCClaims(true);
     await vaulterCore.claimBTCRewards(ethers.utils.arrayify(ethPubKey), ethers.utils.arrayify(signature), message, recipient);
 
     expect(await vaulterCore.balanceOf(recipient)).to.equal(ethers.utils.parseEther("4.75")); // 4.75 colletarized vltCORE
@@ -294,11 +529,10 @@ describe("VaulterCore Contract", function () {
 
 
   it("Should stake and unstake CORE", async function () {
-    const rawTx = "0200000001b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd8880200000001b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000";
+    const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, ethers.utils.parseUnits("0.1", 8));
     const memoryTx = '0x' + rawTx;
     const txId = calculateTxId(rawTx);
     const btcAmount = ethers.utils.parseUnits("0.1", 8); // BTC in sats
-    const script = "0x04bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac";
 
     await bitcoinStake.addBtcTx(memoryTx, btcAmount, 0, 1738589119, 0);
     await bitcoinStake.addReceipt(memoryTx, vaulterCore.address, 0);
@@ -318,11 +552,10 @@ describe("VaulterCore Contract", function () {
   });
 
   it("Should trigger unstaking via withdrawCORE when vault funds are insufficient", async function () {
-    const rawTx = "0200000001b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd8880200000001b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000";
+    const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, ethers.utils.parseUnits("0.1", 8));
     const memoryTx = '0x' + rawTx;
     const txId = calculateTxId(rawTx);
     const btcAmount = ethers.utils.parseUnits("0.1", 8); // BTC in sats
-    const script = "0x04bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac";
 
     await bitcoinStake.addBtcTx(memoryTx, btcAmount, 0, 1738589119, 0);
     await bitcoinStake.addReceipt(memoryTx, vaulterCore.address, 0);
@@ -361,14 +594,12 @@ describe("VaulterCore Contract", function () {
   Round 1: Deposits match the ideal 1:8000 ratio.
   Round 2: A deposit of excess CORE should make the CORE reward ratio greater than BTC.
   Round 3: An additional BTC stake is recorded, requiring more CORE to be staked.
-  Round 4: The first BTC stake expires, which is reflected in the ratio update.
+  Round 4: Both BTC stakes expire, which is reflected in the ratio update.
   Round 5: A withdrawal is performed (burning vault shares) and the ratios are output afterward.
   // --------------------------------------------------------- */
   it("should simulate 5 rounds with varying BTC/CORE deposits, outputting reward ratios after each round", async function () {
     // Provided raw transaction and script
-    const rawTx =
-      "0200000001b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd8880200000001b4bc7b1410c36d8e5919280b771ea7143cd33b8f4a7f5aa87ca8bfda06ca8a0d0200000000ffffffff031027000000000000220020631c19fc18fc13e12120a83c92dc303c17ce0bc09d93c5c51e1e5e238276973c0000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c0004bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000ac80a00000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000";
-    const script = "0x04bfc3a067b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac";
+    const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", 1738589119, ethers.utils.parseUnits("0.1", 8));
     const pubKey = ethers.utils.hexlify("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8");
 
     console.log(" ----- Round 1: Proper ratio deposit (0.1 BTC : 800 CORE) -----");
@@ -479,11 +710,9 @@ describe("VaulterCore Contract", function () {
 
 
     console.log(" ----- Round 3: Excess BTC stake (another 0.6 BTC) -----");
-    // Reuse the provided rawTx and script
-    const rawTx3 = "02000000016074790d4f21516b182f1542023b90d938e91640fb473908ae1c23321d0fcb980200000000ffffffff031027000000000000220020b55aaa01a70f4ccc4772507463bde55155e4e3abed874d7d18161ea4f6588b730000000000000000536a4c505341542b01045a0f21a1d7b8c0927851e8a80d16a473416421f657de442f5ba55687a24f04419424e0dc2593cc9f4c00047352a167b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac7a780000000000001600143187b3627e6e80c7911ef627a8589ccc51aa8cd800000000";
-    const script3 = "0x047352a167b17576a9143187b3627e6e80c7911ef627a8589ccc51aa8cd888ac";
-    const memoryTx3 = "0x" + rawTx3;
     const btcAmount3 = ethers.utils.parseUnits("0.6", 8);
+    const { rawTx: rawTx3, script: script3 } = buildStakeTx(pubKey, 1738625651, btcAmount3);
+    const memoryTx3 = "0x" + rawTx3;
     await bitcoinStake.addBtcTx(memoryTx3, btcAmount3, 0, 1738625651, 0);
     await bitcoinStake.addReceipt(memoryTx3, vaulterCore.address, 3);
     await vaulterCore.recordBTCStake(memoryTx3, script3);
@@ -519,7 +748,7 @@ describe("VaulterCore Contract", function () {
     console.log("After Round 3, protocolFees:", ethers.utils.formatUnits(protocolFees, 18));
     console.log("##################################################");
 
-    console.log(" ----- Round 4: Expire the first BTC stake -----");
+    console.log(" ----- Round 4: Expire both BTC stakes -----");
     // Retrieve the current block timestamp and calculate the offset so that:
     //   block.timestamp > depositTime + 1738589119
     const currentBlock = await ethers.provider.getBlock("latest");
@@ -537,7 +766,7 @@ describe("VaulterCore Contract", function () {
     console.log("PubKey:", btcTxRecord.pubKey);
     */
     // Set the target timestamp to a value between the two lockTimes.
-    const targetTimestamp = 1738600000; // between 1738589119 and 1738625651
+    const targetTimestamp = 1738627200; // the first day starting after 1738589119 and 1738625651
     // Calculate the offset needed to reach the target timestamp.
     const offset = targetTimestamp - currentBlock.timestamp;
     await ethers.provider.send("evm_increaseTime", [offset]);
@@ -550,15 +779,16 @@ describe("VaulterCore Contract", function () {
     const receiptClaim4 = await txClaim4.wait();
     let expiredRemoved = false;
     for (const event of receiptClaim4.events) {
-      if (event.event === "ExpiredStakeRemoved") {
+      if (event.event === "BTCStakesExpired") {
         expiredRemoved = true;
-        console.log("Expired BTC stake removed for txId:", event.args.txId);
+        console.log("Expired BTC stakes retired for endRound:", event.args.endRound.toString());
       }
     }
     expect(expiredRemoved).to.equal(true);
-    // After expiration, only the second BTC stake (0.6 BTC) should remain.
+    // Stakes are retired per end round, the first day starting at or after their lockTime. Both lockTimes fall
+    // on the same day, so at 1738627200 the whole bucket (0.1 + 0.6 BTC) is retired.
     const totalBTCAfter = await vaulterCore.totalBTCStaked();
-    expect(totalBTCAfter).to.equal(btcAmount3);
+    expect(totalBTCAfter).to.equal(0);
     totalAssets = await vaulterCore.totalAssets();
     pricePerShare = await vaulterCore.getPricePerShare();
     console.log("After Round 4, totalAssets:", ethers.utils.formatUnits(totalAssets, 18));
@@ -645,6 +875,7 @@ describe("VaulterCore Contract", function () {
     console.log("Round 6, btcStake pendingRewards:", ethers.utils.formatUnits(btcStake.pendingRewards, 18));
     let balanceBefore = await vaulterCore.balanceOf(recipient);
     console.log("Round 6, recipient balanceBefore:", ethers.utils.formatUnits(balanceBefore, 18));
+    await vaulterCore.setLegacyBTCClaims(true);
     await vaulterCore.claimBTCRewards(ethers.utils.arrayify(ethPubKey), ethers.utils.arrayify(signature), message, recipient);
     let balanceAfter = await vaulterCore.balanceOf(recipient);
     console.log("Round 6, recipient balanceAfter:", ethers.utils.formatUnits(balanceAfter, 18));
@@ -672,4 +903,2103 @@ describe("VaulterCore Contract", function () {
     protocolFees = await vaulterCore.pendingProtocolFees();
     console.log("After Round 6, protocolFees:", ethers.utils.formatUnits(protocolFees, 18));
   });
-});
\ No newline at end of file
+  describe("ERC-4626 conformance", function () {
+    const oneCore = ethers.utils.parseEther("1");
+
+    async function wrapAndApprove(signer, amount) {
+      await wcore.connect(signer).deposit({ value: amount });
+      await wcore.connect(signer).approve(vaulterCore.address, amount);
+    }
+
+    it("Should expose WCORE as the underlying asset", async function () {
+      expect(await vaulterCore.asset()).to.equal(wcore.address);
+      expect(await vaulterCore.decimals()).to.equal(await wcore.decimals());
+      expect(await vaulterCore.totalAssets()).to.equal(0);
+    });
+
+    it("Should deposit WCORE, unwrap it and mint previewDeposit shares", async function () {
+      const amount = ethers.utils.parseEther("10");
+      await wrapAndApprove(addr1, amount);
+      const expectedShares = await vaulterCore.previewDeposit(amount);
+
+      await expect(vaulterCore.connect(addr1).deposit(amount, addr2.address))
+        .to.emit(vaulterCore, "Deposit")
+        .withArgs(addr1.address, addr2.address, amount, expectedShares);
+
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(expectedShares);
+      expect(await wcore.balanceOf(vaulterCore.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(vaulterCore.address)).to.equal(amount);
+      expect(await vaulterCore.totalAssets()).to.equal(amount);
+    });
+
+    it("Should mint exact shares pulling previewMint assets rounded up", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("3") });
+      await closeRound(1);
+
+      const shares = ethers.utils.parseEther("1").add(1);
+      const assets = await vaulterCore.previewMint(shares);
+      expect(assets).to.be.gte(await vaulterCore.convertToAssets(shares));
+
+      await wrapAndApprove(addr2, assets);
+      await expect(vaulterCore.connect(addr2).mint(shares, addr2.address))
+        .to.emit(vaulterCore, "Deposit")
+        .withArgs(addr2.address, addr2.address, assets, shares);
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(shares);
+      expect(await wcore.balanceOf(addr2.address)).to.equal(0);
+    });
+
+    it("Should round previews in favour of the vault", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("3") });
+      await closeRound(1);
+
+      const amount = ethers.utils.parseEther("1").add(1);
+      expect(await vaulterCore.previewDeposit(amount)).to.equal(await vaulterCore.convertToShares(amount));
+      expect(await vaulterCore.previewRedeem(amount)).to.equal(await vaulterCore.convertToAssets(amount));
+      expect(await vaulterCore.previewWithdraw(amount)).to.be.gte(await vaulterCore.previewDeposit(amount));
+      expect(await vaulterCore.previewMint(amount)).to.be.gte(await vaulterCore.previewRedeem(amount));
+
+      const shares = await vaulterCore.convertToShares(amount);
+      expect(await vaulterCore.convertToAssets(shares)).to.be.lte(amount);
+      expect(await vaulterCore.getPricePerShare()).to.equal(await vaulterCore.convertToAssets(oneCore));
+    });
+
+    it("Should report max limits for locked deposits and paused vaults", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: oneCore });
+      expect(await vaulterCore.maxWithdraw(addr1.address)).to.equal(0);
+      expect(await vaulterCore.maxRedeem(addr1.address)).to.equal(0);
+      expect(await vaulterCore.maxDeposit(addr1.address)).to.equal(ethers.constants.MaxUint256);
+      expect(await vaulterCore.maxMint(addr1.address)).to.equal(ethers.constants.MaxUint256);
+
+      await expect(
+        vaulterCore.connect(addr1).redeem(oneCore, addr1.address, addr1.address)
+      ).to.be.revertedWith("Redeem exceeds max");
+
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+      expect(await vaulterCore.maxWithdraw(addr1.address)).to.equal(oneCore);
+      expect(await vaulterCore.maxRedeem(addr1.address)).to.equal(oneCore);
+
+      await vaulterCore.pause();
+      expect(await vaulterCore.maxDeposit(addr1.address)).to.equal(0);
+      expect(await vaulterCore.maxMint(addr1.address)).to.equal(0);
+      await wrapAndApprove(addr1, oneCore);
+      await expect(vaulterCore.connect(addr1).deposit(oneCore, addr1.address)).to.be.reverted;
+    });
+
+    it("Should lock the withdrawals of the receiver of a deposit, whoever makes it", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: oneCore });
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+      expect(await vaulterCore.maxRedeem(addr1.address)).to.equal(oneCore);
+
+      await wrapAndApprove(addr2, 1);
+      await vaulterCore.connect(addr2).deposit(1, addr1.address);
+      expect(await vaulterCore.coreDepositRound(addr1.address)).to.equal(1);
+      expect(await vaulterCore.maxRedeem(addr1.address)).to.equal(0);
+      await expect(vaulterCore.connect(addr1).withdrawCORE(oneCore)).to.be.revertedWith("Withdrawal locked for this round");
+
+      await coreAgent.setRound(2);
+      await vaulterCore.claimCoreRewards();
+      expect(await vaulterCore.maxRedeem(addr1.address)).to.equal(oneCore.add(1));
+      await vaulterCore.connect(addr1).withdrawCORE(oneCore);
+    });
+
+    it("Should redeem shares for WCORE", async function () {
+      const amount = ethers.utils.parseEther("5");
+      await vaulterCore.connect(addr1).depositCORE({ value: amount });
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+
+      const shares = await vaulterCore.balanceOf(addr1.address);
+      const assets = await vaulterCore.previewRedeem(shares);
+      await expect(vaulterCore.connect(addr1).redeem(shares, addr2.address, addr1.address))
+        .to.emit(vaulterCore, "Withdraw")
+        .withArgs(addr1.address, addr2.address, addr1.address, assets, shares);
+
+      expect(await wcore.balanceOf(addr2.address)).to.equal(assets);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(0);
+      expect(await vaulterCore.totalAssets()).to.equal(0);
+    });
+
+    it("Should withdraw assets through an allowance, burning previewWithdraw shares", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("3") });
+      await closeRound(1);
+
+      const assets = ethers.utils.parseEther("2");
+      const shares = await vaulterCore.previewWithdraw(assets);
+
+      await expect(
+        vaulterCore.connect(addr2).withdraw(assets, addr2.address, addr1.address)
+      ).to.be.reverted;
+
+      await vaulterCore.connect(addr1).approve(addr2.address, shares);
+      const sharesBefore = await vaulterCore.balanceOf(addr1.address);
+      await expect(vaulterCore.connect(addr2).withdraw(assets, addr2.address, addr1.address))
+        .to.emit(vaulterCore, "Withdraw")
+        .withArgs(addr2.address, addr2.address, addr1.address, assets, shares);
+
+      expect(await wcore.balanceOf(addr2.address)).to.equal(assets);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(sharesBefore.sub(shares));
+      expect(await vaulterCore.allowance(addr1.address, addr2.address)).to.equal(0);
+    });
+
+    it("Should keep native depositCORE and withdrawCORE in line with the ERC-4626 events", async function () {
+      await expect(vaulterCore.connect(addr1).depositCORE({ value: oneCore }))
+        .to.emit(vaulterCore, "Deposit")
+        .withArgs(addr1.address, addr1.address, oneCore, oneCore);
+
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+
+      await expect(vaulterCore.connect(addr1).withdrawCORE(oneCore))
+        .to.emit(vaulterCore, "Withdraw")
+        .withArgs(addr1.address, addr1.address, addr1.address, oneCore, oneCore);
+    });
+  });
+  describe("Withdrawal queue", function () {
+    // 0.1 BTC staked, 1000 CORE deposited by addr1 and 800 CORE delegated with delayed undelegation
+    beforeEach(async function () {
+      const lockTime = (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400;
+      const btcAmount = ethers.utils.parseUnits("0.1", 8);
+      const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", lockTime, btcAmount);
+      const memoryTx = "0x" + rawTx;
+      await bitcoinStake.addBtcTx(memoryTx, btcAmount, 0, lockTime, 0);
+      await bitcoinStake.addReceipt(memoryTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake(memoryTx, script);
+
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("1000") });
+      await vaulterCore.stakeCORE(addr2.address, ethers.utils.parseEther("1000"));
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+      await coreAgent.setDelayUndelegate(true);
+    });
+
+    it("Should revert instant withdrawals while undelegated CORE is in flight", async function () {
+      await expect(
+        vaulterCore.connect(addr1).withdrawCORE(ethers.utils.parseEther("500"))
+      ).to.be.revertedWith("Insufficient funds even after unstaking");
+    });
+
+    it("Should burn shares into a ticket and undelegate the uncovered part", async function () {
+      const shares = ethers.utils.parseEther("500");
+      await expect(vaulterCore.connect(addr1).requestWithdrawal(shares))
+        .to.emit(vaulterCore, "WithdrawalRequested")
+        .withArgs(0, addr1.address, shares, shares, 1);
+
+      // 200 CORE were liquid, the other 300 CORE are undelegated
+      expect(await vaulterCore.totalCoreStaked()).to.equal(ethers.utils.parseEther("500"));
+      expect(await coreAgent.pendingUndelegated(vaulterCore.address)).to.equal(ethers.utils.parseEther("300"));
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("500"));
+      expect(await vaulterCore.totalCoreDeposits()).to.equal(ethers.utils.parseEther("500"));
+
+      const [pending, claimable] = await vaulterCore.getWithdrawalQueueTotals();
+      expect(pending).to.equal(shares);
+      expect(claimable).to.equal(0);
+      expect(await vaulterCore.getQueuePosition(0)).to.equal(0);
+      expect(await vaulterCore.getExpectedClaimRound(0)).to.equal(2);
+    });
+
+    it("Should settle and claim tickets once liquidity arrives", async function () {
+      const shares = ethers.utils.parseEther("500");
+      await vaulterCore.connect(addr1).requestWithdrawal(shares);
+
+      // Not enough CORE yet: nothing settles and the claim is refused
+      await vaulterCore.connect(addr2).settleWithdrawals(10);
+      expect((await vaulterCore.getWithdrawalTicket(0)).settled).to.equal(false);
+      await expect(vaulterCore.connect(addr1).claimWithdrawal(0)).to.be.revertedWith("Withdrawal not settled");
+
+      await coreAgent.releaseUndelegated(vaulterCore.address);
+      await coreAgent.setRound(2);
+      await vaulterCore.claimCoreRewards();
+      expect(await vaulterCore.getExpectedClaimRound(0)).to.equal(2);
+
+      await expect(vaulterCore.connect(addr2).settleWithdrawals(10))
+        .to.emit(vaulterCore, "WithdrawalSettled")
+        .withArgs(0, shares, 2);
+      expect(await vaulterCore.getExpectedClaimRound(0)).to.equal(2);
+
+      await expect(vaulterCore.connect(addr2).claimWithdrawal(0)).to.be.revertedWith("Not the ticket owner");
+      await expect(() => vaulterCore.connect(addr1).claimWithdrawal(0))
+        .to.changeEtherBalance(addr1, shares);
+      await expect(vaulterCore.connect(addr1).claimWithdrawal(0)).to.be.revertedWith("Withdrawal already claimed");
+
+      const [pending, claimable] = await vaulterCore.getWithdrawalQueueTotals();
+      expect(pending).to.equal(0);
+      expect(claimable).to.equal(0);
+    });
+
+    it("Should settle tickets in FIFO order and report queue positions", async function () {
+      await vaulterCore.connect(addr1).requestWithdrawal(ethers.utils.parseEther("600"));
+      await vaulterCore.connect(addr1).requestWithdrawal(ethers.utils.parseEther("100"));
+      expect(await vaulterCore.getQueuePosition(0)).to.equal(0);
+      expect(await vaulterCore.getQueuePosition(1)).to.equal(1);
+
+      await coreAgent.releaseUndelegated(vaulterCore.address);
+      const tx = await vaulterCore.settleWithdrawals(1);
+      const receipt = await tx.wait();
+      expect(receipt.events.filter(e => e.event === "WithdrawalSettled").length).to.equal(1);
+      expect(await vaulterCore.getQueuePosition(1)).to.equal(0);
+
+      await vaulterCore.settleWithdrawals(10);
+      expect((await vaulterCore.getWithdrawalTicket(1)).settled).to.equal(true);
+    });
+
+    it("Should keep queued CORE out of instant withdrawals", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("10") });
+      await vaulterCore.connect(addr2).depositCORE({ value: ethers.utils.parseEther("300") });
+      await coreAgent.setRound(2);
+      await vaulterCore.claimCoreRewards();
+
+      // The ticket reserves every liquid CORE, so addr2 cannot jump the queue
+      await vaulterCore.connect(addr1).requestWithdrawal(ethers.utils.parseEther("500"));
+      await expect(
+        vaulterCore.connect(addr2).withdrawCORE(ethers.utils.parseEther("300"))
+      ).to.be.revertedWith("Insufficient funds even after unstaking");
+    });
+  });
+  describe("CORE reward accumulator", function () {
+    // With no BTC staked the first round splits 50/50, later rounds give CORE depositors 20%.
+    // Deposits only earn from the round after the one they were made in.
+
+    // CORE the depositors earned in the round closed as `round` opened
+    const coreRewardOf = async (round) => (await vaulterCore.getRoundReport(round)).coreReward;
+
+    it("Should pay every holder its pro-rata share regardless of claim order", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("300") });
+      await vaulterCore.connect(addr2).depositCORE({ value: ethers.utils.parseEther("100") });
+      // The deposit round is carried over to the first round the shares earn in
+      await closeRound(1);
+      await closeRound(2);
+      const coreReward = (await coreRewardOf(1)).add(await coreRewardOf(2));
+      expect(coreReward).to.equal(ethers.utils.parseEther("8.55"));
+
+      const reward1 = coreReward.mul(3).div(4);
+      const reward2 = coreReward.div(4);
+      expect(await vaulterCore.getPendingRewards(addr1.address)).to.equal(reward1);
+      expect(await vaulterCore.getPendingRewards(addr2.address)).to.equal(reward2);
+
+      await expect(vaulterCore.connect(addr2).claimRewards())
+        .to.emit(vaulterCore, "RewardsClaimed")
+        .withArgs(addr2.address, reward2);
+      await vaulterCore.connect(addr1).claimRewards();
+
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("300").add(reward1));
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("100").add(reward2));
+      expect(await vaulterCore.pendingCoreRewards()).to.equal(0);
+      expect(await vaulterCore.getPricePerShare()).to.equal(ethers.utils.parseEther("1"));
+
+      // A second claim in the same round pays nothing
+      await vaulterCore.connect(addr1).claimRewards();
+      expect(await vaulterCore.getPendingRewards(addr1.address)).to.equal(0);
+    });
+
+    it("Should checkpoint rewards on transfers", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("100") });
+      await closeRound(1);
+      const depositRound = await coreRewardOf(1);
+      await closeRound(2);
+      const round1 = (await coreRewardOf(2)).add(depositRound);
+
+      await vaulterCore.connect(addr1).transfer(addr2.address, ethers.utils.parseEther("50"));
+      expect(await vaulterCore.accruedCoreRewards(addr1.address)).to.equal(round1);
+      expect(await vaulterCore.getPendingRewards(addr2.address)).to.equal(0);
+
+      await closeRound(3);
+      const round2 = await coreRewardOf(3);
+      expect(await vaulterCore.getPendingRewards(addr1.address)).to.equal(round1.add(round2.div(2)));
+      expect(await vaulterCore.getPendingRewards(addr2.address)).to.equal(round2.div(2));
+
+      await vaulterCore.connect(addr2).claimRewards();
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("50").add(round2.div(2)));
+    });
+
+    it("Should keep accrued rewards claimable after burning the shares", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("100") });
+      await vaulterCore.connect(addr2).depositCORE({ value: ethers.utils.parseEther("100") });
+      await closeRound(1);
+      const depositRound = await coreRewardOf(1);
+      await closeRound(2);
+      const round1 = (await coreRewardOf(2)).add(depositRound);
+
+      await vaulterCore.connect(addr1).redeem(ethers.utils.parseEther("100"), addr1.address, addr1.address);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(0);
+
+      // addr1 no longer earns, addr2 gets the whole next round
+      await closeRound(3);
+      const round2 = await coreRewardOf(3);
+      expect(await vaulterCore.getPendingRewards(addr1.address)).to.equal(round1.div(2));
+      expect(await vaulterCore.getPendingRewards(addr2.address)).to.equal(round1.div(2).add(round2));
+
+      await vaulterCore.connect(addr1).claimRewards();
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(round1.div(2));
+    });
+
+    it("Should carry rewards of rounds without holders to the next distribution", async function () {
+      await closeRound(1);
+      const round1 = await coreRewardOf(1);
+      expect(await vaulterCore.undistributedCoreRewards()).to.equal(round1);
+
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("100") });
+      await closeRound(2);
+      const round2 = await coreRewardOf(2);
+      expect(await vaulterCore.undistributedCoreRewards()).to.equal(round1.add(round2));
+
+      await closeRound(3);
+      const round3 = await coreRewardOf(3);
+      expect(await vaulterCore.undistributedCoreRewards()).to.equal(0);
+      expect(await vaulterCore.getPendingRewards(addr1.address)).to.equal(round1.add(round2).add(round3));
+    });
+
+    it("Should not pay shares deposited in the closing round, even once transferred", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("100") });
+      await closeRound(1);
+      const depositRound = await coreRewardOf(1);
+
+      // A deposit right before the close only earns from the next round on
+      await vaulterCore.connect(addr2).depositCORE({ value: ethers.utils.parseEther("300") });
+      await vaulterCore.connect(addr2).transfer(owner.address, ethers.utils.parseEther("100"));
+      expect(await vaulterCore.freshShares(owner.address)).to.equal(ethers.utils.parseEther("100"));
+      await closeRound(2);
+      const round1 = (await coreRewardOf(2)).add(depositRound);
+      expect(await vaulterCore.getPendingRewards(addr1.address)).to.equal(round1);
+      expect(await vaulterCore.getPendingRewards(addr2.address)).to.equal(0);
+      expect(await vaulterCore.getPendingRewards(owner.address)).to.equal(0);
+
+      // Shares leaving an account are taken from its earning shares first
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("100") });
+      await vaulterCore.connect(addr1).transfer(owner.address, ethers.utils.parseEther("100"));
+      expect(await vaulterCore.freshShares(addr1.address)).to.equal(ethers.utils.parseEther("100"));
+      expect(await vaulterCore.freshShares(owner.address)).to.equal(0);
+      await closeRound(3);
+      const round2 = await coreRewardOf(3);
+      expect(await vaulterCore.getPendingRewards(addr1.address)).to.equal(round1);
+      expect(await vaulterCore.getPendingRewards(addr2.address)).to.equal(round2.div(2));
+      expect(await vaulterCore.getPendingRewards(owner.address)).to.equal(round2.div(2));
+    });
+  });
+  describe("BTC reward index", function () {
+    const stakers = [
+      new ethers.Wallet("0x" + "11".repeat(32)),
+      new ethers.Wallet("0x" + "22".repeat(32)),
+    ];
+    const message = "recipient: ";
+
+    function btcPubKeyHash(wallet) {
+      const compressed = ethers.utils.computePublicKey(wallet.publicKey, true);
+      return ethers.utils.ripemd160(ethers.utils.sha256(compressed));
+    }
+
+    // Records a CLTV stake of `sats` for the wallet, delegated to the vault
+    async function stakeBTC(wallet, sats, lockTime) {
+      const { rawTx, script } = buildStakeTx(btcPubKeyHash(wallet), lockTime, sats);
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+      return calculateTxId(rawTx);
+    }
+
+    async function claimFor(wallet, recipient) {
+      const signature = await wallet.signMessage(message + recipient.toLowerCase());
+      return vaulterCore.claimBTCRewards(wallet.publicKey, signature, message, recipient);
+    }
+
+    // EIP-712 BTCClaim (or BTCPayout) of the wallet's pubkey hash (or of a given pubkey hash, unsigned) at its
+    // current nonce, with its digest for Bitcoin signed messages
+    async function btcClaim(wallet, account, deadline = now + 3600, type = "BTCClaim") {
+      const domain = { name: "Vaulter CORE", version: "1", chainId: 1337, verifyingContract: vaulterCore.address };
+      const field = type == "BTCClaim" ? "recipient" : "payout";
+      const types = {
+        [type]: [
+          { name: "btcPubKeyHash", type: "bytes20" },
+          { name: field, type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const owner = typeof wallet == "string" ? wallet : btcPubKeyHash(wallet);
+      const nonce = await vaulterCore.btcClaimNonces(owner);
+      const value = { btcPubKeyHash: owner, [field]: account, nonce, deadline };
+      return {
+        deadline,
+        digest: ethers.utils._TypedDataEncoder.hash(domain, types, value),
+        signature: owner == wallet ? undefined : await wallet._signTypedData(domain, types, value),
+      };
+    }
+
+    // Bitcoin signed messages made with the BTC key of the wallet: BIP-137 compact and BIP-322 simple (P2WPKH)
+    function signBip137(wallet, text, header = 31) {
+      const body = Buffer.from(text);
+      const digest = bitcoin.crypto.hash256(
+        Buffer.concat([Buffer.from("\x18Bitcoin Signed Message:\n"), Buffer.from([body.length]), body])
+      );
+      const sig = wallet._signingKey().signDigest(digest);
+      return ethers.utils.hexConcat([[header + sig.recoveryParam], sig.r, sig.s]);
+    }
+
+    function signBip322(wallet, text) {
+      const pubkey = Buffer.from(ethers.utils.computePublicKey(wallet.publicKey, true).slice(2), "hex");
+      const tag = bitcoin.crypto.sha256(Buffer.from("BIP0322-signed-message"));
+      const messageHash = bitcoin.crypto.sha256(Buffer.concat([tag, tag, Buffer.from(text)]));
+
+      const toSpend = new bitcoin.Transaction();
+      toSpend.version = 0;
+      toSpend.addInput(Buffer.alloc(32), 0xffffffff, 0, bitcoin.script.compile([bitcoin.opcodes.OP_0, messageHash]));
+      toSpend.addOutput(bitcoin.payments.p2wpkh({ pubkey }).output, 0);
+      const toSign = new bitcoin.Transaction();
+      toSign.version = 0;
+      toSign.addInput(toSpend.getHash(), 0, 0);
+      toSign.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0);
+
+      const scriptCode = bitcoin.payments.p2pkh({ pubkey }).output;
+      const sighash = toSign.hashForWitnessV0(0, scriptCode, 0, bitcoin.Transaction.SIGHASH_ALL);
+      const sig = wallet._signingKey().signDigest(sighash);
+      const der = bitcoin.script.signature.encode(
+        Buffer.from(ethers.utils.hexConcat([sig.r, sig.s]).slice(2), "hex"),
+        bitcoin.Transaction.SIGHASH_ALL
+      );
+      return ethers.utils.hexConcat([[2], [der.length], der, [pubkey.length], pubkey]);
+    }
+
+    // CORE the BTC stakers earned in the round closed as `round` opened
+    const btcRewardOf = async (round) => (await vaulterCore.getRoundReport(round)).btcReward;
+
+    let now;
+    beforeEach(async function () {
+      now = (await ethers.provider.getBlock("latest")).timestamp;
+      // claimFor uses the deprecated claims, which governance has to turn on
+      await vaulterCore.setLegacyBTCClaims(true);
+    });
+
+    it("Should split BTC rewards by staked sats through the index", async function () {
+      await stakeBTC(stakers[0], ethers.utils.parseUnits("0.3", 8), now + 30 * 86400);
+      await stakeBTC(stakers[1], ethers.utils.parseUnits("0.1", 8), now + 30 * 86400);
+
+      await closeRound(1);
+      const btcReward = await btcRewardOf(1);
+      expect(btcReward).to.equal(ethers.utils.parseEther("4.75"));
+      expect(await vaulterCore.btcRewardPerSat()).to.equal(
+        btcReward.mul(ethers.utils.parseEther("1")).div(ethers.utils.parseUnits("0.4", 8))
+      );
+      // Nothing is written per pubKey when the round closes
+      expect((await vaulterCore.btcStakes(btcPubKeyHash(stakers[0]))).pendingRewards).to.equal(0);
+
+      expect(await vaulterCore.getPendingBTCRewards(stakers[0].publicKey)).to.equal(btcReward.mul(3).div(4));
+      expect(await vaulterCore.getPendingBTCRewards(stakers[1].publicKey)).to.equal(btcReward.div(4));
+
+      await claimFor(stakers[1], addr2.address);
+      await claimFor(stakers[0], addr1.address);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(btcReward.mul(3).div(4));
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(btcReward.div(4));
+      expect(await vaulterCore.pendingBTCRewards()).to.equal(0);
+    });
+
+    it("Should pay BTC rewards to BIP-137 and BIP-322 signed messages", async function () {
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      await stakeBTC(stakers[0], sats, now + 30 * 86400);
+      await stakeBTC(stakers[1], sats, now + 30 * 86400);
+      await closeRound(1);
+      const btcReward = await btcRewardOf(1);
+      const compressed = stakers.map((wallet) => ethers.utils.computePublicKey(wallet.publicKey, true));
+      const claim0 = await btcClaim(stakers[0], addr1.address);
+      const claim1 = await btcClaim(stakers[1], addr2.address);
+
+      // Signed by another key, or for another recipient
+      await expect(
+        vaulterCore.claimBTCRewardsWithBitcoinSignature(compressed[0], signBip137(stakers[1], claim0.digest), addr1.address, claim0.deadline)
+      ).to.be.revertedWith("Invalid signature");
+      await expect(
+        vaulterCore.claimBTCRewardsWithBitcoinSignature(compressed[1], signBip322(stakers[1], claim1.digest), addr1.address, claim1.deadline)
+      ).to.be.revertedWith("Invalid signature");
+
+      await expect(
+        vaulterCore.claimBTCRewardsWithBitcoinSignature(compressed[0], signBip137(stakers[0], claim0.digest), addr1.address, claim0.deadline)
+      ).to.emit(vaulterCore, "BTCRewardsClaimed").withArgs(btcPubKeyHash(stakers[0]), btcReward.div(2));
+      await expect(
+        vaulterCore.claimBTCRewardsWithBitcoinSignature(compressed[1], signBip322(stakers[1], claim1.digest), addr2.address, claim1.deadline)
+      ).to.emit(vaulterCore, "BTCRewardsClaimed").withArgs(btcPubKeyHash(stakers[1]), btcReward.div(2));
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(btcReward.div(2));
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(btcReward.div(2));
+    });
+
+    it("Should pay the BTC rewards of an uncompressed P2PKH stake to BIP-137 uncompressed signatures", async function () {
+      const uncompressed = ethers.utils.ripemd160(ethers.utils.sha256(stakers[0].publicKey));
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      const { rawTx, script } = buildStakeTx(uncompressed, now + 30 * 86400, sats);
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, now + 30 * 86400, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+      await closeRound(1);
+      const btcReward = await btcRewardOf(1);
+
+      // A compressed-key signature claims for the compressed key, which staked nothing
+      let claim = await btcClaim(stakers[0], addr1.address);
+      await expect(
+        vaulterCore.claimBTCRewardsWithBitcoinSignature(stakers[0].publicKey, signBip137(stakers[0], claim.digest), addr1.address, claim.deadline)
+      ).to.be.revertedWith("No staked BTC for btcPubKeyHash");
+
+      claim = await btcClaim(uncompressed, addr1.address);
+      await expect(
+        vaulterCore.claimBTCRewardsWithBitcoinSignature(stakers[0].publicKey, signBip137(stakers[0], claim.digest, 27), addr1.address, claim.deadline)
+      ).to.emit(vaulterCore, "BTCRewardsClaimed").withArgs(uncompressed, btcReward);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(btcReward);
+    });
+
+    it("Should pay the BTC rewards of a multisig stake to m of its n keys", async function () {
+      const { opcodes } = bitcoin;
+      const wallets = [...stakers, new ethers.Wallet("0x" + "33".repeat(32))];
+      const keys = wallets.map((wallet) => Buffer.from(ethers.utils.computePublicKey(wallet.publicKey, true).slice(2), "hex"));
+      const lock = bitcoin.script.compile([opcodes.OP_2, ...keys, opcodes.OP_3, opcodes.OP_CHECKMULTISIG]);
+      const owner = "0x" + bitcoin.crypto.hash160(lock).toString("hex");
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      const { rawTx, script } = buildStakeTx(ethers.constants.AddressZero, now + 30 * 86400, sats, { lock: bitcoin.script.decompile(lock) });
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, now + 30 * 86400, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+      await closeRound(1);
+      const btcReward = await btcRewardOf(1);
+
+      // One signature per key in key order, empty for the keys that did not sign
+      let claim = await btcClaim(owner, addr1.address);
+      const signed = (signers) => wallets.map((wallet, i) => signers.includes(i) ? signBip137(wallet, claim.digest) : "0x");
+      await expect(vaulterCore.claimMultisigBTCRewards(lock, signed([0]), addr1.address, claim.deadline))
+        .to.be.revertedWith("Not enough signatures");
+      await expect(vaulterCore.claimMultisigBTCRewards(lock, signed([0, 2]).slice(1), addr1.address, claim.deadline))
+        .to.be.revertedWith("Length mismatch");
+      const swapped = signed([0, 2]).reverse();
+      await expect(vaulterCore.claimMultisigBTCRewards(lock, swapped, addr1.address, claim.deadline))
+        .to.be.revertedWith("Invalid signature");
+      await expect(vaulterCore.claimMultisigBTCRewards(keys[0], signed([0]).slice(0, 1), addr1.address, claim.deadline))
+        .to.be.revertedWith("Unsupported redeem script");
+      await expect(vaulterCore.claimMultisigBTCRewards(lock, signed([0, 2]), addr1.address, claim.deadline))
+        .to.emit(vaulterCore, "BTCRewardsClaimed")
+        .withArgs(owner, btcReward);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(btcReward);
+
+      // A payout address registered by the keys receives the next rounds without signatures
+      claim = await btcClaim(owner, addr2.address, now + 3600, "BTCPayout");
+      await expect(vaulterCore.setMultisigBTCPayoutAddress(lock, signed([1, 2]), addr2.address, claim.deadline))
+        .to.emit(vaulterCore, "BTCPayoutAddressSet")
+        .withArgs(owner, addr2.address);
+      await closeRound(2);
+      const round2 = await btcRewardOf(2);
+      await vaulterCore.payoutBTCRewards([owner]);
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(round2);
+    });
+
+    it("Should bind EIP-712 BTC claims to a nonce and a deadline", async function () {
+      await stakeBTC(stakers[0], ethers.utils.parseUnits("0.1", 8), now + 30 * 86400);
+      await closeRound(1);
+      const round1 = await btcRewardOf(1);
+
+      const claim = await btcClaim(stakers[0], addr1.address);
+      await expect(
+        vaulterCore.claimBTCRewardsTyped(stakers[1].publicKey, claim.signature, addr1.address, claim.deadline)
+      ).to.be.revertedWith("Invalid signature");
+      await expect(
+        vaulterCore.claimBTCRewardsTyped(stakers[0].publicKey, claim.signature, addr2.address, claim.deadline)
+      ).to.be.revertedWith("Invalid signature");
+      await vaulterCore.claimBTCRewardsTyped(stakers[0].publicKey, claim.signature, addr1.address, claim.deadline);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(round1);
+      expect(await vaulterCore.btcClaimNonces(btcPubKeyHash(stakers[0]))).to.equal(1);
+
+      // The signature cannot be replayed in a later round, and expires with its deadline
+      await closeRound(2);
+      await expect(
+        vaulterCore.claimBTCRewardsTyped(stakers[0].publicKey, claim.signature, addr1.address, claim.deadline)
+      ).to.be.revertedWith("Invalid signature");
+      const expired = await btcClaim(stakers[0], addr1.address, now - 1);
+      await expect(
+        vaulterCore.claimBTCRewardsTyped(stakers[0].publicKey, expired.signature, addr1.address, expired.deadline)
+      ).to.be.revertedWith("Claim signature expired");
+
+      // The deprecated free-form claims can be turned off again by governance
+      await expect(vaulterCore.connect(addr1).setLegacyBTCClaims(false)).to.be.reverted;
+      await expect(vaulterCore.setLegacyBTCClaims(false)).to.emit(vaulterCore, "LegacyBTCClaimsUpdated").withArgs(false);
+      await expect(claimFor(stakers[0], addr1.address)).to.be.revertedWith("Legacy BTC claims disabled");
+    });
+
+    it("Should pay BTC rewards to registered payout addresses without a claim signature", async function () {
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      await stakeBTC(stakers[0], sats, now + 30 * 86400);
+      await stakeBTC(stakers[1], sats, now + 30 * 86400);
+      const hashes = stakers.map(btcPubKeyHash);
+
+      // Registered with the derived Ethereum key for staker 0, with a BIP-322 message for staker 1
+      let registration = await btcClaim(stakers[0], addr1.address, now + 3600, "BTCPayout");
+      await expect(
+        vaulterCore.setBTCPayoutAddress(stakers[0].publicKey, registration.signature, addr2.address, registration.deadline)
+      ).to.be.revertedWith("Invalid signature");
+      await expect(
+        vaulterCore.setBTCPayoutAddress(stakers[0].publicKey, registration.signature, addr1.address, registration.deadline)
+      ).to.emit(vaulterCore, "BTCPayoutAddressSet").withArgs(hashes[0], addr1.address);
+      registration = await btcClaim(stakers[1], addr2.address, now + 3600, "BTCPayout");
+      const compressed = ethers.utils.computePublicKey(stakers[1].publicKey, true);
+      await vaulterCore.setBTCPayoutAddressWithBitcoinSignature(
+        compressed, signBip322(stakers[1], registration.digest), addr2.address, registration.deadline
+      );
+      expect(await vaulterCore.btcPayoutAddresses(hashes[1])).to.equal(addr2.address);
+
+      // Anyone can credit the registered addresses after a round close
+      await closeRound(1);
+      const round1 = await btcRewardOf(1);
+      await vaulterCore.connect(addr2).payoutBTCRewards(hashes);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(round1.div(2));
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(round1.div(2));
+      // Nothing left to pay
+      await vaulterCore.payoutBTCRewards(hashes);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(round1.div(2));
+
+      // Rotation and revocation are signed by the BTC key too
+      registration = await btcClaim(stakers[0], addr2.address, now + 3600, "BTCPayout");
+      await vaulterCore.setBTCPayoutAddress(stakers[0].publicKey, registration.signature, addr2.address, registration.deadline);
+      registration = await btcClaim(stakers[1], ethers.constants.AddressZero, now + 3600, "BTCPayout");
+      await vaulterCore.setBTCPayoutAddress(stakers[1].publicKey, registration.signature, ethers.constants.AddressZero, registration.deadline);
+
+      await closeRound(2);
+      const round2 = await btcRewardOf(2);
+      await vaulterCore.payoutBTCRewards(hashes);
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(round1.div(2).add(round2.div(2)));
+      expect(await vaulterCore.getPendingBTCRewards(stakers[1].publicKey)).to.equal(round2.div(2));
+    });
+
+    it("Should retire expired stakes through their end round bucket", async function () {
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      const lockTime = now + 86400;
+      const endRound = Math.ceil(lockTime / 86400);
+      const expiringTxId = await stakeBTC(stakers[0], sats, lockTime);
+      await stakeBTC(stakers[1], sats, now + 30 * 86400);
+      expect(await vaulterCore.getExpiringBTC(endRound)).to.equal(sats);
+
+      await closeRound(1);
+      const round1 = await btcRewardOf(1);
+      expect(await vaulterCore.totalBTCStaked()).to.equal(sats.mul(2));
+
+      // The stake still earns the round it ends in, then stops counting
+      await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+      await coreAgent.setRound(2);
+      await stakeHub.addReward(ethers.utils.parseEther("10"));
+      const pendingBefore = await vaulterCore.pendingBTCRewards();
+      await expect(vaulterCore.claimCoreRewards())
+        .to.emit(vaulterCore, "BTCStakesExpired")
+        .withArgs(endRound, sats);
+      const round2 = (await vaulterCore.pendingBTCRewards()).sub(pendingBefore);
+      expect(await vaulterCore.totalBTCStaked()).to.equal(sats);
+
+      await closeRound(3);
+      const round3 = await btcRewardOf(3);
+      const expected = round1.div(2).add(round2.div(2));
+      expect(await vaulterCore.getPendingBTCRewards(stakers[0].publicKey)).to.equal(expected);
+      expect(await vaulterCore.getPendingBTCRewards(stakers[1].publicKey)).to.equal(expected.add(round3));
+
+      // The expired stake is dropped from its owner on the next checkpoint
+      await expect(claimFor(stakers[0], addr1.address))
+        .to.emit(vaulterCore, "ExpiredStakeRemoved")
+        .withArgs(expiringTxId, btcPubKeyHash(stakers[0]), sats);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(expected);
+      expect((await vaulterCore.btcStakes(btcPubKeyHash(stakers[0]))).stakedAmount).to.equal(0);
+    });
+
+    it("Should retire a stake at the first close at or after its lockTime, never before", async function () {
+      // A stake counts until the first round (day) starting at or after its lockTime, whatever the hour
+      const day = Math.floor(now / 86400) + 2;
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      await stakeBTC(stakers[0], sats, day * 86400 + 3600);
+      await stakeBTC(stakers[1], sats.mul(6), day * 86400 + 23 * 3600);
+      expect(await vaulterCore.getExpiringBTC(day)).to.equal(0);
+      expect(await vaulterCore.getExpiringBTC(day + 1)).to.equal(sats.mul(7));
+
+      // Between the two lockTimes, both stakes still count
+      await ethers.provider.send("evm_setNextBlockTimestamp", [day * 86400 + 2 * 3600]);
+      await expect(closeRound(1)).to.not.emit(vaulterCore, "BTCStakesExpired");
+      expect(await vaulterCore.totalBTCStaked()).to.equal(sats.mul(7));
+
+      // Both earn the round closing the next day, then stop counting
+      await ethers.provider.send("evm_setNextBlockTimestamp", [(day + 1) * 86400]);
+      await expect(closeRound(2))
+        .to.emit(vaulterCore, "BTCStakesExpired")
+        .withArgs(day + 1, sats.mul(7));
+      expect(await vaulterCore.totalBTCStaked()).to.equal(0);
+      const pending = await vaulterCore.getPendingBTCRewards(stakers[1].publicKey);
+      expect(pending).to.be.gt(await vaulterCore.getPendingBTCRewards(stakers[0].publicKey));
+
+      await closeRound(3);
+      expect(await vaulterCore.getPendingBTCRewards(stakers[1].publicKey)).to.equal(pending);
+    });
+
+    it("Should keep snapshotted BTC rewards claimable in CORE in emergency mode", async function () {
+      await stakeBTC(stakers[0], ethers.utils.parseUnits("0.1", 8), now + 10 * 86400);
+      await closeRound(1);
+      // The mock stake hub does not pay the round reward out
+      await owner.sendTransaction({ to: vaulterCore.address, value: ethers.utils.parseEther("10") });
+      const pending = await vaulterCore.getPendingBTCRewards(stakers[0].publicKey);
+      expect(pending).to.be.gt(0);
+
+      await vaulterCore.enableEmergencyMode();
+      await coreAgent.setRound(2);
+      await stakeHub.addReward(ethers.utils.parseEther("10"));
+      await expect(vaulterCore.claimCoreRewards()).to.be.revertedWith("Emergency mode");
+      expect(await vaulterCore.getPendingBTCRewards(stakers[0].publicKey)).to.equal(pending);
+
+      const claim = claimFor(stakers[0], addr1.address);
+      await expect(claim).to.changeEtherBalance(addr1, pending);
+      await expect(claim).to.emit(vaulterCore, "BTCRewardsClaimed").withArgs(btcPubKeyHash(stakers[0]), pending);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should reject stakes whose end round is already retired", async function () {
+      await expect(
+        stakeBTC(stakers[0], ethers.utils.parseUnits("0.1", 8), now - 86400)
+      ).to.be.revertedWith("BTC stake expired");
+    });
+
+    it("Should weight BTC rewards by the lock multiplier of each stake", async function () {
+      await expect(vaulterCore.setLockBoosts([30], [11000, 12500])).to.be.revertedWith("Length mismatch");
+      await expect(vaulterCore.setLockBoosts([180, 30], [11000, 12500])).to.be.revertedWith("Lock days not ascending");
+      await expect(vaulterCore.setLockBoosts([30], [9000])).to.be.revertedWith("Invalid lock multiplier");
+      await expect(vaulterCore.setLockBoosts([30], [30001])).to.be.revertedWith("Invalid lock multiplier");
+      // 1.0x under 30 days up to 1.5x over a year
+      await expect(vaulterCore.setLockBoosts([30, 180, 365], [11000, 12500, 15000]))
+        .to.emit(vaulterCore, "LockBoostsUpdated")
+        .withArgs([30, 180, 365], [11000, 12500, 15000]);
+      expect((await vaulterCore.getLockBoosts()).map((boost) => boost.multiplier.toNumber())).to.deep.equal([
+        11000, 12500, 15000,
+      ]);
+
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      const shortTxId = await stakeBTC(stakers[0], sats, now + 10 * 86400);
+      const longTxId = await stakeBTC(stakers[1], sats, now + 400 * 86400);
+      expect(await vaulterCore.getBTCStakeWeight(shortTxId)).to.deep.equal([sats, ethers.BigNumber.from(10000)]);
+      expect(await vaulterCore.getBTCStakeWeight(longTxId)).to.deep.equal([sats.mul(3).div(2), ethers.BigNumber.from(15000)]);
+      await expect(vaulterCore.getBTCStakeWeight(ethers.constants.HashZero)).to.be.revertedWith("Invalid BTC txId");
+      expect(await vaulterCore.totalBTCWeight()).to.equal(sats.mul(5).div(2));
+      expect(await vaulterCore.totalBTCStaked()).to.equal(sats.mul(2));
+
+      await closeRound(1);
+      const btcReward = await btcRewardOf(1);
+      const rewardPerWeight = btcReward.mul(ethers.utils.parseEther("1")).div(sats.mul(5).div(2));
+      expect(await vaulterCore.btcRewardPerSat()).to.equal(rewardPerWeight);
+      const earned = (weight) => weight.mul(rewardPerWeight).div(ethers.utils.parseEther("1"));
+      expect(await vaulterCore.getPendingBTCRewards(stakers[0].publicKey)).to.equal(earned(sats));
+      expect(await vaulterCore.getPendingBTCRewards(stakers[1].publicKey)).to.equal(earned(sats.mul(3).div(2)));
+    });
+
+    it("Should keep the weight of recorded stakes and retire it when they expire", async function () {
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      const lockTime = now + 86400;
+      const expiringTxId = await stakeBTC(stakers[0], sats, lockTime);
+      await vaulterCore.setLockBoosts([0], [20000]);
+      await stakeBTC(stakers[1], sats, now + 30 * 86400);
+      // The new curve only applies to the stakes recorded afterwards
+      expect((await vaulterCore.getBTCStakeWeight(expiringTxId)).weight).to.equal(sats);
+      expect(await vaulterCore.totalBTCWeight()).to.equal(sats.mul(3));
+
+      await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+      await coreAgent.setRound(1);
+      await stakeHub.addReward(ethers.utils.parseEther("10"));
+      await expect(vaulterCore.claimCoreRewards())
+        .to.emit(vaulterCore, "BTCStakesExpired")
+        .withArgs(Math.ceil(lockTime / 86400), sats);
+      expect(await vaulterCore.totalBTCWeight()).to.equal(sats.mul(2));
+      expect(await vaulterCore.totalBTCStaked()).to.equal(sats);
+
+      await vaulterCore.setLockBoosts([], []);
+      expect(await vaulterCore.getLockBoosts()).to.deep.equal([]);
+    });
+
+    // Records a stake of the wallet renewing `previousTxId`
+    async function renewBTC(wallet, previousTxId, sats, lockTime) {
+      const { rawTx, script } = buildStakeTx(btcPubKeyHash(wallet), lockTime, sats);
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      return { tx: vaulterCore.renewBTCStake(previousTxId, "0x" + rawTx, script), txId: calculateTxId(rawTx) };
+    }
+
+    it("Should renew a BTC stake keeping its lock multiplier and rewards", async function () {
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      await vaulterCore.setLockBoosts([365], [15000]);
+      const previousTxId = await stakeBTC(stakers[0], sats, now + 400 * 86400);
+      await closeRound(1);
+      const pending = await vaulterCore.getPendingBTCRewards(stakers[0].publicKey);
+
+      // The curve no longer boosts new stakes, the renewal keeps 1.5x
+      await vaulterCore.setLockBoosts([], []);
+      await expect((await renewBTC(stakers[0], ethers.utils.hexZeroPad("0x01", 32), sats, now + 900 * 86400)).tx)
+        .to.be.revertedWith("Invalid BTC txId");
+      await expect((await renewBTC(stakers[1], previousTxId, sats, now + 900 * 86400)).tx).to.be.revertedWith(
+        "Renewal from another pubKey"
+      );
+      await expect((await renewBTC(stakers[0], previousTxId, sats, now + 300 * 86400)).tx).to.be.revertedWith(
+        "Renewal must end later"
+      );
+      await expect((await renewBTC(stakers[0], previousTxId, sats, now + 900 * 86400)).tx).to.be.revertedWith(
+        "BTC stake not expiring yet"
+      );
+
+      // 5 days before it ends, renewed for 505 days
+      await ethers.provider.send("evm_increaseTime", [395 * 86400]);
+      const { tx, txId } = await renewBTC(stakers[0], previousTxId, sats, now + 900 * 86400);
+      await expect(tx)
+        .to.emit(vaulterCore, "BTCStakeRenewed")
+        .withArgs(previousTxId, txId, btcPubKeyHash(stakers[0]), 15000);
+      await expect(tx).to.emit(vaulterCore, "BTCStaked");
+      expect(await vaulterCore.getBTCStakeWeight(txId)).to.deep.equal([sats.mul(3).div(2), ethers.BigNumber.from(15000)]);
+      // The renewed stake no longer earns the boost it handed over
+      expect(await vaulterCore.getBTCStakeWeight(previousTxId)).to.deep.equal([sats, ethers.BigNumber.from(10000)]);
+      expect(await vaulterCore.totalBTCWeight()).to.equal(sats.mul(5).div(2));
+      expect((await vaulterCore.btcTxMap(previousTxId)).renewedBy).to.equal(txId);
+      expect((await vaulterCore.btcTxMap(txId)).renewalOf).to.equal(previousTxId);
+      expect(await vaulterCore.getPendingBTCRewards(stakers[0].publicKey)).to.equal(pending);
+
+      await expect((await renewBTC(stakers[0], previousTxId, sats, now + 1000 * 86400)).tx).to.be.revertedWith(
+        "BTC stake already renewed"
+      );
+    });
+
+    it("Should only carry the renewed lock multiplier over as many sats as the renewed stake", async function () {
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      await vaulterCore.setLockBoosts([365], [15000]);
+      const previousTxId = await stakeBTC(stakers[0], sats, now + 400 * 86400);
+      await vaulterCore.setLockBoosts([30], [12000]);
+
+      // Three times the sats: 0.1 BTC keeps 1.5x, the other 0.2 BTC weighs 1.2x
+      await ethers.provider.send("evm_increaseTime", [395 * 86400]);
+      const { tx, txId } = await renewBTC(stakers[0], previousTxId, sats.mul(3), now + 800 * 86400);
+      await expect(tx).to.emit(vaulterCore, "BTCStakeRenewed").withArgs(previousTxId, txId, btcPubKeyHash(stakers[0]), 15000);
+      expect((await vaulterCore.getBTCStakeWeight(txId))[0]).to.equal(sats.mul(3).div(2).add(sats.mul(2).mul(6).div(5)));
+    });
+
+    it("Should not carry a lock multiplier over to shorter renewals, however chained", async function () {
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      await vaulterCore.setLockBoosts([365], [30000]);
+      const firstTxId = await stakeBTC(stakers[0], sats, now + 400 * 86400);
+
+      // A live 3.0x stake cannot be renewed by a short lock
+      await expect((await renewBTC(stakers[0], firstTxId, sats, now + 401 * 86400)).tx).to.be.revertedWith(
+        "BTC stake not expiring yet"
+      );
+
+      // Once it ends within the window, a 6-day renewal weighs by its own lock and the first stake keeps its 3.0x
+      await ethers.provider.send("evm_increaseTime", [395 * 86400]);
+      const second = await renewBTC(stakers[0], firstTxId, sats, now + 401 * 86400);
+      await expect(second.tx).to.emit(vaulterCore, "BTCStakeRenewed").withArgs(firstTxId, second.txId, btcPubKeyHash(stakers[0]), 30000);
+      expect(await vaulterCore.getBTCStakeWeight(second.txId)).to.deep.equal([sats, ethers.BigNumber.from(10000)]);
+      expect(await vaulterCore.getBTCStakeWeight(firstTxId)).to.deep.equal([sats.mul(3), ethers.BigNumber.from(30000)]);
+
+      // Renewing the renewal with another short lock keeps 1.0x
+      await ethers.provider.send("evm_increaseTime", [3 * 86400]);
+      const third = await renewBTC(stakers[0], second.txId, sats, now + 405 * 86400);
+      await expect(third.tx).to.emit(vaulterCore, "BTCStakeRenewed").withArgs(second.txId, third.txId, btcPubKeyHash(stakers[0]), 10000);
+      expect(await vaulterCore.getBTCStakeWeight(third.txId)).to.deep.equal([sats, ethers.BigNumber.from(10000)]);
+    });
+
+    it("Should list the stakes expiring within N rounds and renew an expired one", async function () {
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      const pubKeyHash = btcPubKeyHash(stakers[0]);
+      const soonTxId = await stakeBTC(stakers[0], sats, now + 2 * 86400);
+      const laterTxId = await stakeBTC(stakers[0], sats, now + 10 * 86400);
+      await stakeBTC(stakers[0], sats, now + 60 * 86400);
+      expect(await vaulterCore.getExpiringBTCStakes(pubKeyHash, 0)).to.deep.equal([]);
+      expect(await vaulterCore.getExpiringBTCStakes(pubKeyHash, 5)).to.deep.equal([soonTxId]);
+      expect(await vaulterCore.getExpiringBTCStakes(pubKeyHash, 30)).to.deep.equal([soonTxId, laterTxId]);
+
+      await ethers.provider.send("evm_increaseTime", [3 * 86400]);
+      await closeRound(1);
+      expect(await vaulterCore.getExpiringBTCStakes(pubKeyHash, 30)).to.deep.equal([laterTxId]);
+      const pending = await vaulterCore.getPendingBTCRewards(stakers[0].publicKey);
+
+      const { tx, txId } = await renewBTC(stakers[0], soonTxId, sats, now + 100 * 86400);
+      await expect(tx).to.emit(vaulterCore, "BTCStakeRenewed").withArgs(soonTxId, txId, pubKeyHash, 10000);
+      expect(await vaulterCore.totalBTCStaked()).to.equal(sats.mul(3));
+      expect(await vaulterCore.getPendingBTCRewards(stakers[0].publicKey)).to.equal(pending);
+    });
+  });
+
+  describe("Validator registry", function () {
+    const validators = [1, 2, 3].map((i) => ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(0x1000 + i), 20)));
+    const core = (amount) => ethers.utils.parseEther(amount);
+
+    async function stakeOf(validator) {
+      return (await coreAgent.getDelegator(validator, vaulterCore.address)).realtimeAmount;
+    }
+
+    // Records 0.01 BTC and deposits 100 CORE, so the vault can stake 80 CORE
+    beforeEach(async function () {
+      const lockTime = (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400;
+      const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", lockTime, ethers.utils.parseUnits("0.01", 8));
+      await bitcoinStake.addBtcTx("0x" + rawTx, ethers.utils.parseUnits("0.01", 8), 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+    });
+
+    it("Should only stake CORE to allowed validators under their cap", async function () {
+      await expect(vaulterCore.stakeCORE(validators[0], core("10"))).to.be.revertedWith("Validator not allowed");
+
+      await expect(vaulterCore.setValidator(validators[0], 1, core("30"), true))
+        .to.emit(vaulterCore, "ValidatorUpdated")
+        .withArgs(validators[0], 1, core("30"), true);
+      await expect(vaulterCore.stakeCORE(validators[0], core("40"))).to.be.revertedWith("Validator cap exceeded");
+      await vaulterCore.stakeCORE(validators[0], core("30"));
+      expect(await stakeOf(validators[0])).to.equal(core("30"));
+
+      await expect(vaulterCore.transferCOREStake(validators[0], validators[1], core("10")))
+        .to.be.revertedWith("Validator not allowed");
+      await expect(vaulterCore.setValidator(validators[1], 1, 0, false)).to.be.revertedWith("Validator not allowed");
+      await expect(vaulterCore.setValidator(ethers.constants.AddressZero, 1, 0, true)).to.be.revertedWith("Invalid validator");
+      await expect(vaulterCore.connect(addr1).setValidator(validators[1], 1, 0, true)).to.be.reverted;
+      await expect(vaulterCore.connect(addr1).rebalanceStake(core("10"))).to.be.reverted;
+    });
+
+    it("Should allocate new CORE across the target weights", async function () {
+      await vaulterCore.setValidator(validators[0], 1, 0, true);
+      await vaulterCore.setValidator(validators[1], 2, 0, true);
+      expect(await vaulterCore.getValidators()).to.deep.equal([addr2.address, validators[0], validators[1]]);
+      expect(await vaulterCore.totalValidatorWeight()).to.equal(4);
+
+      // Bounded by the 80 CORE required for yield
+      await expect(vaulterCore.rebalanceStake(core("100")))
+        .to.emit(vaulterCore, "COREStaked")
+        .withArgs(validators[1], core("40"));
+      expect(await vaulterCore.totalCoreStaked()).to.equal(core("80"));
+      expect(await stakeOf(addr2.address)).to.equal(core("20"));
+      expect(await stakeOf(validators[0])).to.equal(core("20"));
+      expect(await stakeOf(validators[1])).to.equal(core("40"));
+    });
+
+    it("Should move existing CORE toward the capped target weights", async function () {
+      await vaulterCore.stakeCORE(addr2.address, core("80"));
+      await vaulterCore.setValidator(validators[0], 3, core("50"), true);
+      const [weight, cap, allowed] = await vaulterCore.getValidator(validators[0]);
+      expect([weight.toNumber(), cap, allowed]).to.deep.equal([3, core("50"), true]);
+
+      // 20 CORE target for addr2, 60 CORE for validators[0] capped to 50
+      await expect(vaulterCore.rebalanceStake(0))
+        .to.emit(vaulterCore, "COREStakeTransferred")
+        .withArgs(addr2.address, validators[0], core("50"));
+      expect(await vaulterCore.totalCoreStaked()).to.equal(core("80"));
+      expect(await stakeOf(addr2.address)).to.equal(core("30"));
+      expect(await stakeOf(validators[0])).to.equal(core("50"));
+    });
+
+    it("Should drain a disallowed validator on the next rebalance", async function () {
+      await vaulterCore.setValidator(validators[0], 1, 0, true);
+      await vaulterCore.rebalanceStake(core("80"));
+      expect(await stakeOf(validators[0])).to.equal(core("40"));
+
+      await vaulterCore.setValidator(validators[0], 0, 0, false);
+      expect(await vaulterCore.totalValidatorWeight()).to.equal(1);
+      await expect(vaulterCore.rebalanceStake(0))
+        .to.emit(vaulterCore, "COREStakeTransferred")
+        .withArgs(validators[0], addr2.address, core("40"));
+      expect(await stakeOf(addr2.address)).to.equal(core("80"));
+      expect(await stakeOf(validators[0])).to.equal(0);
+    });
+
+    it("Should skip the stake moves below the CoreAgent minimum and keep it at the source", async function () {
+      await coreAgent.setRequiredCoinDeposit(core("30"));
+      // CoreAgent reasons reach the operator
+      await expect(vaulterCore.stakeCORE(addr2.address, core("20"))).to.be.revertedWith("delegate amount is too small");
+      await vaulterCore.stakeCORE(addr2.address, core("80"));
+
+      // 26.7 CORE targets for the new validators, below the minimum
+      await vaulterCore.setValidator(validators[0], 1, 0, true);
+      await vaulterCore.setValidator(validators[1], 1, 0, true);
+      await expect(vaulterCore.rebalanceStake(0)).to.not.emit(vaulterCore, "COREStakeTransferred");
+      expect(await stakeOf(addr2.address)).to.equal(core("80"));
+
+      // 60 CORE target for validators[0], addr2 keeps the 30 CORE minimum rather than its 20 CORE target
+      await vaulterCore.setValidator(validators[1], 0, 0, false);
+      await vaulterCore.setValidator(validators[0], 3, 0, true);
+      await expect(vaulterCore.rebalanceStake(0))
+        .to.emit(vaulterCore, "COREStakeTransferred")
+        .withArgs(addr2.address, validators[0], core("50"));
+      expect(await stakeOf(addr2.address)).to.equal(core("30"));
+      expect(await stakeOf(validators[0])).to.equal(core("50"));
+    });
+  });
+
+  describe("Timelocked governance", function () {
+    const delay = 2 * 86400;
+    let timelock;
+
+    // owner proposes and executes, addr1 is the guardian, the timelock alone holds GOVERNANCE_ROLE
+    beforeEach(async function () {
+      const VaulterTimelock = await ethers.getContractFactory("VaulterTimelock");
+      timelock = await VaulterTimelock.deploy(delay, [owner.address], [owner.address], addr1.address);
+      const governanceRole = await vaulterCore.GOVERNANCE_ROLE();
+      await vaulterCore.grantRole(governanceRole, timelock.address);
+      await vaulterCore.renounceRole(governanceRole, owner.address);
+    });
+
+    function call(target, fragment, args) {
+      return [target.address, 0, target.interface.encodeFunctionData(fragment, args), ethers.constants.HashZero, ethers.constants.HashZero];
+    }
+
+    it("Should queue parameter changes for the delay before they apply", async function () {
+      await expect(vaulterCore.setGrade(0, 0, 200, 9000)).to.be.reverted;
+
+      const setGrade = call(vaulterCore, "setGrade", [0, 0, 200, 9000]);
+      const id = await timelock.hashOperation(...setGrade);
+      await expect(timelock.schedule(...setGrade, delay))
+        .to.emit(timelock, "CallScheduled")
+        .withArgs(id, 0, vaulterCore.address, 0, setGrade[2], ethers.constants.HashZero, delay);
+      await expect(timelock.execute(...setGrade)).to.be.reverted;
+
+      await ethers.provider.send("evm_increaseTime", [delay]);
+      await expect(timelock.execute(...setGrade))
+        .to.emit(vaulterCore, "GradeUpdated")
+        .withArgs(0, 0, 200, 9000)
+        .and.to.emit(timelock, "CallExecuted");
+      expect((await vaulterCore.grades(0)).btcRewardRatio).to.equal(9000);
+
+      const setTargetRatio = call(vaulterCore, "setTargetRatio", [25000]);
+      await timelock.schedule(...setTargetRatio, delay);
+      await ethers.provider.send("evm_increaseTime", [delay]);
+      await expect(timelock.execute(...setTargetRatio))
+        .to.emit(vaulterCore, "TargetRatioUpdated")
+        .withArgs(25000);
+      expect(await vaulterCore.targetRatio()).to.equal(25000);
+    });
+
+    it("Should let the guardian cancel a queued change and nothing else", async function () {
+      const setPlatformFee = call(vaulterCore, "setPlatformFee", [1000]);
+      const id = await timelock.hashOperation(...setPlatformFee);
+      await timelock.schedule(...setPlatformFee, delay);
+
+      await expect(timelock.connect(addr1).schedule(...call(vaulterCore, "setPlatformFee", [2000]), delay)).to.be.reverted;
+      await expect(timelock.connect(addr2).cancel(id)).to.be.reverted;
+      await expect(timelock.connect(addr1).cancel(id)).to.emit(timelock, "Cancelled").withArgs(id);
+
+      await ethers.provider.send("evm_increaseTime", [delay]);
+      await expect(timelock.execute(...setPlatformFee)).to.be.reverted;
+      expect(await vaulterCore.platformFee()).to.equal(500);
+    });
+
+    it("Should change the delay through the timelock itself", async function () {
+      await expect(timelock.updateDelay(86400)).to.be.reverted;
+
+      const updateDelay = call(timelock, "updateDelay", [86400]);
+      await expect(timelock.schedule(...updateDelay, delay - 1)).to.be.reverted;
+      await timelock.schedule(...updateDelay, delay);
+      await ethers.provider.send("evm_increaseTime", [delay]);
+      await expect(timelock.execute(...updateDelay))
+        .to.emit(timelock, "MinDelayChange")
+        .withArgs(delay, 86400);
+      expect(await timelock.getMinDelay()).to.equal(86400);
+    });
+  });
+
+  describe("Roles", function () {
+    let operator, guardian, treasury, governance;
+
+    // Every restricted function with harmless arguments, by the role it requires
+    function restrictedCalls() {
+      return {
+        OPERATOR_ROLE: [
+          ["stakeCORE", [addr2.address, 1]],
+          ["rebalanceStake", [0]],
+          ["unstakeCORE", [1]],
+          ["claimCoreRewards", []],
+          ["transferBTCDelegation", [ethers.constants.HashZero, addr2.address]],
+          ["transferCOREStake", [addr2.address, addr2.address, 0]],
+          ["registerHashPower", [addr2.address, addr2.address, 1]],
+        ],
+        GUARDIAN_ROLE: [["pause", []]],
+        TREASURY_ROLE: [["withdrawProtocolFees", [treasury.address]]],
+        GOVERNANCE_ROLE: [
+          ["setPlatformFee", [100]],
+          ["setReserveRatio", [200]],
+          ["setGrade", [0, 0, 100, 8000]],
+          ["setTargetRatio", [12500]],
+          ["setLegacyBTCClaims", [true]],
+          ["setValidator", [addr2.address, 1, 0, true]],
+          ["setFeeMode", [addr2.address, false]],
+          ["setRewardRoute", [0, false, 0]],
+          ["setHashPowerRewards", [ethers.constants.AddressZero, 0]],
+          ["setLockBoosts", [[], []]],
+          ["setAutoCompound", [false, 0]],
+          ["setDepositCaps", [0, 0]],
+          ["setAllowlistMode", [false]],
+          ["setDepositAllowlist", [[addr2.address], true]],
+          ["unpause", []],
+          ["upgradeToAndCall", [addr2.address, "0x"]],
+        ],
+      };
+    }
+
+    beforeEach(async function () {
+      [, , , operator, guardian, treasury, governance] = await ethers.getSigners();
+      const holders = { OPERATOR_ROLE: operator, GUARDIAN_ROLE: guardian, TREASURY_ROLE: treasury, GOVERNANCE_ROLE: governance };
+      for (const [name, holder] of Object.entries(holders)) {
+        const role = await vaulterCore[name]();
+        await vaulterCore.grantRole(role, holder.address);
+        await vaulterCore.renounceRole(role, owner.address);
+      }
+    });
+
+    it("Should confine each role to its own functions", async function () {
+      const holders = [operator, guardian, treasury, governance];
+      for (const [name, calls] of Object.entries(restrictedCalls())) {
+        const role = await vaulterCore[name]();
+        for (const holder of [owner, ...holders]) {
+          const allowed = await vaulterCore.hasRole(role, holder.address);
+          for (const [fn, args] of calls) {
+            const call = vaulterCore.connect(holder)[fn](...args);
+            if (allowed) {
+              await expect(call, `${fn} by its ${name}`).not.to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount");
+            } else {
+              await expect(call, `${fn} without ${name}`)
+                .to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount")
+                .withArgs(holder.address, role);
+            }
+          }
+        }
+      }
+    });
+
+    it("Should let the guardian pause, governance unpause and the treasury withdraw fees", async function () {
+      await expect(vaulterCore.connect(guardian).pause()).to.emit(vaulterCore, "Paused");
+      await expect(vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("1") })).to.be.reverted;
+      await expect(vaulterCore.connect(guardian).unpause()).to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount");
+      await expect(vaulterCore.connect(governance).unpause()).to.emit(vaulterCore, "Unpaused");
+
+      // The operator closes a round, only the treasury collects its fee
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("100") });
+      await stakeHub.addReward(ethers.utils.parseEther("10"));
+      await coreAgent.setRound(1);
+      await vaulterCore.connect(operator).claimCoreRewards();
+      const fees = await vaulterCore.pendingProtocolFees();
+      expect(fees).to.equal(ethers.utils.parseEther("0.5"));
+      await expect(vaulterCore.connect(operator).withdrawProtocolFees(operator.address))
+        .to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount");
+      await expect(vaulterCore.connect(treasury).withdrawProtocolFees(treasury.address))
+        .to.changeEtherBalance(treasury, fees);
+    });
+  });
+
+  describe("Emergency mode", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+
+    // addr1 and addr2 hold 300 and 100 CORE, 80 CORE is staked and the first round they earn in is closed
+    beforeEach(async function () {
+      const lockTime = (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400;
+      const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", lockTime, ethers.utils.parseUnits("0.01", 8));
+      await bitcoinStake.addBtcTx("0x" + rawTx, ethers.utils.parseUnits("0.01", 8), 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+
+      await vaulterCore.connect(addr1).depositCORE({ value: core("300") });
+      await vaulterCore.connect(addr2).depositCORE({ value: core("100") });
+      await vaulterCore.stakeCORE(addr2.address, core("80"));
+      // Deposits earn from the round after the one they were made in
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+      await stakeHub.addReward(core("10"));
+      await coreAgent.setRound(2);
+      await vaulterCore.claimCoreRewards();
+      // The mock stake hub does not pay the round reward out
+      await owner.sendTransaction({ to: vaulterCore.address, value: core("10") });
+    });
+
+    // Deposits plus the CORE rewards accrued by the holder, as emergencyWithdraw pays them
+    async function exitValue(holder) {
+      const shares = await vaulterCore.balanceOf(holder.address);
+      const perShare = await vaulterCore.coreRewardPerShare();
+      const reward = shares.mul(perShare).div(ethers.constants.WeiPerEther);
+      return (await vaulterCore.previewRedeem(shares)).add(reward);
+    }
+
+    it("Should only let governance enable it, unstaking everything and pausing for good", async function () {
+      await expect(vaulterCore.emergencyWithdraw(0)).to.be.revertedWith("Not in emergency mode");
+      await expect(vaulterCore.connect(addr1).enableEmergencyMode())
+        .to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount");
+
+      await expect(vaulterCore.enableEmergencyMode())
+        .to.emit(vaulterCore, "EmergencyModeEnabled")
+        .and.to.emit(vaulterCore, "COREUnstaked")
+        .withArgs(addr2.address, core("80"));
+      expect(await vaulterCore.emergencyMode()).to.equal(true);
+      expect(await vaulterCore.paused()).to.equal(true);
+      expect(await vaulterCore.totalCoreStaked()).to.equal(0);
+
+      await expect(vaulterCore.enableEmergencyMode()).to.be.revertedWith("Emergency mode");
+      await expect(vaulterCore.unpause()).to.be.revertedWith("Emergency mode");
+      await expect(vaulterCore.stakeCORE(addr2.address, core("10"))).to.be.revertedWith("Emergency mode");
+      await expect(vaulterCore.connect(addr1).withdrawCORE(core("1"))).to.be.revertedWith("Emergency mode");
+      await expect(vaulterCore.connect(addr1).redeem(core("1"), addr1.address, addr1.address)).to.be.reverted;
+      expect(await vaulterCore.maxRedeem(addr1.address)).to.equal(0);
+    });
+
+    it("Should pay holders their pro-rata CORE and accrued rewards without claiming", async function () {
+      const value1 = await exitValue(addr1);
+      const value2 = await exitValue(addr2);
+      expect(value1).to.be.gt(core("300"));
+
+      // Undelegated CORE only comes back on a later round, it still counts for the exit price
+      await coreAgent.setDelayUndelegate(true);
+      await vaulterCore.enableEmergencyMode();
+      expect(await vaulterCore.undelegatingCore()).to.equal(core("80"));
+
+      const shares1 = await vaulterCore.balanceOf(addr1.address);
+      await expect(vaulterCore.connect(addr1).emergencyWithdraw(shares1))
+        .to.emit(vaulterCore, "EmergencyWithdrawal")
+        .withArgs(addr1.address, shares1, value1);
+      expect(await vaulterCore.balanceOf(addr1.address)).to.equal(0);
+
+      // The CORE already back cannot pay addr2 in full
+      const shares2 = await vaulterCore.balanceOf(addr2.address);
+      await expect(vaulterCore.connect(addr2).emergencyWithdraw(shares2)).to.be.revertedWith("Unstaked CORE not returned yet");
+      await coreAgent.releaseUndelegated(vaulterCore.address);
+      expect(await vaulterCore.undelegatingCore()).to.equal(0);
+      await expect(vaulterCore.connect(addr2).emergencyWithdraw(shares2)).to.changeEtherBalance(addr2, value2);
+      await expect(vaulterCore.connect(addr2).emergencyWithdraw(0)).to.be.revertedWith("Nothing to withdraw");
+
+      // BTC staker rewards and protocol fees stay in the vault
+      const reserved = (await vaulterCore.pendingBTCRewards()).add(await vaulterCore.pendingProtocolFees());
+      const balance = await ethers.provider.getBalance(vaulterCore.address);
+      expect(balance.sub(reserved)).to.be.lt(10);
+    });
+
+    it("Should share a shortfall of the unstaked CORE pro-rata, whatever the exit order", async function () {
+      const rewardOf = async (holder) =>
+        (await vaulterCore.balanceOf(holder.address)).mul(await vaulterCore.coreRewardPerShare()).div(ethers.constants.WeiPerEther);
+      const reward1 = await rewardOf(addr1);
+      const reward2 = await rewardOf(addr2);
+
+      // 40 of the 400 CORE deposited is slashed, so every share exits at 90% of its deposit
+      await coreAgent.slash(addr2.address, vaulterCore.address, core("40"));
+      await vaulterCore.enableEmergencyMode();
+
+      const shares2 = await vaulterCore.balanceOf(addr2.address);
+      await expect(vaulterCore.connect(addr2).emergencyWithdraw(shares2)).to.changeEtherBalance(addr2, core("90").add(reward2));
+      const shares1 = await vaulterCore.balanceOf(addr1.address);
+      await expect(vaulterCore.connect(addr1).emergencyWithdraw(shares1)).to.changeEtherBalance(addr1, core("270").add(reward1));
+    });
+  });
+
+  describe("Upgrades", function () {
+    const staker = new ethers.Wallet("0x" + "33".repeat(32));
+    const layoutOf = (name) => getStorageLayout(hre, `src/${name}.sol:${name}`);
+
+    it("Should keep the storage layout append-only", async function () {
+      const reference = readReferenceLayout();
+      const current = await layoutOf("VaulterCore");
+      expect(compareStorageLayouts(reference, current)).to.deep.equal([]);
+      expect(compareSharedLayouts(current, await layoutOf("VaulterCoreExtension"))).to.deep.equal([]);
+      // The next version appends after __gap
+      expect(compareStorageLayouts(reference, await layoutOf("MockVaulterCoreV2"))).to.deep.equal([]);
+
+      // A variable taken from the end of __gap
+      const gap = current.find((variable) => variable.label === "__gap");
+      const uint256 = current.find((variable) => variable.label === "roundTag").type;
+      const added = { label: "added", slot: gap.slot, offset: 0, type: uint256 };
+      const shrunk = { ...gap, slot: gap.slot + 1, type: { ...gap.type, numberOfBytes: gap.type.numberOfBytes - 32 } };
+      expect(compareStorageLayouts(reference, [...current.slice(0, -1), added, shrunk])).to.deep.equal([]);
+      expect(compareStorageLayouts(reference, [...current.slice(0, -1), added, gap])).to.deep.equal([
+        `added (uint256) at slot ${gap.slot} overlaps __gap`,
+      ]);
+
+      // Inserted, retyped and removed variables
+      const inserted = current.map((variable) => variable.slot >= 28 && variable !== gap ? { ...variable, slot: variable.slot + 1 } : variable);
+      expect(compareStorageLayouts(reference, inserted)).to.include("roundTag (uint256) at slot 28 was removed");
+      const retyped = current.map((variable) => variable.label === "totalBTCStaked"
+        ? { ...variable, type: { ...uint256, label: "uint128", numberOfBytes: 16 } }
+        : variable);
+      expect(compareStorageLayouts(reference, retyped)).to.deep.equal([
+        "totalBTCStaked (uint256) at slot 33 became totalBTCStaked (uint128) at slot 33",
+      ]);
+      expect(compareStorageLayouts(reference, current.filter((variable) => variable.label !== "emergencyMode")))
+        .to.deep.equal(["emergencyMode (bool) at slot 61 was removed"]);
+    });
+
+    it("Should carry deposits, BTC stakes and pending rewards across an upgrade", async function () {
+      const compressed = ethers.utils.computePublicKey(staker.publicKey, true);
+      const pubKeyHash = ethers.utils.ripemd160(ethers.utils.sha256(compressed));
+      const lockTime = (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400;
+      const sats = ethers.utils.parseUnits("0.01", 8);
+      const { rawTx, script } = buildStakeTx(pubKeyHash, lockTime, sats);
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+
+      await vaulterCore.connect(addr1).depositCORE({ value: ethers.utils.parseEther("100") });
+      await vaulterCore.stakeCORE(addr2.address, ethers.utils.parseEther("50"));
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+      await stakeHub.addReward(ethers.utils.parseEther("10"));
+      await coreAgent.setRound(2);
+      await vaulterCore.claimCoreRewards();
+      await owner.sendTransaction({ to: vaulterCore.address, value: ethers.utils.parseEther("10") });
+
+      const snapshot = async () => [
+        await vaulterCore.balanceOf(addr1.address),
+        await vaulterCore.totalCoreDeposits(),
+        await vaulterCore.totalCoreStaked(),
+        await vaulterCore.totalBTCStaked(),
+        await vaulterCore.btcStakes(pubKeyHash),
+        await vaulterCore.getPendingRewards(addr1.address),
+        await vaulterCore.getPendingBTCRewards(staker.publicKey),
+        await vaulterCore.pendingProtocolFees(),
+        await vaulterCore.getValidators(),
+        await vaulterCore.platformFee(),
+      ];
+      const before = await snapshot();
+      expect(before[5]).to.be.gt(0);
+      expect(before[6]).to.be.gt(0);
+
+      const MockVaulterCoreV2 = await getLinkedFactory("MockVaulterCoreV2", libraries);
+      const implementation = await MockVaulterCoreV2.deploy(extension.address);
+      const initializeV2 = MockVaulterCoreV2.interface.encodeFunctionData("initializeV2");
+      await expect(vaulterCore.connect(addr1).upgradeToAndCall(implementation.address, initializeV2))
+        .to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount");
+      await expect(vaulterCore.upgradeToAndCall(implementation.address, initializeV2))
+        .to.emit(vaulterCore, "Upgraded")
+        .withArgs(implementation.address);
+
+      const upgraded = await vaulterCoreAt(vaulterCore.address, "MockVaulterCoreV2");
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.upgradeRound()).to.equal(2);
+      expect(await snapshot()).to.deep.equal(before);
+      await expect(upgraded.initializeV2()).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+
+      // Rewards accrued before the upgrade are still claimed after it
+      const signature = await staker.signMessage("recipient: " + addr2.address.toLowerCase());
+      await upgraded.setLegacyBTCClaims(true);
+      await upgraded.claimBTCRewards(staker.publicKey, signature, "recipient: ", addr2.address);
+      expect(await upgraded.balanceOf(addr2.address)).to.equal(before[6]);
+      await expect(upgraded.connect(addr1).withdrawCORE(before[0]))
+        .to.emit(upgraded, "RewardsClaimed")
+        .withArgs(addr1.address, before[5]);
+    });
+
+    it("Should only be initialized once, through the proxy", async function () {
+      await expect(vaulterCore.initialize(addr1.address)).to.be.revertedWithCustomError(vaulterCore, "InvalidInitialization");
+      const implementation = await vaulterCoreAt(await ethers.provider.getStorageAt(
+        vaulterCore.address,
+        "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc"
+      ).then((slot) => ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12))));
+      await expect(implementation.initialize(addr1.address)).to.be.revertedWithCustomError(vaulterCore, "InvalidInitialization");
+      await expect(implementation.upgradeToAndCall(addr1.address, "0x")).to.be.revertedWithCustomError(vaulterCore, "UUPSUnauthorizedCallContext");
+      expect(await vaulterCore.name()).to.equal("Vaulter CORE");
+      expect(await vaulterCore.symbol()).to.equal("vltCORE");
+      expect(await vaulterCore.extension()).to.equal(extension.address);
+    });
+  });
+
+  describe("Protocol fees", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+    let splitter, treasury, operator, insurance;
+
+    // addr1 holds 100 CORE of deposits when the round closes with 10 CORE of rewards, 0.5 CORE of fee
+    beforeEach(async function () {
+      [, , , treasury, operator, insurance] = await ethers.getSigners();
+      const FeeSplitter = await ethers.getContractFactory("FeeSplitter");
+      splitter = await FeeSplitter.deploy(owner.address);
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+    });
+
+    it("Should mint the fee as vltCORE to the fee recipient once the round rewards are distributed", async function () {
+      await expect(vaulterCore.connect(addr1).setFeeMode(splitter.address, true))
+        .to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount");
+      await expect(vaulterCore.setFeeMode(ethers.constants.AddressZero, true)).to.be.revertedWith("Invalid fee recipient");
+      await expect(vaulterCore.setFeeMode(splitter.address, true))
+        .to.emit(vaulterCore, "FeeModeUpdated")
+        .withArgs(splitter.address, true);
+
+      const shares = await vaulterCore.convertToShares(core("0.5"));
+      await expect(closeRound(1))
+        .to.emit(vaulterCore, "ProtocolFeesMinted")
+        .withArgs(splitter.address, core("0.5"), shares);
+      expect(await vaulterCore.balanceOf(splitter.address)).to.equal(shares);
+      expect(await vaulterCore.totalCoreDeposits()).to.equal(core("100.5"));
+      expect(await vaulterCore.pendingProtocolFees()).to.equal(0);
+      // The fee shares do not take part in the rewards of the round they were minted in
+      expect(await vaulterCore.getPendingRewards(splitter.address)).to.equal(0);
+      await expect(vaulterCore.withdrawProtocolFees(treasury.address)).to.be.revertedWith("No fees to withdraw");
+
+      // Back to CORE fees
+      await vaulterCore.setFeeMode(ethers.constants.AddressZero, false);
+      await closeRound(2);
+      // The mock stake hub reports the rewards of every round so far
+      expect(await vaulterCore.pendingProtocolFees()).to.equal(core("1"));
+      const reward = await vaulterCore.getPendingRewards(splitter.address);
+      expect(reward).to.be.gt(0);
+
+      // Anyone can claim the rewards of the fee shares into the splitter and allocate them
+      await splitter.setRecipient(treasury.address, 1);
+      const rewardShares = await vaulterCore.convertToShares(reward);
+      await expect(splitter.connect(addr2).claimVaultRewards(vaulterCore.address))
+        .to.emit(vaulterCore, "RewardsClaimed")
+        .withArgs(splitter.address, rewardShares)
+        .and.to.emit(splitter, "FeesDistributed")
+        .withArgs(vaulterCore.address, shares.add(rewardShares));
+      expect(await vaulterCore.getPendingRewards(splitter.address)).to.equal(0);
+      expect(await splitter.claimable(vaulterCore.address, treasury.address)).to.equal(shares.add(rewardShares));
+    });
+
+    it("Should split CORE and vltCORE fees by weight into claimable balances", async function () {
+      await expect(splitter.connect(addr1).setRecipient(treasury.address, 1))
+        .to.be.revertedWithCustomError(splitter, "AccessControlUnauthorizedAccount");
+      await expect(splitter.distribute(ethers.constants.AddressZero)).to.be.revertedWith("No recipients");
+      await expect(splitter.setRecipient(treasury.address, 6))
+        .to.emit(splitter, "RecipientUpdated")
+        .withArgs(treasury.address, 6);
+      await splitter.setRecipient(operator.address, 3);
+      await splitter.setRecipient(insurance.address, 1);
+      expect(await splitter.getRecipients()).to.deep.equal([treasury.address, operator.address, insurance.address]);
+      expect(await splitter.totalWeight()).to.equal(10);
+
+      // CORE fees withdrawn by the treasury role, vltCORE fees minted by the vault
+      await closeRound(1);
+      await owner.sendTransaction({ to: vaulterCore.address, value: core("10") });
+      await expect(vaulterCore.withdrawProtocolFees(splitter.address)).to.changeEtherBalance(splitter, core("0.5"));
+      await vaulterCore.setFeeMode(splitter.address, true);
+      await closeRound(2);
+      const feeShares = await vaulterCore.balanceOf(splitter.address);
+
+      const CORE = ethers.constants.AddressZero;
+      expect(await splitter.pendingFees(CORE, operator.address)).to.equal(core("0.15"));
+      await expect(splitter.distribute(CORE)).to.emit(splitter, "FeesDistributed").withArgs(CORE, core("0.5"));
+      await expect(splitter.distribute(vaulterCore.address))
+        .to.emit(splitter, "FeesDistributed")
+        .withArgs(vaulterCore.address, feeShares);
+      expect(await splitter.callStatic.distribute(CORE)).to.equal(0);
+      expect(await splitter.claimable(CORE, treasury.address)).to.equal(core("0.3"));
+      expect(await splitter.claimable(CORE, insurance.address)).to.equal(core("0.05"));
+
+      await expect(splitter.connect(operator).claim(CORE)).to.changeEtherBalance(operator, core("0.15"));
+      await expect(splitter.connect(operator).claim(CORE)).to.be.revertedWith("Nothing to claim");
+      const operatorShares = feeShares.mul(3).div(10);
+      await expect(splitter.connect(operator).claim(vaulterCore.address))
+        .to.emit(splitter, "FeesClaimed")
+        .withArgs(operator.address, vaulterCore.address, operatorShares);
+      expect(await vaulterCore.balanceOf(operator.address)).to.equal(operatorShares);
+
+      // A removed recipient keeps what was allocated to it, the next fees go to the others
+      await splitter.setRecipient(treasury.address, 0);
+      expect(await splitter.getRecipients()).to.deep.equal([insurance.address, operator.address]);
+      await owner.sendTransaction({ to: splitter.address, value: core("1") });
+      await splitter.distribute(CORE);
+      expect(await splitter.claimable(CORE, insurance.address)).to.equal(core("0.3"));
+      expect(await splitter.claimable(CORE, operator.address)).to.equal(core("0.75"));
+      await expect(splitter.connect(treasury).claim(CORE)).to.changeEtherBalance(treasury, core("0.3"));
+      expect(await ethers.provider.getBalance(splitter.address)).to.equal(await splitter.totalClaimable(CORE));
+    });
+  });
+
+  describe("Round reports", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+    const sats = ethers.utils.parseUnits("0.1", 8);
+
+    // Rewards of a round with 10 CORE more than the last one, split by the ratios set when it closes
+    // 0.1 BTC staked and 100 CORE deposited by addr1
+    beforeEach(async function () {
+      const lockTime = (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400;
+      const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", lockTime, sats);
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+    });
+
+    it("Should store a report per closed round and return them by page", async function () {
+      await vaulterCore.stakeCORE(addr2.address, core("40"));
+      const btcRatio = await vaulterCore.btcRewardRatio();
+      const coreRatio = await vaulterCore.coreRewardRatio();
+      const btcReward = core("9.5").mul(btcRatio).div(10000);
+      const coreReward = core("9.5").mul(coreRatio).div(10000);
+      const tx = await closeRound(1);
+      await expect(tx)
+        .to.emit(vaulterCore, "RoundReported")
+        .withArgs(1, core("10"), core("0.5"), btcReward, coreReward, core("1"));
+
+      const report = await vaulterCore.getRoundReport(1);
+      expect(report.roundTag).to.equal(1);
+      expect(report.timestamp).to.equal((await ethers.provider.getBlock(tx.blockNumber)).timestamp);
+      expect(report.btcRewardRatio).to.equal(btcRatio);
+      expect(report.totalBTCStaked).to.equal(sats);
+      expect(report.totalCoreDeposits).to.equal(core("100"));
+      expect(report.totalCoreStaked).to.equal(core("40"));
+      expect(report.pricePerShare).to.equal(core("1"));
+      expect((await vaulterCore.getRoundReport(2)).roundTag).to.equal(0);
+
+      await closeRound(2);
+      await closeRound(5);
+      expect(await vaulterCore.getRoundReportCount()).to.equal(3);
+      // The mock stake hub reports the rewards of every round so far
+      const page = await vaulterCore.getRoundReports(1, 10);
+      expect(page.map((r) => r.roundTag.toNumber())).to.deep.equal([2, 5]);
+      expect(page[0].totalReward).to.equal(core("20"));
+      expect(page[0].fee).to.equal(core("1"));
+      expect(await vaulterCore.getRoundReports(3, 10)).to.deep.equal([]);
+    });
+
+    it("Should compute trailing CORE and BTC yields from the latest reports", async function () {
+      expect(await vaulterCore.getCoreYield(7)).to.deep.equal([ethers.constants.Zero, ethers.constants.Zero]);
+      await closeRound(1);
+      await closeRound(2);
+
+      const [first, last] = await vaulterCore.getRoundReports(0, 2);
+      const coreYield = (r) => r.coreReward.mul(core("1")).div(r.totalCoreDeposits);
+      const btcYield = (r) => r.btcReward.mul(core("1")).div(r.totalBTCStaked);
+
+      // Fewer rounds than the window were closed, the yield is annualized over the two of them
+      const [yield7, apy7] = await vaulterCore.getCoreYield(7);
+      expect(yield7).to.equal(coreYield(first).add(coreYield(last)));
+      expect(apy7).to.equal(yield7.mul(365).div(2));
+      expect(await vaulterCore.getCoreYield(30)).to.deep.equal([yield7, apy7]);
+      const [yield1, apy1] = await vaulterCore.getCoreYield(1);
+      expect(yield1).to.equal(coreYield(last));
+      expect(apy1).to.equal(yield1.mul(365));
+
+      const [rewardPerSat, annualRewardPerSat] = await vaulterCore.getBTCYield(7);
+      expect(rewardPerSat).to.equal(btcYield(first).add(btcYield(last)));
+      expect(annualRewardPerSat).to.equal(rewardPerSat.mul(365).div(2));
+      // Every round's BTC reward went to the only stake
+      expect(rewardPerSat).to.equal(await vaulterCore.btcRewardPerSat());
+    });
+  });
+
+  describe("Deposit limits", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+
+    it("Should cap the deposits of the vault and of each receiver", async function () {
+      await expect(vaulterCore.connect(addr1).setDepositCaps(core("150"), core("100")))
+        .to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount");
+      await expect(vaulterCore.setDepositCaps(core("150"), core("100")))
+        .to.emit(vaulterCore, "DepositCapsUpdated")
+        .withArgs(core("150"), core("100"));
+      expect(await vaulterCore.maxDeposit(addr1.address)).to.equal(core("100"));
+
+      await expect(vaulterCore.connect(addr1).depositCORE({ value: core("101") }))
+        .to.be.revertedWith("Account deposit cap exceeded");
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+      expect(await vaulterCore.maxDeposit(addr1.address)).to.equal(0);
+      expect(await vaulterCore.maxMint(addr1.address)).to.equal(0);
+
+      // The vault cap is reached before addr2's own cap
+      expect(await vaulterCore.maxDeposit(addr2.address)).to.equal(core("50"));
+      expect(await vaulterCore.maxMint(addr2.address)).to.equal(await vaulterCore.convertToShares(core("50")));
+      await expect(vaulterCore.connect(addr2).depositCORE({ value: core("60") })).to.be.revertedWith("Deposit cap exceeded");
+      await wcore.connect(addr2).deposit({ value: core("50") });
+      await wcore.connect(addr2).approve(vaulterCore.address, core("50"));
+      await vaulterCore.connect(addr2).mint(await vaulterCore.maxMint(addr2.address), addr2.address);
+      expect(await vaulterCore.maxDeposit(addr2.address)).to.equal(0);
+
+      await vaulterCore.setDepositCaps(0, 0);
+      expect(await vaulterCore.maxDeposit(addr2.address)).to.equal(ethers.constants.MaxUint256);
+      expect(await vaulterCore.maxMint(addr2.address)).to.equal(ethers.constants.MaxUint256);
+    });
+
+    it("Should only take deposits for allowlisted receivers in allowlist mode", async function () {
+      await expect(vaulterCore.setAllowlistMode(true)).to.emit(vaulterCore, "AllowlistModeUpdated").withArgs(true);
+      expect(await vaulterCore.maxDeposit(addr1.address)).to.equal(0);
+      await expect(vaulterCore.connect(addr1).depositCORE({ value: core("1") }))
+        .to.be.revertedWith("Receiver not allowlisted");
+
+      await expect(vaulterCore.setDepositAllowlist([addr1.address], true))
+        .to.emit(vaulterCore, "DepositAllowlistUpdated")
+        .withArgs(addr1.address, true);
+      expect(await vaulterCore.maxDeposit(addr1.address)).to.equal(ethers.constants.MaxUint256);
+      await vaulterCore.connect(addr1).depositCORE({ value: core("1") });
+
+      // The receiver is checked, not the caller
+      await wcore.connect(addr1).deposit({ value: core("1") });
+      await wcore.connect(addr1).approve(vaulterCore.address, core("1"));
+      await expect(vaulterCore.connect(addr1).deposit(core("1"), addr2.address))
+        .to.be.revertedWith("Receiver not allowlisted");
+
+      await vaulterCore.setAllowlistMode(false);
+      await vaulterCore.connect(addr1).deposit(core("1"), addr2.address);
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(core("1"));
+    });
+  });
+
+  describe("Votes and permit", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+
+    async function domain() {
+      return { name: "Vaulter CORE", version: "1", chainId: 1337, verifyingContract: vaulterCore.address };
+    }
+
+    it("Should approve with an ERC-2612 permit signed by the owner", async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: core("10") });
+      expect(await vaulterCore.DOMAIN_SEPARATOR()).to.equal(ethers.utils._TypedDataEncoder.hashDomain(await domain()));
+
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const value = { owner: addr1.address, spender: addr2.address, value: core("4"), nonce: 0, deadline };
+      const { v, r, s } = ethers.utils.splitSignature(await addr1._signTypedData(await domain(), types, value));
+
+      await expect(vaulterCore.connect(addr2).permit(addr1.address, addr2.address, core("4"), deadline, v, r, s))
+        .to.emit(vaulterCore, "Approval")
+        .withArgs(addr1.address, addr2.address, core("4"));
+      expect(await vaulterCore.nonces(addr1.address)).to.equal(1);
+      await vaulterCore.connect(addr2).transferFrom(addr1.address, addr2.address, core("4"));
+      expect(await vaulterCore.balanceOf(addr2.address)).to.equal(core("4"));
+
+      await expect(vaulterCore.permit(addr1.address, addr2.address, core("4"), deadline, v, r, s))
+        .to.be.revertedWith("Invalid permit signature");
+      await expect(vaulterCore.permit(addr1.address, addr2.address, core("4"), 1, v, r, s)).to.be.revertedWith("Permit expired");
+    });
+
+    it("Should checkpoint the votes of delegates on every mint, burn and transfer", async function () {
+      const staker = new ethers.Wallet("0x" + "11".repeat(32));
+      const pubKeyHash = ethers.utils.ripemd160(ethers.utils.sha256(ethers.utils.computePublicKey(staker.publicKey, true)));
+      const lockTime = (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400;
+      const sats = ethers.utils.parseUnits("0.1", 8);
+      const { rawTx, script } = buildStakeTx(pubKeyHash, lockTime, sats);
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+      expect(await vaulterCore.getVotes(addr1.address)).to.equal(0);
+      await expect(vaulterCore.connect(addr1).delegate(addr1.address))
+        .to.emit(vaulterCore, "DelegateChanged")
+        .withArgs(addr1.address, ethers.constants.AddressZero, addr1.address)
+        .and.to.emit(vaulterCore, "DelegateVotesChanged")
+        .withArgs(addr1.address, 0, core("100"));
+
+      // Delegation signed by addr2, submitted by the owner
+      const expiry = lockTime;
+      const types = {
+        Delegation: [
+          { name: "delegatee", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+      const { v, r, s } = ethers.utils.splitSignature(
+        await addr2._signTypedData(await domain(), types, { delegatee: addr2.address, nonce: 0, expiry })
+      );
+      await vaulterCore.delegateBySig(addr2.address, 0, expiry, v, r, s);
+      expect(await vaulterCore.delegates(addr2.address)).to.equal(addr2.address);
+      await expect(vaulterCore.delegateBySig(addr2.address, 0, expiry, v, r, s)).to.be.revertedWith("Invalid delegation nonce");
+
+      await vaulterCore.connect(addr1).transfer(addr2.address, core("40"));
+      expect(await vaulterCore.getVotes(addr1.address)).to.equal(core("60"));
+      expect(await vaulterCore.getVotes(addr2.address)).to.equal(core("40"));
+      const transferBlock = await ethers.provider.getBlockNumber();
+
+      // Reward shares minted by VaulterCore and by the extension, then a burn
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+      await stakeHub.addReward(core("10"));
+      await coreAgent.setRound(2);
+      await vaulterCore.claimCoreRewards();
+      await vaulterCore.connect(addr1).claimRewards();
+      const signature = await staker.signMessage("recipient: " + addr2.address.toLowerCase());
+      await vaulterCore.setLegacyBTCClaims(true);
+      await vaulterCore.claimBTCRewards(staker.publicKey, signature, "recipient: ", addr2.address);
+      await owner.sendTransaction({ to: vaulterCore.address, value: core("10") });
+      await vaulterCore.connect(addr1).withdrawCORE(core("10"));
+      for (const account of [addr1, addr2]) {
+        expect(await vaulterCore.getVotes(account.address)).to.equal(await vaulterCore.balanceOf(account.address));
+      }
+      expect(await vaulterCore.numCheckpoints(addr1.address)).to.equal(4);
+
+      await ethers.provider.send("evm_mine", []);
+      const latest = await ethers.provider.getBlockNumber();
+      expect(await vaulterCore.getPastVotes(addr1.address, transferBlock)).to.equal(core("60"));
+      expect(await vaulterCore.getPastTotalSupply(transferBlock)).to.equal(core("100"));
+      expect(await vaulterCore.getPastTotalSupply(latest - 1)).to.equal(await vaulterCore.totalSupply());
+      await expect(vaulterCore.getPastVotes(addr1.address, latest + 1)).to.be.revertedWith("Future lookup");
+      expect(await vaulterCore.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+    });
+  });
+
+  describe("Auto-compounding", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+
+    // The mock stake hub reports the rewards of every round so far, `paid` is the CORE it actually sends
+    beforeEach(async function () {
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+    });
+
+    it("Should restake the round rewards above the liquidity buffer when the round closes", async function () {
+      await closeRound(1, core("10"));
+      expect(await vaulterCore.totalCoreStaked()).to.equal(0);
+
+      await expect(vaulterCore.setAutoCompound(true, 10001)).to.be.revertedWith("Buffer ratio too high");
+      await expect(vaulterCore.setAutoCompound(true, 1000))
+        .to.emit(vaulterCore, "AutoCompoundUpdated")
+        .withArgs(true, 1000);
+
+      // 19 CORE of rewards net of the 1 CORE fee, well above the 10 CORE buffer and the 1.5 CORE of fees
+      await expect(closeRound(2, core("20")))
+        .to.emit(vaulterCore, "RewardsCompounded")
+        .withArgs(2, core("19"))
+        .and.to.emit(vaulterCore, "COREStaked")
+        .withArgs(addr2.address, core("19"));
+      expect(await vaulterCore.totalCoreStaked()).to.equal(core("19"));
+      expect(await coreAgent.stakedAmounts(addr2.address)).to.equal(core("19"));
+    });
+
+    it("Should keep the liquidity buffer and the CORE fees liquid", async function () {
+      await vaulterCore.setAutoCompound(true, 10000);
+      // 9.5 CORE of rewards, but only 9.5 CORE above the 100 CORE buffer and the 0.5 CORE fee
+      await closeRound(1, core("10"));
+      expect(await vaulterCore.totalCoreStaked()).to.equal(core("9.5"));
+
+      // 14 CORE above the buffer and the 1.5 CORE of fees, out of 19 CORE of rewards
+      await expect(closeRound(2, core("15"))).to.emit(vaulterCore, "RewardsCompounded").withArgs(2, core("14"));
+      expect(await ethers.provider.getBalance(vaulterCore.address)).to.equal(core("101.5"));
+      expect(await vaulterCore.pendingProtocolFees()).to.equal(core("1.5"));
+
+      // Nothing to restake once the vault is at its buffer
+      await expect(closeRound(3, 0)).not.to.emit(vaulterCore, "RewardsCompounded");
+    });
+
+    it("Should only delegate the rewards CoreAgent takes, without moving the existing stake", async function () {
+      await vaulterCore.setAutoCompound(true, 1000);
+      await closeRound(1, core("20"));
+      expect(await coreAgent.stakedAmounts(addr2.address)).to.equal(core("9.5"));
+
+      // addr2 is drained by the next rebalanceStake, not by the round close
+      await vaulterCore.setValidator(addr1.address, 1, 0, true);
+      await vaulterCore.setValidator(addr2.address, 0, 0, false);
+      await expect(closeRound(2, core("20")))
+        .to.emit(vaulterCore, "COREStaked")
+        .withArgs(addr1.address, core("19"))
+        .and.not.to.emit(vaulterCore, "COREStakeTransferred");
+      expect(await coreAgent.stakedAmounts(addr2.address)).to.equal(core("9.5"));
+
+      // 28.5 CORE of rewards below the CoreAgent minimum stay liquid, the round still closes
+      await coreAgent.setRequiredCoinDeposit(core("50"));
+      await expect(closeRound(3, core("30"))).not.to.emit(vaulterCore, "RewardsCompounded");
+      expect(await vaulterCore.roundTag()).to.equal(3);
+      expect(await vaulterCore.totalCoreStaked()).to.equal(core("28.5"));
+    });
+  });
+
+  describe("Stake reconciliation", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+    const staker = new ethers.Wallet("0x" + "11".repeat(32));
+    const pubKeyHash = ethers.utils.ripemd160(ethers.utils.sha256(ethers.utils.computePublicKey(staker.publicKey, true)));
+    const sats = ethers.utils.parseUnits("0.01", 8);
+    let rawTx, txId, lockTime;
+
+    // 0.01 BTC of the staker lets the vault stake 80 of the 100 CORE of addr1
+    beforeEach(async function () {
+      lockTime = (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400;
+      let script;
+      ({ rawTx, script } = buildStakeTx(pubKeyHash, lockTime, sats));
+      txId = calculateTxId(rawTx);
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+      await vaulterCore.stakeCORE(addr2.address, core("80"));
+    });
+
+    it("Should move the BTC delegation of a stake until its end round", async function () {
+      await expect(vaulterCore.transferBTCDelegation(ethers.constants.HashZero, owner.address)).to.be.revertedWith(
+        "Invalid BTC txId"
+      );
+      await expect(vaulterCore.transferBTCDelegation(txId, owner.address))
+        .to.emit(vaulterCore, "BTCDelegationTransferred")
+        .withArgs(txId, owner.address);
+      expect((await bitcoinStake.receiptMap(txId)).candidate).to.equal(owner.address);
+
+      // Past its lockTime the stake still counts until its end round, then it is expired
+      await ethers.provider.send("evm_setNextBlockTimestamp", [lockTime + 1]);
+      await vaulterCore.transferBTCDelegation(txId, addr2.address);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Math.ceil(lockTime / 86400) * 86400]);
+      await expect(vaulterCore.transferBTCDelegation(txId, owner.address)).to.be.revertedWith("BTC stake expired");
+    });
+
+    it("Should book the staked CORE missing from CoreAgent against the share price", async function () {
+      await expect(vaulterCore.connect(addr2).sync([]))
+        .to.emit(vaulterCore, "StakeSynced")
+        .withArgs(core("80"), core("80"), 0, 0);
+
+      await coreAgent.slash(addr2.address, vaulterCore.address, core("20"));
+      await expect(vaulterCore.connect(addr2).sync([]))
+        .to.emit(vaulterCore, "StakeSynced")
+        .withArgs(core("80"), core("60"), core("20"), 0);
+      expect(await vaulterCore.totalCoreStaked()).to.equal(core("60"));
+      expect(await vaulterCore.totalCoreDeposits()).to.equal(core("80"));
+      expect(await vaulterCore.convertToAssets(core("1"))).to.equal(core("0.8"));
+
+      // Transfers between candidates do not change the total
+      await vaulterCore.setValidator(owner.address, 1, 0, true);
+      await vaulterCore.transferCOREStake(addr2.address, owner.address, core("10"));
+      await expect(vaulterCore.sync([]))
+        .to.emit(vaulterCore, "StakeSynced")
+        .withArgs(core("60"), core("60"), 0, 0);
+    });
+
+    it("Should drop the BTC stakes whose receipt moved away from the vault", async function () {
+      await stakeHub.addReward(core("10"));
+      await coreAgent.setRound(1);
+      await vaulterCore.claimCoreRewards();
+      const earned = await vaulterCore.getPendingBTCRewards(staker.publicKey);
+      expect(earned).to.be.gt(0);
+
+      // Still delegated to the vault, unknown txIds are skipped
+      await expect(vaulterCore.sync([txId, ethers.constants.HashZero]))
+        .to.emit(vaulterCore, "StakeSynced")
+        .withArgs(core("80"), core("80"), 0, 0);
+
+      await bitcoinStake.addReceipt("0x" + rawTx, addr2.address, 0);
+      await expect(vaulterCore.sync([txId]))
+        .to.emit(vaulterCore, "BTCStakeRemoved")
+        .withArgs(txId, pubKeyHash, sats)
+        .and.to.emit(vaulterCore, "StakeSynced")
+        .withArgs(core("80"), core("80"), 0, sats);
+      expect(await vaulterCore.totalBTCStaked()).to.equal(0);
+      expect(await vaulterCore.getExpiringBTC(Math.floor(lockTime / 86400))).to.equal(0);
+      expect((await vaulterCore.btcStakes(pubKeyHash)).stakedAmount).to.equal(0);
+
+      // The stake keeps what it earned, not the later rounds
+      await stakeHub.addReward(core("10"));
+      await coreAgent.setRound(2);
+      await vaulterCore.claimCoreRewards();
+      expect(await vaulterCore.getPendingBTCRewards(staker.publicKey)).to.equal(earned);
+      await expect(vaulterCore.sync([txId])).not.to.emit(vaulterCore, "BTCStakeRemoved");
+    });
+
+    it("Should not book undelegations in flight or paid back by CoreAgent as a shortfall", async function () {
+      await coreAgent.setDelayUndelegate(true);
+      await vaulterCore.unstakeCORE(core("30"));
+      expect(await vaulterCore.undelegatingCore()).to.equal(core("30"));
+      await expect(vaulterCore.connect(addr2).sync([]))
+        .to.emit(vaulterCore, "StakeSynced")
+        .withArgs(core("50"), core("50"), 0, 0);
+      await coreAgent.releaseUndelegated(vaulterCore.address);
+      expect(await vaulterCore.undelegatingCore()).to.equal(0);
+
+      // CoreAgent undelegates 20 CORE by itself and pays it to the vault
+      await coreAgent.forceUndelegate(addr2.address, vaulterCore.address, core("20"));
+      expect(await vaulterCore.returnedCore()).to.equal(core("20"));
+      await expect(vaulterCore.connect(addr2).sync([]))
+        .to.emit(vaulterCore, "StakeSynced")
+        .withArgs(core("50"), core("30"), 0, 0);
+      expect(await vaulterCore.returnedCore()).to.equal(0);
+      expect(await vaulterCore.totalCoreDeposits()).to.equal(core("100"));
+
+      await expect(vaulterCore.sync(Array(51).fill(txId))).to.be.revertedWith("Too many txIds");
+    });
+
+    it("Should leave expired BTC stakes to the round close", async function () {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [lockTime + 86400]);
+      await bitcoinStake.addReceipt("0x" + rawTx, addr2.address, 0);
+      await expect(vaulterCore.sync([txId]))
+        .to.emit(vaulterCore, "StakeSynced")
+        .withArgs(core("80"), core("80"), 0, 0);
+      expect(await vaulterCore.totalBTCStaked()).to.equal(sats);
+    });
+  });
+
+  describe("Reward routing", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+    const CORE_ASSET = 0;
+    const HASH_POWER_ASSET = 1;
+    const BTC_ASSET = 2;
+
+    // 0.01 BTC staked and 100 CORE deposited
+    beforeEach(async function () {
+      const lockTime = (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400;
+      const sats = ethers.utils.parseUnits("0.01", 8);
+      const { rawTx, script } = buildStakeTx("0x3187b3627e6e80c7911ef627a8589ccc51aa8cd8", lockTime, sats);
+      await bitcoinStake.addBtcTx("0x" + rawTx, sats, 0, lockTime, 0);
+      await bitcoinStake.addReceipt("0x" + rawTx, vaulterCore.address, 0);
+      await vaulterCore.recordBTCStake("0x" + rawTx, script);
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+    });
+
+    it("Should split the rewards of each asset by its own route", async function () {
+      await expect(vaulterCore.setRewardRoute(BTC_ASSET, true, 10001)).to.be.revertedWith("Invalid BTC share");
+      await expect(vaulterCore.setRewardRoute(CORE_ASSET, true, 0))
+        .to.emit(vaulterCore, "RewardRouteUpdated")
+        .withArgs(CORE_ASSET, true, 0);
+      await vaulterCore.setRewardRoute(BTC_ASSET, true, 9000);
+      expect((await vaulterCore.rewardRoutes(BTC_ASSET)).btcShare).to.equal(9000);
+
+      await stakeHub.setRewards([core("10"), core("4"), core("6")]);
+      await coreAgent.setRound(1);
+      // Hash power rewards keep the grade table
+      const ratio = await vaulterCore.btcRewardRatio();
+      const hashPowerBtc = core("3.8").mul(ratio).div(10000);
+      const tx = await vaulterCore.claimCoreRewards();
+      await expect(tx)
+        .to.emit(vaulterCore, "AssetRewardsDistributed")
+        .withArgs(1, CORE_ASSET, core("10"), core("0.5"), 0, core("9.5"));
+      await expect(tx)
+        .to.emit(vaulterCore, "AssetRewardsDistributed")
+        .withArgs(1, HASH_POWER_ASSET, core("4"), core("0.2"), hashPowerBtc, core("3.8").sub(hashPowerBtc));
+      await expect(tx)
+        .to.emit(vaulterCore, "AssetRewardsDistributed")
+        .withArgs(1, BTC_ASSET, core("6"), core("0.3"), core("5.13"), core("0.57"));
+
+      const report = await vaulterCore.getRoundReport(1);
+      expect(report.assetRewards).to.deep.equal([core("10"), core("4"), core("6")]);
+      expect(report.fee).to.equal(core("1"));
+      expect(report.btcReward).to.equal(hashPowerBtc.add(core("5.13")));
+      expect(report.coreReward).to.equal(core("19").sub(report.btcReward));
+      expect(await vaulterCore.pendingBTCRewards()).to.equal(report.btcReward);
+      expect(await vaulterCore.pendingCoreRewards()).to.equal(report.coreReward);
+
+      // Back to the grade table
+      await vaulterCore.setRewardRoute(CORE_ASSET, false, 0);
+      await stakeHub.setRewards([core("10")]);
+      await coreAgent.setRound(2);
+      const coreBtc = core("9.5").mul(await vaulterCore.btcRewardRatio()).div(10000);
+      await expect(vaulterCore.claimCoreRewards())
+        .to.emit(vaulterCore, "AssetRewardsDistributed")
+        .withArgs(2, CORE_ASSET, core("10"), core("0.5"), coreBtc, core("9.5").sub(coreBtc));
+    });
+  });
+
+  describe("Hash power rewards", function () {
+    const core = (amount) => ethers.utils.parseEther(amount);
+    let lightClient, miner1, miner2;
+
+    // Miners mine for addr2, the allowed validator, with the vault as reward address. 100 CORE deposited and
+    // round 7 open, scored by the blocks of round 0.
+    beforeEach(async function () {
+      [, , , miner1, miner2] = await ethers.getSigners();
+      const MockLightClient = await ethers.getContractFactory("MockLightClient");
+      lightClient = await MockLightClient.deploy();
+      await vaulterCore.connect(addr1).depositCORE({ value: core("100") });
+      await coreAgent.setRound(7);
+      await vaulterCore.claimCoreRewards();
+    });
+
+    it("Should call the BTC light client with the ABI of the CoreDAO genesis contract", async function () {
+      const coreDAO = new ethers.utils.Interface([
+        "function getRoundMiners(uint256 roundTimeTag, address candidate) view returns (address[] miners)",
+      ]);
+      const { abi } = await hre.artifacts.readArtifact("ILightClient");
+      const minimal = ethers.utils.FormatTypes.minimal;
+      expect(new ethers.utils.Interface(abi).getFunction("getRoundMiners").format(minimal))
+        .to.equal(coreDAO.getFunction("getRoundMiners").format(minimal));
+    });
+
+    it("Should share the hash power reward of a round over the registered hash power", async function () {
+      await expect(vaulterCore.registerHashPower(miner1.address, addr2.address, 30)).to.be.revertedWith(
+        "Hash power rewards disabled"
+      );
+      await expect(vaulterCore.setHashPowerRewards(lightClient.address, 10001)).to.be.revertedWith(
+        "Invalid hash power share"
+      );
+      await expect(vaulterCore.setHashPowerRewards(lightClient.address, 5000))
+        .to.emit(vaulterCore, "HashPowerRewardsUpdated")
+        .withArgs(lightClient.address, 5000);
+
+      await expect(vaulterCore.connect(miner1).registerHashPower(miner1.address, addr2.address, 30))
+        .to.be.revertedWithCustomError(vaulterCore, "AccessControlUnauthorizedAccount");
+      await expect(vaulterCore.registerHashPower(miner1.address, addr2.address, 0)).to.be.revertedWith(
+        "No hash power delegated"
+      );
+      await expect(vaulterCore.registerHashPower(miner1.address, owner.address, 30)).to.be.revertedWith(
+        "Validator not allowed"
+      );
+      // Only the blocks paying the vault in the round the open one is scored by count
+      await lightClient.addRoundMiners(0, addr2.address, miner1.address, 30);
+      await lightClient.addRoundMiners(7, addr2.address, vaulterCore.address, 30);
+      await expect(vaulterCore.registerHashPower(miner1.address, addr2.address, 30)).to.be.revertedWith(
+        "Hash power exceeds the vault's blocks"
+      );
+
+      await lightClient.addRoundMiners(0, addr2.address, vaulterCore.address, 40);
+      await expect(vaulterCore.registerHashPower(miner1.address, addr2.address, 30))
+        .to.emit(vaulterCore, "HashPowerRegistered")
+        .withArgs(miner1.address, addr2.address, 7, 30);
+      await expect(vaulterCore.registerHashPower(miner2.address, addr2.address, 11)).to.be.revertedWith(
+        "Hash power exceeds the vault's blocks"
+      );
+      await vaulterCore.registerHashPower(miner2.address, addr2.address, 10);
+      expect(await vaulterCore.getRoundHashPower(7)).to.deep.equal([ethers.BigNumber.from(40), ethers.BigNumber.from(0)]);
+
+      // 5% fee, half of the net 3.8 CORE to the miners, the other half split by the grade table
+      await stakeHub.setRewards([0, core("4"), 0]);
+      await coreAgent.setRound(8);
+      const btcReward = core("1.9").mul(await vaulterCore.btcRewardRatio()).div(10000);
+      const tx = await vaulterCore.claimCoreRewards();
+      await expect(tx).to.emit(vaulterCore, "HashPowerRewardsDistributed").withArgs(7, core("1.9"), 40);
+      await expect(tx)
+        .to.emit(vaulterCore, "AssetRewardsDistributed")
+        .withArgs(8, 1, core("4"), core("0.2"), btcReward, core("1.9").sub(btcReward));
+      expect((await vaulterCore.getRoundReport(8)).hashPowerReward).to.equal(core("1.9"));
+      expect(await vaulterCore.pendingHashPowerRewards()).to.equal(core("1.9"));
+
+      const shares = await vaulterCore.convertToShares(core("1.425"));
+      expect(await vaulterCore.getPendingHashPowerRewards(miner1.address)).to.equal(shares);
+      await expect(vaulterCore.connect(miner1).claimHashPowerRewards())
+        .to.emit(vaulterCore, "HashPowerRewardsClaimed")
+        .withArgs(miner1.address, shares);
+      expect(await vaulterCore.balanceOf(miner1.address)).to.equal(shares);
+      expect(await vaulterCore.pendingHashPowerRewards()).to.equal(core("0.475"));
+      await expect(vaulterCore.connect(miner1).claimHashPowerRewards()).to.be.revertedWith("No pending rewards");
+    });
+
+    it("Should add up the hash power a miner registers for several validators", async function () {
+      await vaulterCore.setHashPowerRewards(lightClient.address, 5000);
+      await vaulterCore.setValidator(owner.address, 0, 0, true);
+      await lightClient.addRoundMiners(0, addr2.address, vaulterCore.address, 30);
+      await lightClient.addRoundMiners(0, owner.address, vaulterCore.address, 10);
+
+      await vaulterCore.registerHashPower(miner1.address, addr2.address, 20);
+      await expect(vaulterCore.registerHashPower(miner1.address, owner.address, 10))
+        .to.emit(vaulterCore, "HashPowerRegistered")
+        .withArgs(miner1.address, owner.address, 7, 10);
+      // Each validator stays bounded by its own blocks
+      await expect(vaulterCore.registerHashPower(miner2.address, owner.address, 1)).to.be.revertedWith(
+        "Hash power exceeds the vault's blocks"
+      );
+      await vaulterCore.registerHashPower(miner1.address, addr2.address, 5);
+      await vaulterCore.registerHashPower(miner2.address, addr2.address, 5);
+      expect(await vaulterCore.getHashPower(miner1.address)).to.deep.equal([
+        ethers.BigNumber.from(7),
+        ethers.BigNumber.from(35),
+      ]);
+      expect((await vaulterCore.getRoundHashPower(7))[0]).to.equal(40);
+
+      // 1.9 CORE to the miners, 35/40 of it to miner1
+      await stakeHub.setRewards([0, core("4"), 0]);
+      await coreAgent.setRound(8);
+      await vaulterCore.claimCoreRewards();
+      expect(await vaulterCore.getPendingHashPowerRewards(miner1.address)).to.equal(
+        await vaulterCore.convertToShares(core("1.6625"))
+      );
+    });
+
+    it("Should keep the rewards of earlier rounds when a miner registers again", async function () {
+      await vaulterCore.setHashPowerRewards(lightClient.address, 5000);
+
+      // Without registered hash power the whole asset is split between BTC stakers and depositors
+      await stakeHub.setRewards([0, core("4"), 0]);
+      await coreAgent.setRound(8);
+      const tx = await vaulterCore.claimCoreRewards();
+      await expect(tx).to.not.emit(vaulterCore, "HashPowerRewardsDistributed");
+      expect((await vaulterCore.getRoundReport(8)).hashPowerReward).to.equal(0);
+
+      await lightClient.addRoundMiners(1, addr2.address, vaulterCore.address, 20);
+      await vaulterCore.registerHashPower(miner1.address, addr2.address, 10);
+      // Not earned until the round closes
+      expect(await vaulterCore.getPendingHashPowerRewards(miner1.address)).to.equal(0);
+      await coreAgent.setRound(9);
+      await vaulterCore.claimCoreRewards();
+      const pending = await vaulterCore.getPendingHashPowerRewards(miner1.address);
+      expect(pending).to.equal(await vaulterCore.convertToShares(core("1.9")));
+
+      await lightClient.addRoundMiners(2, addr2.address, vaulterCore.address, 20);
+      await vaulterCore.registerHashPower(miner1.address, addr2.address, 20);
+      expect(await vaulterCore.getHashPower(miner1.address)).to.deep.equal([
+        ethers.BigNumber.from(9),
+        ethers.BigNumber.from(20),
+      ]);
+      expect(await vaulterCore.getPendingHashPowerRewards(miner1.address)).to.equal(pending);
+    });
+  });
+});